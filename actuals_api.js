@@ -0,0 +1,160 @@
+/**
+ * Actuals API - Production Scheduler
+ * Records shop-floor events against the operation rows of a stored schedule run
+ * (GET/POST /api/runs/:runId/actuals, POST /api/runs/:runId/actuals/carry-over). Requests carry
+ * the user's Supabase access token (Authorization: Bearer ...), so row level security decides who
+ * may read and record.
+ */
+
+const { createClient } = require('@supabase/supabase-js');
+require('dotenv').config({ path: '.env.local' });
+const { ExecutionTracker } = require('./execution_tracking.js');
+const { validateSchema, ScheduleRequestError } = require('./schedule_api');
+
+const ACTUAL_EVENT_SCHEMA = {
+  type: 'object',
+  required: ['orderKey', 'batchId', 'operationSeq', 'event'],
+  properties: {
+    orderKey: { type: 'string', minLength: 1 },
+    batchId: { type: 'string', minLength: 1 },
+    operationSeq: { type: 'integer', minimum: 1 },
+    event: { enum: Object.keys(ExecutionTracker.EVENTS) },
+    occurredAt: { type: 'string', format: 'date-time' },
+    goodQty: { type: 'integer', minimum: 0 },
+    scrapQty: { type: 'integer', minimum: 0 },
+    note: { type: 'string' }
+  }
+};
+
+/**
+ * Supabase client acting as the user who sent the request
+ */
+function clientForRequest(authorization) {
+  if (!/^Bearer \S+$/.test(authorization || '')) {
+    throw new ScheduleRequestError(401, 'Sign in required: send Authorization: Bearer <access token>');
+  }
+  if (!process.env.SUPABASE_URL || !process.env.SUPABASE_ANON_KEY) {
+    throw new Error('SUPABASE_URL and SUPABASE_ANON_KEY must be set');
+  }
+  return createClient(process.env.SUPABASE_URL, process.env.SUPABASE_ANON_KEY, {
+    global: { headers: { Authorization: authorization } },
+    auth: { persistSession: false, autoRefreshToken: false }
+  });
+}
+
+function toEvent(row) {
+  return {
+    id: row.id,
+    orderKey: row.order_key,
+    batchId: row.batch_id,
+    operationSeq: row.operation_seq,
+    event: row.event,
+    occurredAt: row.occurred_at,
+    goodQty: row.good_qty,
+    scrapQty: row.scrap_qty,
+    note: row.note,
+    userId: row.user_id
+  };
+}
+
+async function loadEvents(client, runId) {
+  const { data, error } = await client
+    .from('operation_actuals')
+    .select('*')
+    .eq('run_id', runId)
+    .order('occurred_at', { ascending: true });
+  if (error) throw error;
+  return (data || []).map(toEvent);
+}
+
+/**
+ * Every event of a run plus the actual state per operation row
+ * @returns {Promise<Object>} { events, actuals: { rowKey: summary } }
+ */
+async function listActuals(authorization, runId) {
+  const client = clientForRequest(authorization);
+  const events = await loadEvents(client, runId);
+  return { events, actuals: Object.fromEntries(new ExecutionTracker().summarize(events)) };
+}
+
+/**
+ * Record one event after checking it against the run's rows and the events before it
+ * @param {Object} body - { orderKey, batchId, operationSeq, event, occurredAt?, goodQty?, scrapQty?, note? }
+ * @returns {Promise<Object>} { event, actual }
+ * @throws {ScheduleRequestError} 400 for schema errors, 401 without a token, 404 for an unknown run,
+ *                                422 when the event does not fit the operation
+ */
+async function recordActual(authorization, runId, body) {
+  const schemaErrors = validateSchema(body, ACTUAL_EVENT_SCHEMA);
+  if (schemaErrors.length > 0) throw new ScheduleRequestError(400, 'Invalid payload', schemaErrors);
+
+  const client = clientForRequest(authorization);
+  const { data: run, error: runError } = await client.from('schedule_runs').select('id, rows').eq('id', runId).maybeSingle();
+  if (runError) throw runError;
+  if (!run) throw new ScheduleRequestError(404, `Schedule run ${runId} not found`);
+
+  const event = { ...body, occurredAt: body.occurredAt || new Date().toISOString() };
+  const events = await loadEvents(client, runId);
+  const tracker = new ExecutionTracker();
+  const errors = tracker.checkEvent(event, run.rows, events);
+  if (errors.length > 0) throw new ScheduleRequestError(422, 'Event does not fit this operation', errors);
+
+  const { data, error } = await client
+    .from('operation_actuals')
+    .insert({
+      run_id: runId,
+      order_key: event.orderKey,
+      batch_id: event.batchId,
+      operation_seq: event.operationSeq,
+      event: event.event,
+      occurred_at: event.occurredAt,
+      good_qty: event.goodQty || 0,
+      scrap_qty: event.scrapQty || 0,
+      note: event.note || null
+    })
+    .select()
+    .single();
+  if (error) throw error;
+
+  const stored = toEvent(data);
+  const actual = tracker.summarize([...events, stored]).get(ExecutionTracker.eventRowKey(stored));
+  return { event: stored, actual };
+}
+
+/**
+ * Copy the events of an earlier run onto a run rescheduled from it, so operations that were done or
+ * in progress keep their actuals. Only events of operations that are in the new run are copied.
+ * @returns {Promise<Object>} { events, actuals } of the new run
+ * @throws {ScheduleRequestError} 400 without fromRunId, 404 for an unknown run, 409 when the new run already has events
+ */
+async function carryOverActuals(authorization, runId, fromRunId) {
+  if (!fromRunId) throw new ScheduleRequestError(400, 'Invalid payload', ['fromRunId is required']);
+
+  const client = clientForRequest(authorization);
+  const { data: run, error: runError } = await client.from('schedule_runs').select('id, rows').eq('id', runId).maybeSingle();
+  if (runError) throw runError;
+  if (!run) throw new ScheduleRequestError(404, `Schedule run ${runId} not found`);
+  if ((await loadEvents(client, runId)).length > 0) {
+    throw new ScheduleRequestError(409, `Schedule run ${runId} already has actuals`);
+  }
+
+  const rowKeys = new Set((run.rows || []).map(ExecutionTracker.rowKey));
+  const events = (await loadEvents(client, fromRunId)).filter(event => rowKeys.has(ExecutionTracker.eventRowKey(event)));
+  if (events.length > 0) {
+    const { error } = await client.from('operation_actuals').insert(events.map(event => ({
+      run_id: runId,
+      order_key: event.orderKey,
+      batch_id: event.batchId,
+      operation_seq: event.operationSeq,
+      event: event.event,
+      occurred_at: event.occurredAt,
+      good_qty: event.goodQty,
+      scrap_qty: event.scrapQty,
+      note: event.note
+    })));
+    if (error) throw error;
+  }
+  return listActuals(authorization, runId);
+}
+
+module.exports = { listActuals, recordActual, carryOverActuals, ACTUAL_EVENT_SCHEMA };
@@ -187,9 +187,12 @@ function updateUIForRole(role) {
 
 // Load data based on user role
 async function loadData(role) {
-    let query = supabase.from('orders').select('*');
+    // Test Users work with in-memory orders only
+    if (role === 'Test User') return;
     
-    // Operators can only see their own orders
+    let query = supabase.from('orders').select('*').order('created_at', { ascending: true });
+    
+    // Operators can only see their own orders; Admin/Subadmin see the shared order book
     if (role === 'Operator') {
         const { data: { user } } = await supabase.auth.getUser();
         query = query.eq('user_id', user.id);
@@ -202,8 +205,10 @@ async function loadData(role) {
         return;
     }
     
-    // Update your UI with the loaded orders
-    updateOrdersTable(orders);
+    // Hand the rows to the order form's state (index.html)
+    if (typeof setOrdersFromDB === 'function') {
+        setOrdersFromDB(orders);
+    }
 }
 
 // Handle logout
@@ -0,0 +1,277 @@
+/**
+ * Dispatch Lists Module - Production Scheduler
+ * Splits schedule results into one work list per machine or per operator for the current and next
+ * production shift, in SetupStart order. Each entry says what it waits on: the previous operation
+ * of the same batch, its machine and the time its first piece is done (the engine's piece-level handoff).
+ * The same lists feed the in-app view, the print layout and the ExcelExporter dispatch sheets.
+ */
+
+class DispatchListBuilder {
+    /**
+     * @param {Object} options
+     * @param {Array} options.shifts - Production shifts as 'HH:MM-HH:MM' (a shift ending before it starts runs past midnight)
+     */
+    constructor({ shifts = [] } = {}) {
+        this.version = '1.0.0';
+        this.shifts = (shifts || []).map(shift => String(shift).trim()).filter(Boolean);
+        this.shifts.forEach(shift => {
+            if (!/^([01]?\d|2[0-3]):[0-5]\d-([01]?\d|2[0-3]):[0-5]\d$/.test(shift)) {
+                throw new Error(`Shift must be HH:MM-HH:MM, got "${shift}"`);
+            }
+        });
+    }
+
+    static get UNASSIGNED() {
+        return 'Unassigned';
+    }
+
+    static tracker() {
+        if (typeof ExecutionTracker !== 'undefined') return ExecutionTracker;
+        return require('./execution_tracking.js').ExecutionTracker;
+    }
+
+    /**
+     * The shift running at a time and the one after it
+     * @param {Date} at - Reference time; when it falls between shifts the next shift to start counts as current
+     * @returns {Array} [{ label, start, end }] (start/end in ms); empty without shifts
+     */
+    currentAndNextShift(at) {
+        if (this.shifts.length === 0) return [];
+        const day = new Date(at);
+        day.setHours(0, 0, 0, 0);
+
+        const windows = [];
+        [-1, 0, 1, 2].forEach(offset => {
+            this.shifts.forEach((shift, index) => {
+                const [from, to] = shift.split('-').map(time => time.split(':').map(Number));
+                const start = new Date(day.getFullYear(), day.getMonth(), day.getDate() + offset, from[0], from[1]).getTime();
+                let end = new Date(day.getFullYear(), day.getMonth(), day.getDate() + offset, to[0], to[1]).getTime();
+                if (end <= start) end += 24 * 3600000;
+                windows.push({ label: `Shift ${index + 1}`, start, end });
+            });
+        });
+        windows.sort((a, b) => a.start - b.start);
+
+        const time = at.getTime();
+        const currentIndex = windows.findIndex(window => window.end > time);
+        return windows.slice(currentIndex, currentIndex + 2);
+    }
+
+    /**
+     * One list per machine or operator with the operations in a time window
+     * @param {Array} rows - scheduleResults.rows
+     * @param {Object} options
+     * @param {string} options.by - 'machine' (setup and run) or 'operator' (setups)
+     * @param {Array} options.windows - currentAndNextShift() output; entries are labelled with the shift they start in
+     * @param {Array} options.lanes - Names to list even when idle (roster machines or operators)
+     * @returns {Array} [{ name, entries: [{ shift, row, start, end, waitingOn }] }]; rows without a machine
+     *   or operator (e.g. an operation left unassigned) go in a last "Unassigned" list
+     */
+    build(rows, { by = 'machine', windows = [], lanes = [] } = {}) {
+        const laneKey = by === 'operator' ? 'Person' : 'Machine';
+        const from = windows.length > 0 ? windows[0].start : -Infinity;
+        const to = windows.length > 0 ? windows[windows.length - 1].end : Infinity;
+        const batches = this.groupByBatch(rows || []);
+
+        const lists = new Map();
+        [...lanes, ...[...new Set((rows || []).map(row => row[laneKey]).filter(Boolean))].sort()].forEach(name => {
+            if (!lists.has(name)) lists.set(name, { name, entries: [] });
+        });
+
+        (rows || []).forEach(row => {
+            const start = this.parseTime(row.SetupStart);
+            const end = this.parseTime(by === 'operator' ? row.SetupEnd : row.RunEnd);
+            if (start === null || end === null || end <= from || start >= to) return;
+
+            const shift = windows.find(window => start >= window.start && start < window.end);
+            const name = row[laneKey] || DispatchListBuilder.UNASSIGNED;
+            if (!lists.has(name)) lists.set(name, { name, entries: [] });
+            lists.get(name).entries.push({
+                shift: shift ? shift.label : (start < from ? 'In progress' : ''),
+                row,
+                start,
+                end,
+                waitingOn: this.waitingOn(row, batches)
+            });
+        });
+
+        lists.forEach(list => list.entries.sort((a, b) => a.start - b.start));
+        return [...lists.values()];
+    }
+
+    /**
+     * Previous operation of the same batch that must hand over its first piece, null for the first operation
+     * @returns {Object|null} { operationSeq, operationName, machine, person, firstPieceDone }
+     */
+    waitingOn(row, batches) {
+        const operations = batches.get(this.batchKey(row)) || [];
+        const previous = operations.filter(op => Number(op.OperationSeq) < Number(row.OperationSeq)).pop();
+        if (!previous) return null;
+        return {
+            operationSeq: previous.OperationSeq,
+            operationName: previous.OperationName,
+            machine: previous.Machine,
+            person: previous.Person,
+            firstPieceDone: previous.FirstPieceDone || previous.RunEnd
+        };
+    }
+
+    batchKey(row) {
+        return `${DispatchListBuilder.tracker().orderKey(row)}|${row.Batch_ID}`;
+    }
+
+    groupByBatch(rows) {
+        const batches = new Map();
+        rows.forEach(row => {
+            const key = this.batchKey(row);
+            if (!batches.has(key)) batches.set(key, []);
+            batches.get(key).push(row);
+        });
+        batches.forEach(operations => operations.sort((a, b) => a.OperationSeq - b.OperationSeq));
+        return batches;
+    }
+
+    static describeWaitingOn(waitingOn) {
+        if (!waitingOn) return 'Material ready (first operation)';
+        return `Op ${waitingOn.operationSeq} ${waitingOn.operationName || ''} on ${waitingOn.machine} · first piece ${waitingOn.firstPieceDone}`;
+    }
+
+    describeWindows(windows) {
+        return windows.map(window => `${window.label} ${this.formatTime(window.start)} → ${this.formatTime(window.end)}`).join(' · ');
+    }
+
+    /**
+     * HTML tables, one per list; used by the in-app view and inside the print layout
+     * @param {Array} lists - build() output
+     * @param {Object} options - { by, hideIdle: leave out lists without entries }
+     */
+    renderHtml(lists, { by = 'machine', hideIdle = false } = {}) {
+        const shown = hideIdle ? lists.filter(list => list.entries.length > 0) : lists;
+        if (shown.length === 0) return '<div class="empty-state">No operations in these shifts</div>';
+
+        const otherColumn = by === 'operator' ? 'Machine' : 'Operator';
+        return shown.map(list => `
+            <div class="dispatch-list">
+                <h3>${by === 'operator' ? '👷' : '🏭'} ${this.escape(list.name)} <small>(${list.entries.length} operation${list.entries.length === 1 ? '' : 's'})</small></h3>
+                <table>
+                    <thead>
+                        <tr>
+                            <th>#</th>
+                            <th>Shift</th>
+                            <th>Order</th>
+                            <th>Part Number</th>
+                            <th>Batch</th>
+                            <th>Op</th>
+                            <th>${otherColumn}</th>
+                            <th>Setup</th>
+                            ${by === 'operator' ? '' : '<th>Run</th>'}
+                            <th>Waiting on</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${list.entries.length === 0
+                            ? `<tr><td colspan="${by === 'operator' ? 9 : 10}" class="empty-state">Nothing scheduled</td></tr>`
+                            : list.entries.map((entry, index) => `
+                                <tr>
+                                    <td>${index + 1}</td>
+                                    <td>${this.escape(entry.shift)}</td>
+                                    <td>${this.escape(entry.row.Order_Number || '-')}</td>
+                                    <td>${this.escape(entry.row.PartNumber)}</td>
+                                    <td>${this.escape(entry.row.Batch_ID)} (${entry.row.Batch_Qty})</td>
+                                    <td>${entry.row.OperationSeq} ${this.escape(entry.row.OperationName || '')}</td>
+                                    <td>${this.escape(by === 'operator' ? entry.row.Machine : entry.row.Person)}</td>
+                                    <td class="nowrap">${this.escape(entry.row.SetupStart)} → ${this.escape(entry.row.SetupEnd)}</td>
+                                    ${by === 'operator' ? '' : `<td class="nowrap">${this.escape(entry.row.RunStart)} → ${this.escape(entry.row.RunEnd)}</td>`}
+                                    <td>${this.escape(DispatchListBuilder.describeWaitingOn(entry.waitingOn))}</td>
+                                </tr>
+                            `).join('')}
+                    </tbody>
+                </table>
+            </div>
+        `).join('');
+    }
+
+    /**
+     * Printable HTML document with one machine or operator per page
+     */
+    renderDocument(lists, { by = 'machine', windows = [], hideIdle = true } = {}) {
+        const title = `Dispatch List - ${by === 'operator' ? 'Operators' : 'Machines'}`;
+        return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <title>${title}</title>
+    <style>
+        @page { size: A4 landscape; margin: 10mm; }
+        body { font-family: Arial, sans-serif; color: #222; margin: 0; font-size: 10pt; }
+        .dispatch-list { page-break-after: always; break-after: page; }
+        .dispatch-list:last-child { page-break-after: auto; break-after: auto; }
+        .dispatch-window { color: #555; margin-bottom: 3mm; }
+        h3 { margin: 0 0 2mm; font-size: 16pt; }
+        table { width: 100%; border-collapse: collapse; }
+        th, td { border: 1px solid #444; padding: 1.5mm; text-align: left; vertical-align: top; }
+        th { background: #eee; }
+        .nowrap { white-space: nowrap; }
+    </style>
+</head>
+<body>
+<div class="dispatch-window">${this.escape(title)} · ${this.escape(this.describeWindows(windows))}</div>
+${this.renderHtml(lists, { by, hideIdle })}
+</body>
+</html>`;
+    }
+
+    /**
+     * Flat rows of one list for the ExcelExporter dispatch sheets
+     */
+    static toSheetRows(list, by = 'machine') {
+        return list.entries.map((entry, index) => ({
+            Sequence: index + 1,
+            Shift: entry.shift,
+            Order_Number: entry.row.Order_Number || '',
+            PartNumber: entry.row.PartNumber || '',
+            Batch_ID: entry.row.Batch_ID || '',
+            Batch_Qty: entry.row.Batch_Qty || 0,
+            OperationSeq: entry.row.OperationSeq,
+            OperationName: entry.row.OperationName || '',
+            [by === 'operator' ? 'Machine' : 'Person']: (by === 'operator' ? entry.row.Machine : entry.row.Person) || '',
+            SetupStart: entry.row.SetupStart,
+            SetupEnd: entry.row.SetupEnd,
+            ...(by === 'operator' ? {} : { RunStart: entry.row.RunStart, RunEnd: entry.row.RunEnd }),
+            WaitingOn: DispatchListBuilder.describeWaitingOn(entry.waitingOn)
+        }));
+    }
+
+    formatTime(time) {
+        const date = new Date(time);
+        const pad = number => String(number).padStart(2, '0');
+        return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} ${pad(date.getHours())}:${pad(date.getMinutes())}`;
+    }
+
+    escape(value) {
+        return String(value ?? '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    /**
+     * Row times are local "YYYY-MM-DD HH:MM" strings from the engine
+     */
+    parseTime(value) {
+        if (!value) return null;
+        const time = new Date(String(value).replace(' ', 'T')).getTime();
+        return isNaN(time) ? null : time;
+    }
+}
+
+// Make available globally in browser
+if (typeof window !== 'undefined') {
+    window.DispatchListBuilder = DispatchListBuilder;
+}
+
+// Export for use in different environments
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { DispatchListBuilder };
+}
@@ -1,6 +1,9 @@
 /**
  * Excel Export Module - Production Scheduler
  * Creates Excel files with 5 separate sheets: Input, Output, Output_2, Client_Out, Setup_Output
+ * plus an optional Changes sheet when a schedule diff is passed in, and optional dispatch sheets
+ * (one per machine and operator, from DispatchListBuilder)
+ * Rows are grouped and reported per order (Order_Number), so two orders for one part stay apart
  * Uses SheetJS (XLSX) library for browser-based Excel generation
  */
 
@@ -13,8 +16,10 @@ class ExcelExporter {
      * Main export function - creates Excel file with 5 sheets
      * @param {Object} scheduleData - The schedule results object with rows array
      * @param {string} filename - Optional custom filename
+     * @param {Object} options - Optional { changes: result of ScheduleDiff.compare() } adds a Changes sheet;
+     *                            { dispatch: { machines, operators } (DispatchListBuilder.build() lists) } adds dispatch sheets
      */
-    exportToExcel(scheduleData, filename = null) {
+    exportToExcel(scheduleData, filename = null, options = {}) {
         try {
             if (!scheduleData || !scheduleData.rows || scheduleData.rows.length === 0) {
                 throw new Error('No data to export');
@@ -37,6 +42,16 @@ class ExcelExporter {
             XLSX.utils.book_append_sheet(workbook, clientOutSheet, "Client_Out");
             XLSX.utils.book_append_sheet(workbook, setupOutputSheet, "Setup_Output");
 
+            if (options.changes) {
+                XLSX.utils.book_append_sheet(workbook, this.createChangesSheet(options.changes), "Changes");
+            }
+
+            if (options.dispatch) {
+                this.createDispatchSheets(options.dispatch).forEach(({ name, sheet }) => {
+                    XLSX.utils.book_append_sheet(workbook, sheet, name);
+                });
+            }
+
             // Generate filename if not provided
             if (!filename) {
                 const timestamp = new Date().toISOString().slice(0, 19).replace(/:/g, '-');
@@ -69,6 +84,7 @@ class ExcelExporter {
      */
     createOutputSheet(rows) {
         const outputData = rows.map(row => ({
+            Order_Number: row.Order_Number || '',
             PartNumber: row.PartNumber || '',
             Order_Quantity: row.Order_Quantity || 0,
             Priority: (row.Priority || 'normal').toLowerCase(),
@@ -90,11 +106,12 @@ class ExcelExporter {
             Machine_Availability_STATUS: this.getMachineAvailabilityStatus(row.Machine)
         }));
 
-        // Add TOTAL row at the end if there are multiple operations
+        // Add TOTAL row at the end: span of the whole schedule
         if (rows.length > 0) {
-            const totalTiming = this.calculateTotalTiming(rows, rows[0].PartNumber);
+            const totalTiming = this.calculateTotalTiming(rows);
             outputData.push({
-                PartNumber: 'TOTAL (Timing)',
+                Order_Number: 'TOTAL (Timing)',
+                PartNumber: '',
                 Order_Quantity: '',
                 Priority: '',
                 Batch_ID: '',
@@ -130,12 +147,16 @@ class ExcelExporter {
         const inputData = [];
         
         if (scheduleData.rows && scheduleData.rows.length > 0) {
-            // Group by PartNumber to get unique input parameters
-            const uniqueParts = {};
+            // Group by order to get unique input parameters
+            const uniqueOrders = {};
             
             scheduleData.rows.forEach(row => {
-                if (!uniqueParts[row.PartNumber]) {
-                    uniqueParts[row.PartNumber] = {
+                const orderKey = this.orderKey(row);
+                if (!uniqueOrders[orderKey]) {
+                    uniqueOrders[orderKey] = {
+                        Order_Number: row.Order_Number || '',
+                        Customer: row.Customer || '',
+                        PO_Number: row.PO_Number || '',
                         PartNumber: row.PartNumber || '',
                         OperationSeq: row.OperationSeq || 1,
                         Order_Quantity: row.Order_Quantity || 0,
@@ -148,18 +169,22 @@ class ExcelExporter {
                         Setup_Availability_Window: this.getSetupWindow(),
                         Shift_1: this.getShift1(),
                         Shift_2: this.getShift2(),
-                        Shift_3: this.getShift3()
+                        Shift_3: this.getShift3(),
+                        EligibleMachines: this.getEligibleMachines(scheduleData.rows, orderKey)
                     };
                 }
             });
             
             // Convert to array format
-            inputData.push(...Object.values(uniqueParts));
+            inputData.push(...Object.values(uniqueOrders));
         }
         
         // If no data, add a sample row with headers
         if (inputData.length === 0) {
             inputData.push({
+                Order_Number: '',
+                Customer: '',
+                PO_Number: '',
                 PartNumber: '',
                 OperationSeq: '',
                 Order_Quantity: '',
@@ -172,31 +197,54 @@ class ExcelExporter {
                 Setup_Availability_Window: '',
                 Shift_1: '',
                 Shift_2: '',
-                Shift_3: ''
+                Shift_3: '',
+                EligibleMachines: ''
             });
         }
 
         return XLSX.utils.json_to_sheet(inputData);
     }
 
+    /**
+     * Eligible machines of each operation of an order, with their own times and ranks,
+     * e.g. "Op1: VMC 1 (rank=1), VMC 7 (cycle=12.6) | Op2: VMC 2"
+     * @param {Array} rows - All schedule rows
+     * @param {string} orderKey - Result of orderKey()
+     * @returns {string} Eligible machines per operation
+     */
+    getEligibleMachines(rows, orderKey) {
+        const byOperation = new Map();
+        this.rowsForOrder(rows, orderKey).forEach(row => {
+            if (row.EligibleMachines && !byOperation.has(row.OperationSeq)) byOperation.set(row.OperationSeq, row.EligibleMachines);
+        });
+        return [...byOperation.entries()]
+            .sort((a, b) => a[0] - b[0])
+            .map(([seq, machines]) => `Op${seq}: ${machines}`)
+            .join(' | ');
+    }
+
     /**
      * Creates the Client_Out sheet with simplified information for clients
      * @param {Array} rows - Array of schedule result rows
      * @returns {Object} XLSX worksheet object
      */
     createClientOutSheet(rows) {
-        // Group by PartNumber to avoid duplicates for clients
+        // One line per order; orders for the same part keep their own timing and delivery date
         const clientData = {};
         
         rows.forEach(row => {
-            const partNumber = row.PartNumber;
-            if (!clientData[partNumber]) {
-                clientData[partNumber] = {
-                    PartNumber: partNumber,
+            const orderKey = this.orderKey(row);
+            if (!clientData[orderKey]) {
+                clientData[orderKey] = {
+                    Order_Number: row.Order_Number || '',
+                    Customer: row.Customer || '',
+                    PO_Number: row.PO_Number || '',
+                    PartNumber: row.PartNumber || '',
                     Order_Quantity: row.Order_Quantity || 0,
-                    Timing: this.calculateTotalTiming(rows, partNumber),
-                    'Start Date': this.getEarliestStartDate(rows, partNumber),
-                    'Expected Delivery Date': this.getLatestEndDate(rows, partNumber)
+                    DueDate: row.DueDate || '',
+                    Timing: this.calculateTotalTiming(rows, orderKey),
+                    'Start Date': this.getEarliestStartDate(rows, orderKey),
+                    'Expected Delivery Date': this.getLatestEndDate(rows, orderKey)
                 };
             }
         });
@@ -212,6 +260,7 @@ class ExcelExporter {
      */
     createSetupOutputSheet(rows) {
         const setupData = rows.map(row => ({
+            Order_Number: row.Order_Number || '',
             PartNumber: row.PartNumber || '',
             Order_Quantity: row.Order_Quantity || 0,
             Batch_Qty: row.Batch_Qty || 0,
@@ -226,6 +275,107 @@ class ExcelExporter {
         return XLSX.utils.json_to_sheet(setupData);
     }
 
+    /**
+     * Creates the Changes sheet listing what moved between two schedule runs
+     * @param {Object} diff - Result of ScheduleDiff.compare()
+     * @returns {Object} XLSX worksheet object
+     */
+    createChangesSheet(diff) {
+        const describe = typeof ScheduleDiff !== 'undefined' ? ScheduleDiff.describe : (type => type);
+        const changesData = (diff.changes || []).map(change => ({
+            Order_Number: change.Order_Number || '',
+            PartNumber: change.PartNumber || '',
+            Batch_ID: change.Batch_ID || '',
+            OperationSeq: change.OperationSeq || '',
+            Change: describe(change.type),
+            Before: change.before || '',
+            After: change.after || '',
+            Shift_Min: change.shiftMinutes ?? ''
+        }));
+
+        if (changesData.length === 0) {
+            changesData.push({ PartNumber: `No changes (threshold ${diff.thresholdMinutes} min)` });
+        }
+
+        return XLSX.utils.json_to_sheet(changesData);
+    }
+
+    /**
+     * Creates one dispatch sheet per machine ("M <name>") and operator ("OP <name>") with work in the shifts
+     * @param {Object} dispatch - { machines, operators } lists from DispatchListBuilder.build()
+     * @returns {Array} [{ name, sheet }]
+     */
+    createDispatchSheets(dispatch) {
+        const sheets = [];
+        const usedNames = new Set();
+        [['machines', 'machine', 'M'], ['operators', 'operator', 'OP']].forEach(([key, by, prefix]) => {
+            (dispatch[key] || []).filter(list => list.entries.length > 0).forEach(list => {
+                // Sheet names: max 31 characters, no []:*?/\ and unique
+                let name = `${prefix} ${list.name}`.replace(/[\[\]:*?/\\]/g, '-').slice(0, 31);
+                for (let n = 2; usedNames.has(name); n++) name = `${name.slice(0, 28)} ${n}`;
+                usedNames.add(name);
+                sheets.push({ name, sheet: XLSX.utils.json_to_sheet(DispatchListBuilder.toSheetRows(list, by)) });
+            });
+        });
+        return sheets;
+    }
+
+    /**
+     * Export a routing import validation report: an Issues sheet plus a Summary sheet
+     * @param {Object} report - Result of RoutingValidator.validate()
+     * @param {string} filename - Optional custom filename
+     */
+    exportValidationReport(report, filename = null) {
+        try {
+            const workbook = XLSX.utils.book_new();
+
+            const issuesData = report.issues.map(issue => ({
+                Sheet: issue.sheet,
+                Row: issue.row,
+                Column: issue.column,
+                Severity: issue.severity,
+                Problem: issue.problem,
+                Value: issue.value
+            }));
+            if (issuesData.length === 0) {
+                issuesData.push({ Sheet: report.sheetName, Problem: 'No issues found' });
+            }
+
+            const summaryData = [
+                { Item: 'Sheet', Value: report.sheetName },
+                { Item: 'Rows checked', Value: report.summary.totalRows },
+                { Item: 'Clean rows', Value: report.summary.cleanRows },
+                { Item: 'Rejected rows', Value: report.summary.rejectedRows },
+                { Item: 'Errors', Value: report.summary.errors },
+                { Item: 'Warnings', Value: report.summary.warnings }
+            ];
+
+            XLSX.utils.book_append_sheet(workbook, XLSX.utils.json_to_sheet(issuesData), "Issues");
+            XLSX.utils.book_append_sheet(workbook, XLSX.utils.json_to_sheet(summaryData), "Summary");
+
+            if (!filename) {
+                const timestamp = new Date().toISOString().slice(0, 19).replace(/:/g, '-');
+                filename = `routing_import_report_${timestamp}.xlsx`;
+            }
+
+            XLSX.writeFile(workbook, filename);
+
+            return {
+                success: true,
+                filename: filename,
+                message: 'Validation report exported successfully!'
+            };
+
+        } catch (error) {
+            console.error('Validation report export error:', error);
+            return {
+                success: false,
+                error: error.message,
+                message: 'Error exporting validation report: ' + error.message
+            };
+        }
+    }
+
     /**
      * Creates the Output_2 sheet with simplified machine-focused information
      * Matches the exact format from Output_2.csv
@@ -234,6 +384,7 @@ class ExcelExporter {
      */
     createOutput2Sheet(rows) {
         const output2Data = rows.map(row => ({
+            'Order Number': row.Order_Number || '',
             'Part Number': row.PartNumber || '',
             'Quantity': row.Order_Quantity || 0,
             'Batch Size': row.Batch_Qty || 0,
@@ -376,10 +527,8 @@ class ExcelExporter {
         const day = String(date.getDate()).padStart(2, '0');
         const month = String(date.getMonth() + 1).padStart(2, '0');
         const year = date.getFullYear();
-        const hour = String(date.getHours()).padStart(2, '0');
-        const minute = String(date.getMinutes()).padStart(2, '0');
         
-        return `${year}-${month}-${day} ${hour}:${minute}`;
+        return `${year}-${month}-${day} ${this.formatClock(date)}`;
     }
 
     /**
@@ -395,31 +544,48 @@ class ExcelExporter {
         const day = String(date.getDate()).padStart(2, '0');
         const month = String(date.getMonth() + 1).padStart(2, '0');
         const year = date.getFullYear();
-        const hour = String(date.getHours()).padStart(2, '0');
-        const minute = String(date.getMinutes()).padStart(2, '0');
         
-        return `${day}-${month}-${year} ${hour}:${minute}`;
+        return `${day}-${month}-${year} ${this.formatClock(date)}`;
+    }
+
+    /**
+     * Order a schedule row belongs to; rows saved before order numbers fall back to the order id or part
+     * @param {Object} row - Schedule row
+     * @returns {string} Order key
+     */
+    orderKey(row) {
+        return String(row.Order_Number || row.Order_ID || row.PartNumber);
+    }
+
+    /**
+     * Rows of one order, or every row when no order key is given
+     * @param {Array} rows - All schedule rows
+     * @param {string|null} orderKey - Result of orderKey()
+     * @returns {Array} Matching rows
+     */
+    rowsForOrder(rows, orderKey = null) {
+        return rows.filter(row => row && (orderKey === null || this.orderKey(row) === orderKey));
     }
 
     /**
-     * Calculate total timing for a part number across all operations
+     * Calculate total timing for an order across all operations
      * @param {Array} rows - All schedule rows
-     * @param {string} partNumber - Part number to calculate for
+     * @param {string|null} orderKey - Order to calculate for; null spans the whole schedule
      * @returns {string} Total timing
      */
-    calculateTotalTiming(rows, partNumber) {
+    calculateTotalTiming(rows, orderKey = null) {
         if (!rows || !Array.isArray(rows) || rows.length === 0) return '0M';
         
-        const partRows = rows.filter(row => row && row.PartNumber === partNumber);
-        if (partRows.length === 0) return '0M';
+        const orderRows = this.rowsForOrder(rows, orderKey);
+        if (orderRows.length === 0) return '0M';
 
-        const firstStart = partRows.reduce((earliest, row) => {
+        const firstStart = orderRows.reduce((earliest, row) => {
             if (!row || !row.SetupStart) return earliest;
             const startTime = this.parseDateTime(row.SetupStart);
             return !earliest || (startTime && startTime < earliest) ? startTime : earliest;
         }, null);
 
-        const lastEnd = partRows.reduce((latest, row) => {
+        const lastEnd = orderRows.reduce((latest, row) => {
             if (!row || !row.RunEnd) return latest;
             const endTime = this.parseDateTime(row.RunEnd);
             return !latest || (endTime && endTime > latest) ? endTime : latest;
@@ -432,18 +598,18 @@ class ExcelExporter {
     }
 
     /**
-     * Get earliest start date for a part number
+     * Get earliest start date for an order
      * @param {Array} rows - All schedule rows
-     * @param {string} partNumber - Part number
+     * @param {string} orderKey - Result of orderKey()
      * @returns {string} Earliest start date
      */
-    getEarliestStartDate(rows, partNumber) {
+    getEarliestStartDate(rows, orderKey) {
         if (!rows || !Array.isArray(rows) || rows.length === 0) return '';
 
-        const partRows = rows.filter(row => row && row.PartNumber === partNumber);
-        if (partRows.length === 0) return '';
+        const orderRows = this.rowsForOrder(rows, orderKey);
+        if (orderRows.length === 0) return '';
 
-        const earliestStart = partRows.reduce((earliest, row) => {
+        const earliestStart = orderRows.reduce((earliest, row) => {
             if (!row || !row.SetupStart) return earliest;
             const startTime = this.parseDateTime(row.SetupStart);
             return !earliest || (startTime && startTime < earliest) ? startTime : earliest;
@@ -453,16 +619,16 @@ class ExcelExporter {
     }
 
     /**
-     * Get latest end date for a part number
+     * Get latest end date for an order
      * @param {Array} rows - All schedule rows
-     * @param {string} partNumber - Part number
+     * @param {string} orderKey - Result of orderKey()
      * @returns {string} Latest end date
      */
-    getLatestEndDate(rows, partNumber) {
-        const partRows = rows.filter(row => row.PartNumber === partNumber);
-        if (partRows.length === 0) return '';
+    getLatestEndDate(rows, orderKey) {
+        const orderRows = this.rowsForOrder(rows, orderKey);
+        if (orderRows.length === 0) return '';
 
-        const latestEnd = partRows.reduce((latest, row) => {
+        const latestEnd = orderRows.reduce((latest, row) => {
             const endTime = this.parseDateTime(row.RunEnd);
             return !latest || endTime > latest ? endTime : latest;
         }, null);
@@ -511,20 +677,35 @@ class ExcelExporter {
     formatDuration(ms) {
         if (!ms || ms <= 0) return '0M';
         
-        let minutes = Math.round(ms / 60000);
-        const days = Math.floor(minutes / 1440);
-        minutes -= days * 1440;
-        const hours = Math.floor(minutes / 60);
-        minutes -= hours * 60;
+        let seconds = Math.round(ms / 1000);
+        const days = Math.floor(seconds / 86400);
+        seconds -= days * 86400;
+        const hours = Math.floor(seconds / 3600);
+        seconds -= hours * 3600;
+        const minutes = Math.floor(seconds / 60);
+        seconds -= minutes * 60;
         
         const parts = [];
         if (days > 0) parts.push(`${days}D`);
         if (hours > 0) parts.push(`${hours}H`);
         if (minutes > 0) parts.push(`${minutes}M`);
+        if (seconds > 0) parts.push(`${seconds}S`);
         
         return parts.join(' ') || '0M';
     }
 
+    /**
+     * Time of day as HH:mm, or HH:mm:ss when sub-minute cycle times leave seconds
+     * @param {Date} date - Date object
+     * @returns {string} Formatted time
+     */
+    formatClock(date) {
+        const hour = String(date.getHours()).padStart(2, '0');
+        const minute = String(date.getMinutes()).padStart(2, '0');
+        const second = date.getSeconds();
+        return second > 0 ? `${hour}:${minute}:${String(second).padStart(2, '0')}` : `${hour}:${minute}`;
+    }
+
     /**
      * Format date to readable string
      * @param {Date} date - Date object
@@ -536,10 +717,8 @@ class ExcelExporter {
         const day = String(date.getDate()).padStart(2, '0');
         const month = String(date.getMonth() + 1).padStart(2, '0');
         const year = date.getFullYear();
-        const hour = String(date.getHours()).padStart(2, '0');
-        const minute = String(date.getMinutes()).padStart(2, '0');
         
-        return `${year}-${month}-${day} ${hour}:${minute}`;
+        return `${year}-${month}-${day} ${this.formatClock(date)}`;
     }
 
     /**
@@ -559,14 +738,16 @@ class ExcelExporter {
      */
     getExportStats(scheduleData) {
         if (!scheduleData || !scheduleData.rows) {
-            return { totalRows: 0, uniqueParts: 0, totalOperations: 0 };
+            return { totalRows: 0, uniqueOrders: 0, uniqueParts: 0, totalOperations: 0 };
         }
 
+        const uniqueOrders = new Set(scheduleData.rows.map(row => this.orderKey(row)));
         const uniqueParts = new Set(scheduleData.rows.map(row => row.PartNumber));
         const totalOperations = scheduleData.rows.length;
 
         return {
             totalRows: scheduleData.rows.length,
+            uniqueOrders: uniqueOrders.size,
             uniqueParts: uniqueParts.size,
             totalOperations: totalOperations,
             sheets: ['Input', 'Output', 'Output_2', 'Client_Out', 'Setup_Output']
@@ -0,0 +1,177 @@
+/**
+ * Execution Tracking Module - Production Scheduler
+ * Shop-floor events recorded against the operation rows of a schedule run: setup started/finished,
+ * run started, good/scrap piece counts and run finished. Events are only ever added; summarize()
+ * turns them into the actual times and counts per row, shown next to the plan in the results table.
+ * Shared by the browser and the /api/runs/:runId/actuals endpoints, so both check events the same way.
+ */
+
+class ExecutionTracker {
+    constructor() {
+        this.version = '1.0.0';
+    }
+
+    /**
+     * Events in the order an operation goes through them, with the event that must come first
+     */
+    static get EVENTS() {
+        return {
+            setup_started: { label: 'Start setup', requires: null },
+            setup_finished: { label: 'Finish setup', requires: 'setup_started' },
+            run_started: { label: 'Start run', requires: 'setup_finished' },
+            pieces: { label: 'Count pieces', requires: 'run_started' },
+            run_finished: { label: 'Finish run', requires: 'run_started' }
+        };
+    }
+
+    /**
+     * Order key of a result row, shared by the exports, the diff, job cards, dispatch lists and reschedule:
+     * the order number, falling back to the order id and then the part for rows saved before either existed
+     */
+    static orderKey(row) {
+        return String(row.Order_Number || row.Order_ID || row.PartNumber);
+    }
+
+    /**
+     * Key of one operation row: order, batch and operation
+     */
+    static rowKey(row) {
+        return `${ExecutionTracker.orderKey(row)}|${row.Batch_ID}|${row.OperationSeq}`;
+    }
+
+    static eventRowKey(event) {
+        return `${event.orderKey}|${event.batchId}|${event.operationSeq}`;
+    }
+
+    /**
+     * Actual state per operation row
+     * @param {Array} events - [{ orderKey, batchId, operationSeq, event, occurredAt, goodQty, scrapQty }]
+     * @returns {Map} rowKey -> { status, setupStart, setupEnd, runStart, runEnd, goodQty, scrapQty, lastAt }
+     */
+    summarize(events) {
+        const actuals = new Map();
+        [...(events || [])]
+            .sort((a, b) => new Date(a.occurredAt) - new Date(b.occurredAt))
+            .forEach(event => {
+                const key = ExecutionTracker.eventRowKey(event);
+                if (!actuals.has(key)) {
+                    actuals.set(key, {
+                        status: 'not_started',
+                        setupStart: null,
+                        setupEnd: null,
+                        runStart: null,
+                        runEnd: null,
+                        goodQty: 0,
+                        scrapQty: 0,
+                        lastAt: null
+                    });
+                }
+                const actual = actuals.get(key);
+                actual.goodQty += Number(event.goodQty) || 0;
+                actual.scrapQty += Number(event.scrapQty) || 0;
+                actual.lastAt = event.occurredAt;
+
+                if (event.event === 'setup_started') {
+                    actual.setupStart = event.occurredAt;
+                    actual.status = 'setup';
+                } else if (event.event === 'setup_finished') {
+                    actual.setupEnd = event.occurredAt;
+                    actual.status = 'setup_done';
+                } else if (event.event === 'run_started') {
+                    actual.runStart = event.occurredAt;
+                    actual.status = 'running';
+                } else if (event.event === 'run_finished') {
+                    actual.runEnd = event.occurredAt;
+                    actual.status = 'done';
+                }
+            });
+        return actuals;
+    }
+
+    /**
+     * Problems with a new event for a run; empty when it can be recorded
+     * @param {Object} event - { orderKey, batchId, operationSeq, event, occurredAt, goodQty, scrapQty }
+     * @param {Array} rows - Rows of the schedule run
+     * @param {Array} events - Events already recorded for the run
+     * @returns {Array} Error messages
+     */
+    checkEvent(event, rows, events) {
+        const definition = ExecutionTracker.EVENTS[event.event];
+        if (!definition) return [`Unknown event ${event.event}`];
+
+        const key = ExecutionTracker.eventRowKey(event);
+        if (!(rows || []).some(row => ExecutionTracker.rowKey(row) === key)) {
+            return [`Operation ${event.operationSeq} of ${event.orderKey} batch ${event.batchId} is not in this schedule run`];
+        }
+
+        const errors = [];
+        const previous = (events || []).filter(recorded => ExecutionTracker.eventRowKey(recorded) === key);
+        const recorded = name => previous.some(existing => existing.event === name);
+        if (definition.requires && !recorded(definition.requires)) {
+            errors.push(`${definition.label}: ${ExecutionTracker.EVENTS[definition.requires].label.toLowerCase()} first`);
+        }
+        if (event.event !== 'pieces' && recorded(event.event)) {
+            errors.push(`${definition.label} is already recorded for this operation`);
+        }
+        if (event.event === 'pieces' && recorded('run_finished')) {
+            errors.push('The run is already finished');
+        }
+
+        const goodQty = event.goodQty ?? 0;
+        const scrapQty = event.scrapQty ?? 0;
+        if (!Number.isInteger(goodQty) || goodQty < 0 || !Number.isInteger(scrapQty) || scrapQty < 0) {
+            errors.push('Piece counts must be whole numbers of 0 or more');
+        } else if (event.event === 'pieces' && goodQty + scrapQty === 0) {
+            errors.push('Count at least one good or scrap piece');
+        } else if ((goodQty > 0 || scrapQty > 0) && !['pieces', 'run_finished'].includes(event.event)) {
+            errors.push('Pieces can only be counted while the run is going or when it finishes');
+        }
+
+        const occurredAt = new Date(event.occurredAt).getTime();
+        if (isNaN(occurredAt)) {
+            errors.push('occurredAt must be a valid date/time');
+        } else if (previous.some(existing => new Date(existing.occurredAt).getTime() > occurredAt)) {
+            errors.push('occurredAt is before an event already recorded for this operation');
+        }
+        return errors;
+    }
+
+    /**
+     * Events that can come next for an operation, given its actual state
+     */
+    nextEvents(actual) {
+        const status = actual ? actual.status : 'not_started';
+        return {
+            not_started: ['setup_started'],
+            setup: ['setup_finished'],
+            setup_done: ['run_started'],
+            running: ['pieces', 'run_finished'],
+            done: []
+        }[status];
+    }
+
+    /**
+     * Minutes the actual times are later (+) or earlier (-) than planned; null where nothing is recorded yet
+     */
+    variance(row, actual) {
+        const minutes = (actualTime, plannedTime) => {
+            if (!actualTime || !plannedTime) return null;
+            const planned = new Date(String(plannedTime).replace(' ', 'T')).getTime();
+            return Math.round((new Date(actualTime).getTime() - planned) / 60000);
+        };
+        return {
+            setupStart: minutes(actual && actual.setupStart, row.SetupStart),
+            runEnd: minutes(actual && actual.runEnd, row.RunEnd)
+        };
+    }
+}
+
+// Make available globally in browser
+if (typeof window !== 'undefined') {
+    window.ExecutionTracker = ExecutionTracker;
+}
+
+// Export for use in different environments
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ExecutionTracker };
+}
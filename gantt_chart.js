@@ -0,0 +1,312 @@
+/**
+ * Gantt Chart Module - Production Scheduler
+ * Draws schedule results as a timeline: one lane per machine (setup + run bars) or
+ * one lane per operator (setup bars), with holiday and breakdown shading.
+ * Lanes come from the engine timeline (runScheduling().timeline) when present, otherwise from the rows.
+ * In the machine view bars can be dragged to another lane or time; the caller decides what a move means.
+ */
+
+class GanttChart {
+    /**
+     * @param {HTMLElement} container - Element the chart is drawn into
+     */
+    constructor(container) {
+        this.version = '1.0.0';
+        this.container = container;
+        this.tooltip = null;
+        this.drag = null;
+        this.dragListeners = null;
+    }
+
+    /**
+     * Pixels per hour and axis tick spacing; each level fits roughly a shift, a day or a week on screen
+     */
+    static get ZOOM_LEVELS() {
+        return {
+            shift: { pxPerHour: 120, tickHours: 1 },
+            day: { pxPerHour: 40, tickHours: 2 },
+            week: { pxPerHour: 6, tickHours: 24 }
+        };
+    }
+
+    static get PRIORITY_COLORS() {
+        return {
+            urgent: '#dc3545',
+            high: '#fd7e14',
+            normal: '#667eea',
+            low: '#6c757d'
+        };
+    }
+
+    /**
+     * Draw the chart
+     * @param {Object} scheduleData - { rows, timeline } as returned by runScheduling()
+     * @param {Object} options - { view: 'machines' | 'operators', zoom: 'shift' | 'day' | 'week', colorBy: 'order' | 'priority',
+     *                            onMove: ({ rowIndex, machine, setupStart }) => void, called when a bar is dropped in the machine view }
+     */
+    render(scheduleData, { view = 'machines', zoom = 'day', colorBy = 'order', onMove = null } = {}) {
+        const rows = (scheduleData && scheduleData.rows) || [];
+        const timeline = (scheduleData && scheduleData.timeline) || null;
+
+        if (rows.length === 0) {
+            this.container.innerHTML = '<div class="empty-state">No results to display</div>';
+            return;
+        }
+
+        const zoomLevel = GanttChart.ZOOM_LEVELS[zoom] || GanttChart.ZOOM_LEVELS.day;
+        const range = this.getTimeRange(rows);
+        const width = Math.ceil((range.end - range.start) / 3600000 * zoomLevel.pxPerHour);
+        const toX = time => (time - range.start) / 3600000 * zoomLevel.pxPerHour;
+
+        const laneKey = view === 'operators' ? 'Person' : 'Machine';
+        const lanes = this.getLanes(rows, timeline, view, laneKey);
+        const holidays = timeline ? timeline.holidays || [] : [];
+        const breakdowns = timeline ? timeline.breakdowns || {} : {};
+
+        const header = this.renderTimeAxis(range, zoomLevel, toX, width);
+        const laneHtml = lanes.map(lane => {
+            const shading = [
+                ...holidays.map(period => this.renderShade(period, 'holiday', toX, range)),
+                ...(view === 'machines' ? (breakdowns[lane] || []).map(period => this.renderShade(period, 'breakdown', toX, range)) : [])
+            ].join('');
+
+            const bars = rows
+                .map((row, index) => ({ row, index }))
+                .filter(({ row }) => row[laneKey] === lane)
+                .map(({ row, index }) => {
+                    const segments = [this.renderBar(row, index, 'setup', row.SetupStart, row.SetupEnd, toX, colorBy)];
+                    if (view === 'machines') {
+                        segments.push(this.renderBar(row, index, 'run', row.RunStart, row.RunEnd, toX, colorBy));
+                    }
+                    return segments.join('');
+                }).join('');
+
+            return `
+                <div class="gantt-lane" data-lane="${lane}">
+                    <div class="gantt-lane-label">${lane}</div>
+                    <div class="gantt-lane-track" style="width: ${width}px;">${shading}${bars}</div>
+                </div>
+            `;
+        }).join('');
+
+        this.container.innerHTML = `
+            <div class="gantt-chart">
+                ${header}
+                ${laneHtml}
+            </div>
+            <div class="gantt-legend">
+                <span><i class="gantt-swatch gantt-swatch-setup"></i> Setup</span>
+                <span><i class="gantt-swatch gantt-swatch-run"></i> Run</span>
+                <span><i class="gantt-swatch gantt-swatch-late"></i> Late</span>
+                <span>🔒 Locked</span>
+                <span><i class="gantt-swatch gantt-shade-holiday"></i> Holiday</span>
+                ${view === 'machines' ? '<span><i class="gantt-swatch gantt-shade-breakdown"></i> Breakdown</span>' : ''}
+            </div>
+        `;
+
+        this.attachTooltip(rows);
+        if (view === 'machines' && onMove) {
+            this.attachDrag(rows, zoomLevel, onMove);
+        }
+    }
+
+    /**
+     * Lanes in engine order (all machines/operators, including idle ones), then any extra names found in the rows
+     */
+    getLanes(rows, timeline, view, laneKey) {
+        const fromTimeline = timeline && timeline[view] ? Object.keys(timeline[view]) : [];
+        const fromRows = [...new Set(rows.map(row => row[laneKey]).filter(Boolean))].sort();
+        return [...fromTimeline, ...fromRows.filter(name => !fromTimeline.includes(name))];
+    }
+
+    /**
+     * Chart span: from the start of the first setup's day to the end of the last run's day
+     */
+    getTimeRange(rows) {
+        let start = Infinity;
+        let end = -Infinity;
+        rows.forEach(row => {
+            const setupStart = this.parseTime(row.SetupStart);
+            const runEnd = this.parseTime(row.RunEnd);
+            if (setupStart && setupStart < start) start = setupStart;
+            if (runEnd && runEnd > end) end = runEnd;
+        });
+
+        const rangeStart = new Date(start);
+        rangeStart.setHours(0, 0, 0, 0);
+        const rangeEnd = new Date(end);
+        rangeEnd.setHours(24, 0, 0, 0);
+        return { start: rangeStart.getTime(), end: rangeEnd.getTime() };
+    }
+
+    renderTimeAxis(range, zoomLevel, toX, width) {
+        const ticks = [];
+        for (let t = range.start; t < range.end; t += zoomLevel.tickHours * 3600000) {
+            const date = new Date(t);
+            const label = zoomLevel.tickHours >= 24
+                ? `${date.getMonth() + 1}/${date.getDate()}`
+                : date.getHours() === 0
+                    ? `${date.getMonth() + 1}/${date.getDate()}`
+                    : `${String(date.getHours()).padStart(2, '0')}:00`;
+            ticks.push(`<div class="gantt-tick" style="left: ${toX(t)}px;">${label}</div>`);
+        }
+
+        return `
+            <div class="gantt-lane gantt-axis">
+                <div class="gantt-lane-label"></div>
+                <div class="gantt-lane-track" style="width: ${width}px;">${ticks.join('')}</div>
+            </div>
+        `;
+    }
+
+    renderBar(row, index, segment, from, to, toX, colorBy) {
+        const start = this.parseTime(from);
+        const end = this.parseTime(to);
+        if (!start || !end || end <= start) return '';
+
+        const late = typeof ScheduleDiff !== 'undefined' && ScheduleDiff.isLate(row);
+        const color = colorBy === 'priority'
+            ? GanttChart.PRIORITY_COLORS[String(row.Priority || 'normal').toLowerCase()] || GanttChart.PRIORITY_COLORS.normal
+            : this.colorForOrder(row.Order_Number || row.Order_ID || row.PartNumber);
+
+        return `<div class="gantt-bar gantt-bar-${segment}${late ? ' gantt-bar-late' : ''}${row.Locked ? ' gantt-bar-locked' : ''}"
+            data-row="${index}" data-segment="${segment}"
+            style="left: ${toX(start)}px; width: ${Math.max(2, toX(end) - toX(start))}px; background: ${color};">${row.Locked && segment === 'setup' ? '🔒' : ''}</div>`;
+    }
+
+    renderShade(period, type, toX, range) {
+        const start = Math.max(new Date(period.start).getTime(), range.start);
+        const end = Math.min(new Date(period.end).getTime(), range.end);
+        if (end <= start) return '';
+        return `<div class="gantt-shade gantt-shade-${type}" title="${period.reason || type}"
+            style="left: ${toX(start)}px; width: ${toX(end) - toX(start)}px;"></div>`;
+    }
+
+    /**
+     * Stable color per order so every batch of an order shares one hue
+     */
+    colorForOrder(orderKey) {
+        let hash = 0;
+        String(orderKey).split('').forEach(ch => { hash = (hash * 31 + ch.charCodeAt(0)) % 360; });
+        return `hsl(${hash}, 60%, 50%)`;
+    }
+
+    attachTooltip(rows) {
+        if (!this.tooltip) {
+            this.tooltip = document.createElement('div');
+            this.tooltip.className = 'gantt-tooltip';
+            document.body.appendChild(this.tooltip);
+        }
+
+        this.container.querySelectorAll('.gantt-bar').forEach(bar => {
+            bar.addEventListener('mousemove', event => {
+                const row = rows[Number(bar.dataset.row)];
+                this.tooltip.innerHTML = this.describeRow(row, bar.dataset.segment);
+                this.tooltip.style.display = 'block';
+                this.tooltip.style.left = `${event.pageX + 12}px`;
+                this.tooltip.style.top = `${event.pageY + 12}px`;
+            });
+            bar.addEventListener('mouseleave', () => {
+                this.tooltip.style.display = 'none';
+            });
+        });
+    }
+
+    /**
+     * Drag a bar to another machine lane and/or time. Both bars of the operation move together;
+     * the new setup start is snapped to 15 minutes and handed to onMove on drop.
+     */
+    attachDrag(rows, zoomLevel, onMove) {
+        const snapMinutes = 15;
+
+        this.container.querySelectorAll('.gantt-bar').forEach(bar => {
+            bar.addEventListener('mousedown', event => {
+                event.preventDefault();
+                const rowIndex = Number(bar.dataset.row);
+                this.drag = {
+                    rowIndex,
+                    startX: event.pageX,
+                    startY: event.pageY,
+                    bars: Array.from(this.container.querySelectorAll(`.gantt-bar[data-row="${rowIndex}"]`))
+                };
+                this.drag.bars.forEach(b => b.classList.add('gantt-bar-dragging'));
+            });
+        });
+
+        const onMouseMove = event => {
+            if (!this.drag) return;
+            const dx = event.pageX - this.drag.startX;
+            const dy = event.pageY - this.drag.startY;
+            this.drag.bars.forEach(b => { b.style.transform = `translate(${dx}px, ${dy}px)`; });
+        };
+
+        const onMouseUp = event => {
+            if (!this.drag) return;
+            const drag = this.drag;
+            this.drag = null;
+            drag.bars.forEach(b => {
+                b.classList.remove('gantt-bar-dragging');
+                b.style.transform = '';
+            });
+
+            const dx = event.pageX - drag.startX;
+            const dy = event.pageY - drag.startY;
+            if (Math.abs(dx) < 3 && Math.abs(dy) < 3) return; // a click, not a drag
+
+            const target = document.elementFromPoint(event.clientX, event.clientY);
+            const lane = target && target.closest('.gantt-lane:not(.gantt-axis)');
+            const row = rows[drag.rowIndex];
+            const shiftMinutes = Math.round(dx / zoomLevel.pxPerHour * 60 / snapMinutes) * snapMinutes;
+            const setupStart = new Date(this.parseTime(row.SetupStart) + shiftMinutes * 60000);
+
+            onMove({
+                rowIndex: drag.rowIndex,
+                machine: lane ? lane.dataset.lane : row.Machine,
+                setupStart
+            });
+        };
+
+        // One pair of document listeners per chart, replaced on every render
+        if (this.dragListeners) {
+            document.removeEventListener('mousemove', this.dragListeners.move);
+            document.removeEventListener('mouseup', this.dragListeners.up);
+        }
+        this.dragListeners = { move: onMouseMove, up: onMouseUp };
+        document.addEventListener('mousemove', onMouseMove);
+        document.addEventListener('mouseup', onMouseUp);
+    }
+
+    describeRow(row, segment) {
+        const late = typeof ScheduleDiff !== 'undefined' && ScheduleDiff.isLate(row);
+        return `
+            <strong>${row.Order_Number ? `${row.Order_Number} · ` : ''}${row.PartNumber} ${row.Batch_ID} · Op ${row.OperationSeq} ${row.OperationName || ''}</strong>
+            ${row.Customer || row.PO_Number ? `<div>${[row.Customer, row.PO_Number && `PO ${row.PO_Number}`].filter(Boolean).join(' · ')}</div>` : ''}
+            <div>${segment === 'setup' ? 'Setup' : 'Run'} · ${row.Machine} · ${row.Person}</div>
+            <div>Qty ${row.Batch_Qty} of ${row.Order_Quantity} · ${row.Priority || 'Normal'}</div>
+            <div>Setup ${row.SetupStart} → ${row.SetupEnd}</div>
+            <div>Run ${row.RunStart} → ${row.RunEnd}</div>
+            <div>Timing ${row.Timing || ''}</div>
+            <div>Due ${row.DueDate || 'No Due Date'}${late ? ' · <span class="status-danger">LATE</span>' : ''}</div>
+            ${row.Locked ? '<div>🔒 Locked</div>' : ''}
+        `;
+    }
+
+    /**
+     * Row times are local "YYYY-MM-DD HH:MM" strings from the engine
+     */
+    parseTime(value) {
+        if (!value) return null;
+        const time = new Date(String(value).replace(' ', 'T')).getTime();
+        return isNaN(time) ? null : time;
+    }
+}
+
+// Make available globally in browser
+if (typeof window !== 'undefined') {
+    window.GanttChart = GanttChart;
+}
+
+// Export for use in different environments
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { GanttChart };
+}
@@ -0,0 +1,266 @@
+/**
+ * Job Cards Module - Production Scheduler
+ * Builds printable job travelers from schedule results: one card per order batch (Batch_ID) with the
+ * part, order, batch quantity and every operation's machine, operator and planned setup/run times.
+ * Each card carries a Code 128 barcode of "<order>/<batch>" for floor scanners.
+ * Cards are plain HTML with one card per printed page; the browser's print dialog saves them as PDF.
+ */
+
+class JobCardBuilder {
+    constructor() {
+        this.version = '1.0.0';
+    }
+
+    /**
+     * Code 128 symbol widths (bar, space, bar, space, bar, space) by symbol value; 103-105 are the
+     * start codes A/B/C and 106 is the stop pattern (with its final bar)
+     */
+    static get CODE128_PATTERNS() {
+        return [
+            '212222', '222122', '222221', '121223', '121322', '131222', '122213', '122312', '132212', '221213',
+            '221312', '231212', '112232', '122132', '122231', '113222', '123122', '123221', '223211', '221132',
+            '221231', '213212', '223112', '312131', '311222', '321122', '321221', '312212', '322112', '322211',
+            '212123', '212321', '232121', '111323', '131123', '131321', '112313', '132113', '132311', '211313',
+            '231113', '231311', '112133', '112331', '132131', '113123', '113321', '133121', '313121', '211331',
+            '231131', '213113', '213311', '213131', '311123', '311321', '331121', '312113', '312311', '332111',
+            '314111', '221411', '431111', '111224', '111422', '121124', '121421', '141122', '141221', '112214',
+            '112412', '122114', '122411', '142112', '142211', '241211', '221114', '413111', '241112', '134111',
+            '111242', '121142', '121241', '114212', '124112', '124211', '411212', '421112', '421211', '212141',
+            '214121', '412121', '111143', '111341', '131141', '114113', '114311', '411113', '411311', '113141',
+            '114131', '311141', '411131', '211412', '211214', '211232', '2331112'
+        ];
+    }
+
+    static tracker() {
+        if (typeof ExecutionTracker !== 'undefined') return ExecutionTracker;
+        return require('./execution_tracking.js').ExecutionTracker;
+    }
+
+    /**
+     * Order key of a result row, as used by the exports and the diff
+     */
+    static orderKey(row) {
+        return JobCardBuilder.tracker().orderKey(row);
+    }
+
+    /**
+     * Text encoded in a batch's barcode
+     */
+    static batchCode(batch) {
+        return `${batch.orderKey}/${batch.batchId}`;
+    }
+
+    /**
+     * Group result rows into batches (order + Batch_ID), operations in sequence order
+     * @param {Array} rows - scheduleResults.rows
+     * @returns {Array} [{ key, orderKey, orderNumber, customer, poNumber, partNumber, batchId, batchQty,
+     *                    orderQuantity, priority, dueDate, operations }] in order of first setup
+     */
+    groupBatches(rows) {
+        const batches = new Map();
+        (rows || []).forEach(row => {
+            const orderKey = JobCardBuilder.orderKey(row);
+            const key = `${orderKey}|${row.Batch_ID}`;
+            if (!batches.has(key)) {
+                batches.set(key, {
+                    key,
+                    orderKey,
+                    orderNumber: row.Order_Number || null,
+                    customer: row.Customer || null,
+                    poNumber: row.PO_Number || null,
+                    partNumber: row.PartNumber,
+                    batchId: row.Batch_ID,
+                    batchQty: row.Batch_Qty,
+                    orderQuantity: row.Order_Quantity,
+                    priority: row.Priority || 'Normal',
+                    dueDate: row.DueDate,
+                    operations: []
+                });
+            }
+            batches.get(key).operations.push(row);
+        });
+
+        const list = [...batches.values()];
+        list.forEach(batch => batch.operations.sort((a, b) => a.OperationSeq - b.OperationSeq));
+        return list.sort((a, b) =>
+            String(a.operations[0].SetupStart).localeCompare(String(b.operations[0].SetupStart)) ||
+            a.key.localeCompare(b.key)
+        );
+    }
+
+    /**
+     * Batches to print for an order, a machine or a shift. A machine or shift selects every batch
+     * with at least one operation on that machine / with a setup starting in that shift; the card
+     * still lists all of the batch's operations.
+     * @param {Array} batches - groupBatches() output
+     * @param {Object} selection - { order } | { machine } | { date: 'YYYY-MM-DD', shift: 'HH:MM-HH:MM' }; empty selects all
+     */
+    select(batches, { order = null, machine = null, date = null, shift = null } = {}) {
+        if (order) return batches.filter(batch => batch.orderKey === order);
+        if (machine) return batches.filter(batch => batch.operations.some(op => op.Machine === machine));
+        if (date && shift) {
+            const window = this.shiftWindow(date, shift);
+            return batches.filter(batch => batch.operations.some(op => {
+                const setupStart = this.parseTime(op.SetupStart);
+                return setupStart !== null && setupStart >= window.start && setupStart < window.end;
+            }));
+        }
+        return batches;
+    }
+
+    /**
+     * Shift "HH:MM-HH:MM" on a date; a shift that ends before it starts runs past midnight
+     */
+    shiftWindow(date, shift) {
+        const match = String(shift).match(/^(\d{1,2}):(\d{2})-(\d{1,2}):(\d{2})$/);
+        if (!match) throw new Error(`Shift must be HH:MM-HH:MM, got "${shift}"`);
+        const [year, month, day] = String(date).split('-').map(Number);
+        const start = new Date(year, month - 1, day, Number(match[1]), Number(match[2])).getTime();
+        let end = new Date(year, month - 1, day, Number(match[3]), Number(match[4])).getTime();
+        if (end <= start) end += 24 * 3600000;
+        return { start, end };
+    }
+
+    /**
+     * Printable HTML document with one job card per page
+     * @param {Array} batches - Batches to print
+     * @param {Object} options - { title: heading shown on every card }
+     */
+    renderDocument(batches, { title = 'Job Card' } = {}) {
+        return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <title>${this.escape(title)}</title>
+    <style>
+        @page { size: A4; margin: 12mm; }
+        body { font-family: Arial, sans-serif; color: #222; margin: 0; }
+        .job-card { page-break-after: always; break-after: page; padding: 4mm 0; }
+        .job-card:last-child { page-break-after: auto; break-after: auto; }
+        .job-card-header { display: flex; justify-content: space-between; align-items: flex-start; border-bottom: 2px solid #222; padding-bottom: 4mm; }
+        .job-card-header h1 { margin: 0 0 2mm; font-size: 20pt; }
+        .job-card-code { text-align: center; font-family: monospace; font-size: 10pt; }
+        .job-card-fields { display: grid; grid-template-columns: repeat(3, 1fr); gap: 2mm 6mm; margin: 4mm 0; font-size: 11pt; }
+        .job-card-fields span { display: block; color: #666; font-size: 8pt; text-transform: uppercase; }
+        table { width: 100%; border-collapse: collapse; font-size: 10pt; }
+        th, td { border: 1px solid #444; padding: 2mm; text-align: left; vertical-align: top; }
+        th { background: #eee; }
+        .sign-off { width: 25mm; }
+    </style>
+</head>
+<body>
+${batches.map(batch => this.renderCard(batch, title)).join('\n')}
+</body>
+</html>`;
+    }
+
+    renderCard(batch, title) {
+        const field = (label, value) => `<div><span>${label}</span>${this.escape(value ?? '-')}</div>`;
+        const operations = batch.operations.map(op => `
+            <tr>
+                <td>${op.OperationSeq}</td>
+                <td>${this.escape(op.OperationName || '')}</td>
+                <td>${this.escape(op.Machine || '')}</td>
+                <td>${this.escape(op.Person || '')}</td>
+                <td>${this.escape(op.SetupStart)}<br>${this.escape(op.SetupEnd)}</td>
+                <td>${this.escape(op.RunStart)}<br>${this.escape(op.RunEnd)}</td>
+                <td class="sign-off"></td>
+            </tr>
+        `).join('');
+
+        return `
+<div class="job-card">
+    <div class="job-card-header">
+        <div>
+            <h1>${this.escape(title)}</h1>
+            <div>${this.escape(batch.orderNumber || batch.orderKey)} · ${this.escape(batch.partNumber)} · Batch ${this.escape(batch.batchId)}</div>
+        </div>
+        <div class="job-card-code">
+            ${this.renderBarcode(JobCardBuilder.batchCode(batch))}
+            <div>${this.escape(JobCardBuilder.batchCode(batch))}</div>
+        </div>
+    </div>
+    <div class="job-card-fields">
+        ${field('Order', batch.orderNumber || batch.orderKey)}
+        ${field('Part Number', batch.partNumber)}
+        ${field('Batch', batch.batchId)}
+        ${field('Batch Qty', `${batch.batchQty} of ${batch.orderQuantity}`)}
+        ${field('Priority', batch.priority)}
+        ${field('Due Date', batch.dueDate || 'No Due Date')}
+        ${field('Customer', batch.customer)}
+        ${field('PO Number', batch.poNumber)}
+    </div>
+    <table>
+        <thead>
+            <tr>
+                <th>Op</th>
+                <th>Operation</th>
+                <th>Machine</th>
+                <th>Operator</th>
+                <th>Planned Setup</th>
+                <th>Planned Run</th>
+                <th>Sign-off</th>
+            </tr>
+        </thead>
+        <tbody>${operations}</tbody>
+    </table>
+</div>`;
+    }
+
+    /**
+     * Code 128 (code set B) barcode as inline SVG; characters outside printable ASCII become "?"
+     * @param {string} text - Text to encode
+     * @param {Object} options - { moduleWidth, height } in px
+     */
+    renderBarcode(text, { moduleWidth = 2, height = 60 } = {}) {
+        const patterns = JobCardBuilder.CODE128_PATTERNS;
+        const values = String(text).split('').map(ch => {
+            const code = ch.charCodeAt(0);
+            return code >= 32 && code <= 126 ? code - 32 : '?'.charCodeAt(0) - 32;
+        });
+        const checksum = values.reduce((sum, value, index) => sum + value * (index + 1), 104) % 103;
+        const symbols = [104, ...values, checksum, 106];
+
+        const quietZone = 10 * moduleWidth;
+        let x = quietZone;
+        const bars = [];
+        symbols.forEach(symbol => {
+            patterns[symbol].split('').forEach((width, index) => {
+                const w = Number(width) * moduleWidth;
+                if (index % 2 === 0) bars.push(`<rect x="${x}" y="0" width="${w}" height="${height}"/>`);
+                x += w;
+            });
+        });
+
+        const width = x + quietZone;
+        return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">` +
+            `<rect width="${width}" height="${height}" fill="#fff"/><g fill="#000">${bars.join('')}</g></svg>`;
+    }
+
+    escape(value) {
+        return String(value ?? '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    /**
+     * Row times are local "YYYY-MM-DD HH:MM" strings from the engine
+     */
+    parseTime(value) {
+        if (!value) return null;
+        const time = new Date(String(value).replace(' ', 'T')).getTime();
+        return isNaN(time) ? null : time;
+    }
+}
+
+// Make available globally in browser
+if (typeof window !== 'undefined') {
+    window.JobCardBuilder = JobCardBuilder;
+}
+
+// Export for use in different environments
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { JobCardBuilder };
+}
@@ -0,0 +1,146 @@
+/**
+ * Machine Eligibility Module - Production Scheduler
+ * Reads and writes the EligibleMachines list of a routing operation. Besides plain machine names,
+ * types or capability tags, an entry can carry the machine's own times and a preference rank:
+ *
+ *     VMC 1 (rank=1), VMC 7 (cycle=12.6; setup=50; rank=2), VMC 2
+ *
+ * cycle and setup are minutes and replace the operation's CycleTime_Min / SetupTime_Min on that
+ * machine; rank 1 is the most preferred machine. Options may be separated by ";" or ",".
+ * Shared by the scheduling engine, the routing import/validation and the master editor.
+ */
+
+class MachineEligibility {
+    constructor() {
+        this.version = '1.0.0';
+    }
+
+    /**
+     * Option keys of an entry -> entry field
+     */
+    static get OPTIONS() {
+        return { cycle: 'cycleTime_Min', setup: 'setupTime_Min', rank: 'rank' };
+    }
+
+    /**
+     * Split a comma-separated list into entry strings, keeping commas inside parentheses
+     * @param {string} value
+     * @returns {Array} Trimmed, non-empty entry strings
+     */
+    static split(value) {
+        const parts = [];
+        let depth = 0;
+        let current = '';
+        for (const char of String(value || '')) {
+            if (char === '(') depth++;
+            if (char === ')') depth = Math.max(0, depth - 1);
+            if (char === ',' && depth === 0) {
+                parts.push(current);
+                current = '';
+            } else {
+                current += char;
+            }
+        }
+        parts.push(current);
+        return parts.map(part => part.trim()).filter(Boolean);
+    }
+
+    /**
+     * Parse an EligibleMachines value
+     * @param {string|Array} value - Comma-separated string, or an array of entry strings or
+     *                               { machine, cycleTime_Min, setupTime_Min, rank } objects
+     * @returns {Object} { entries: [{ machine, cycleTime_Min, setupTime_Min, rank }], errors }
+     *                   where unset times/rank are null
+     */
+    static parse(value) {
+        const items = Array.isArray(value) ? value : MachineEligibility.split(value);
+        const entries = [];
+        const errors = [];
+        items.forEach(item => {
+            if (item && typeof item === 'object') {
+                entries.push(MachineEligibility.checkEntry({
+                    machine: String(item.machine ?? item.name ?? '').trim(),
+                    cycleTime_Min: item.cycleTime_Min ?? item.cycle ?? null,
+                    setupTime_Min: item.setupTime_Min ?? item.setup ?? null,
+                    rank: item.rank ?? null
+                }, JSON.stringify(item), errors));
+                return;
+            }
+            // Array elements may themselves be lists ("VMC 1, VMC 2" in one cell)
+            MachineEligibility.split(item).forEach(text => {
+                const match = text.match(/^([^()]*?)\s*(?:\(([^()]*)\))?$/);
+                if (!match) {
+                    errors.push(`Cannot read machine entry "${text}"`);
+                    return;
+                }
+                const entry = { machine: match[1].trim(), cycleTime_Min: null, setupTime_Min: null, rank: null };
+                (match[2] || '').split(/[;,]/).map(option => option.trim()).filter(Boolean).forEach(option => {
+                    const [key, optionValue] = option.split('=').map(part => (part || '').trim());
+                    const field = MachineEligibility.OPTIONS[key.toLowerCase()];
+                    if (!field || !optionValue) {
+                        errors.push(`Unknown option "${option}" for ${entry.machine || 'machine'} (use cycle=, setup= or rank=)`);
+                        return;
+                    }
+                    entry[field] = optionValue;
+                });
+                entries.push(MachineEligibility.checkEntry(entry, text, errors));
+            });
+        });
+        return { entries: entries.filter(entry => entry.machine), errors };
+    }
+
+    /**
+     * Turn option values into numbers, reporting the ones that are not valid
+     */
+    static checkEntry(entry, source, errors) {
+        if (!entry.machine) errors.push(`Machine name missing in "${source}"`);
+        const rules = {
+            cycleTime_Min: { key: 'cycle', valid: value => value > 0, hint: 'minutes above 0' },
+            setupTime_Min: { key: 'setup', valid: value => value >= 0, hint: 'minutes of 0 or more' },
+            rank: { key: 'rank', valid: value => Number.isInteger(value) && value >= 1, hint: 'whole number of 1 or more' }
+        };
+        const checked = { ...entry };
+        Object.entries(rules).forEach(([field, rule]) => {
+            if (entry[field] === null || entry[field] === '') {
+                checked[field] = null;
+                return;
+            }
+            const number = Number(entry[field]);
+            if (rule.valid(number)) {
+                checked[field] = number;
+            } else {
+                errors.push(`${rule.key}=${entry[field]} for ${entry.machine} is not valid (${rule.hint})`);
+                checked[field] = null;
+            }
+        });
+        return checked;
+    }
+
+    /**
+     * One entry in its written form, e.g. "VMC 7 (cycle=12.6; setup=50; rank=2)"
+     */
+    static formatEntry(entry) {
+        const options = Object.entries(MachineEligibility.OPTIONS)
+            .filter(([, field]) => entry[field] !== null && entry[field] !== undefined)
+            .map(([key, field]) => `${key}=${entry[field]}`);
+        return options.length > 0 ? `${entry.machine} (${options.join('; ')})` : entry.machine;
+    }
+
+    /**
+     * Entries as one EligibleMachines string
+     * @param {string|Array} value - Anything parse() accepts
+     */
+    static format(value) {
+        return MachineEligibility.parse(value).entries.map(MachineEligibility.formatEntry).join(', ');
+    }
+}
+
+// Make available globally in browser
+if (typeof window !== 'undefined') {
+    window.MachineEligibility = MachineEligibility;
+}
+
+// Export for use in different environments
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { MachineEligibility };
+}
@@ -0,0 +1,251 @@
+/**
+ * Master Operations Import - Production Scheduler
+ * Previews an Excel routing import against the `master_operations` table (rows added, changed
+ * and removed per PartNumber + OperationSeq) and applies it in one database transaction through
+ * the apply_master_operations_import() function. Every import keeps the previous and new rows
+ * in `master_operations_imports`, so the latest import can be reverted.
+ * Changed parts get a new routing revision from the import's effective date; earlier revisions
+ * stay in the table (closed with effective_to) for the revision history.
+ */
+
+class MasterOperationsImport {
+    /**
+     * @param {Object} options
+     * @param {Object} options.client - Supabase client
+     */
+    constructor({ client = null } = {}) {
+        this.version = '1.0.0';
+        this.client = client;
+    }
+
+    static get FIELDS() {
+        return ['operationname', 'setuptime_min', 'operator', 'cycletime_min', 'minimum_batchsize', 'eligiblemachines'];
+    }
+
+    static rowKey(row) {
+        return `${row.partnumber}|${row.operationseq}`;
+    }
+
+    static eligibility() {
+        if (typeof MachineEligibility !== 'undefined') return MachineEligibility;
+        return require('./machine_eligibility.js').MachineEligibility;
+    }
+
+    /**
+     * Bring a database or Excel row into the column shape of master_operations. Eligible machines
+     * are kept in their written form, so "VMC 7(cycle=12.6)" and "VMC 7 (cycle=12.6)" compare equal
+     */
+    static normalize(row) {
+        const Eligibility = MasterOperationsImport.eligibility();
+        const machines = Eligibility.parse(row.eligiblemachines || '').entries.map(Eligibility.formatEntry);
+        return {
+            partnumber: String(row.partnumber || '').trim(),
+            operationseq: Number(row.operationseq) || 0,
+            operationname: String(row.operationname || '').trim(),
+            setuptime_min: Number(row.setuptime_min) || 0,
+            operator: String(row.operator || '').trim(),
+            cycletime_min: Number(row.cycletime_min) || 0,
+            minimum_batchsize: Number(row.minimum_batchsize) || 1,
+            eligiblemachines: machines
+        };
+    }
+
+    /**
+     * Compare the rows currently in the database with the rows about to be imported. The import
+     * replaces the whole routing, so current rows missing from newRows are removed, except those
+     * matched by `keep`: rows the file had but that were rejected, so their current version stays.
+     * @param {Array} currentRows - master_operations rows
+     * @param {Array} newRows - Parsed Excel rows
+     * @param {Object} options
+     * @param {Array} options.keep - [{ partnumber, operationseq }]; no operationseq keeps the whole part,
+     *   no partnumber keeps every current row
+     * @returns {Object} { rows, added, changed: [{ key, before, after, fields }], removed, kept, unchanged, duplicates, parts, summary }
+     */
+    preview(currentRows, newRows, { keep = [] } = {}) {
+        const current = new Map();
+        (currentRows || []).forEach(row => {
+            const normalized = MasterOperationsImport.normalize(row);
+            current.set(MasterOperationsImport.rowKey(normalized), normalized);
+        });
+
+        const incoming = new Map();
+        const duplicates = [];
+        (newRows || []).forEach(row => {
+            const normalized = MasterOperationsImport.normalize(row);
+            const key = MasterOperationsImport.rowKey(normalized);
+            if (incoming.has(key) && !duplicates.includes(key)) duplicates.push(key);
+            incoming.set(key, normalized);
+        });
+
+        const added = [];
+        const changed = [];
+        let unchanged = 0;
+        incoming.forEach((row, key) => {
+            const oldRow = current.get(key);
+            if (!oldRow) {
+                added.push(row);
+                return;
+            }
+            const fields = MasterOperationsImport.FIELDS.filter(field =>
+                String(oldRow[field]) !== String(row[field])
+            );
+            if (fields.length > 0) {
+                changed.push({ key, before: oldRow, after: row, fields });
+            } else {
+                unchanged++;
+            }
+        });
+        const isKept = row => keep.some(entry =>
+            (!entry.partnumber || String(entry.partnumber).trim() === row.partnumber) &&
+            (!entry.operationseq || Number(entry.operationseq) === row.operationseq)
+        );
+        const missing = [...current.entries()].filter(([key]) => !incoming.has(key)).map(([, row]) => row);
+        const kept = missing.filter(isKept);
+        const removed = missing.filter(row => !isKept(row));
+
+        // Per-PartNumber counts for the preview summary
+        const parts = {};
+        const countFor = partNumber => parts[partNumber] || (parts[partNumber] = { added: 0, changed: 0, removed: 0 });
+        added.forEach(row => { countFor(row.partnumber).added++; });
+        changed.forEach(change => { countFor(change.after.partnumber).changed++; });
+        removed.forEach(row => { countFor(row.partnumber).removed++; });
+
+        return {
+            rows: [...incoming.values(), ...kept],
+            added,
+            changed,
+            removed,
+            kept,
+            unchanged,
+            duplicates,
+            parts,
+            summary: {
+                added: added.length,
+                changed: changed.length,
+                removed: removed.length,
+                kept: kept.length,
+                unchanged: unchanged,
+                parts: Object.keys(parts).length
+            }
+        };
+    }
+
+    /**
+     * Latest revision of every part in master_operations
+     */
+    async loadCurrent() {
+        const { data, error } = await this.client
+            .from('master_operations')
+            .select('*')
+            .is('effective_to', null)
+            .order('partnumber', { ascending: true })
+            .order('operationseq', { ascending: true });
+        if (error) throw error;
+        return data || [];
+    }
+
+    /**
+     * Write a previewed import; the database applies it atomically and rolls back on any error
+     * @param {Object} preview - Result of preview()
+     * @param {Object} options
+     * @param {string} options.effectiveFrom - Date (YYYY-MM-DD) the new revisions take effect; today when omitted
+     * @returns {Promise<string>} Id of the recorded import
+     */
+    async apply(preview, { effectiveFrom = null } = {}) {
+        if (preview.duplicates.length > 0) {
+            throw new Error(`Duplicate PartNumber/OperationSeq rows: ${preview.duplicates.join(', ')}`);
+        }
+        const params = { p_rows: preview.rows, p_summary: preview.summary };
+        if (effectiveFrom) params.p_effective_from = effectiveFrom;
+        const { data, error } = await this.client.rpc('apply_master_operations_import', params);
+        if (error) throw error;
+        return data;
+    }
+
+    /**
+     * Replace the routing of one part (Routing Master editor). Goes through the same atomic
+     * import as Excel, so the edit shows up in the import history and can be reverted.
+     * @param {string} partNumber - Part whose operations are replaced
+     * @param {Array} rows - New master_operations rows for the part; empty deletes the part
+     * @param {Object} options - Passed to apply()
+     * @returns {Promise<string>} Id of the recorded import
+     */
+    async savePart(partNumber, rows, options = {}) {
+        const currentRows = await this.loadCurrent();
+        const otherRows = currentRows.filter(row => String(row.partnumber).trim() !== partNumber);
+        const preview = this.preview(currentRows, [...otherRows, ...rows]);
+        preview.summary.source = 'editor';
+        preview.summary.partNumber = partNumber;
+        return this.apply(preview, options);
+    }
+
+    /**
+     * Every revision of a part, oldest first
+     * @returns {Promise<Array>} [{ revision, effectiveFrom, effectiveTo, rows }]
+     */
+    async loadRevisions(partNumber) {
+        const { data, error } = await this.client
+            .from('master_operations')
+            .select('*')
+            .eq('partnumber', partNumber)
+            .order('revision', { ascending: true })
+            .order('operationseq', { ascending: true });
+        if (error) throw error;
+
+        const revisions = new Map();
+        (data || []).forEach(row => {
+            if (!revisions.has(row.revision)) {
+                revisions.set(row.revision, {
+                    revision: row.revision,
+                    effectiveFrom: row.effective_from,
+                    effectiveTo: row.effective_to,
+                    rows: []
+                });
+            }
+            revisions.get(row.revision).rows.push(row);
+        });
+        return [...revisions.values()];
+    }
+
+    /**
+     * Operations added, changed and removed going from one revision of a part to another
+     * @param {Object} fromRevision - Entry of loadRevisions()
+     * @param {Object} toRevision - Entry of loadRevisions()
+     */
+    compareRevisions(fromRevision, toRevision) {
+        return this.preview(fromRevision.rows, toRevision.rows);
+    }
+
+    /**
+     * Past imports, newest first, without the row payloads
+     */
+    async listImports({ limit = 10 } = {}) {
+        const { data, error } = await this.client
+            .from('master_operations_imports')
+            .select('id, user_id, created_at, summary, reverts_import_id, reverted_at')
+            .order('created_at', { ascending: false })
+            .limit(limit);
+        if (error) throw error;
+        return data || [];
+    }
+
+    /**
+     * Restore the rows that were in place before an import (only the latest import can be reverted)
+     * @returns {Promise<string>} Id of the import that records the revert
+     */
+    async revert(importId) {
+        const { data, error } = await this.client.rpc('revert_master_operations_import', { p_import_id: importId });
+        if (error) throw error;
+        return data;
+    }
+}
+
+// Make available globally in browser
+if (typeof window !== 'undefined') {
+    window.MasterOperationsImport = MasterOperationsImport;
+}
+
+// Export for use in different environments
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { MasterOperationsImport };
+}
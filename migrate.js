@@ -0,0 +1,155 @@
+const fs = require('fs');
+const path = require('path');
+const { Pool } = require('pg');
+require('dotenv').config({ path: '.env.local' });
+
+// Migrations live in migrations/ as NNNN_name.up.sql / NNNN_name.down.sql and run in
+// version order. Each one runs in its own transaction and is recorded in
+// public.schema_migrations, so running `up` again only applies what is new.
+//
+//   node migrate.js up [version]   apply pending migrations (optionally up to version)
+//   node migrate.js down [count]   roll back the last <count> migrations (default 1)
+//   node migrate.js status         list applied and pending migrations
+//
+// Connection: DATABASE_URL (set DATABASE_SSL=true for Supabase), otherwise the
+// standard PGHOST/PGPORT/PGUSER/PGPASSWORD/PGDATABASE variables.
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+// Arbitrary key so two migrate runs never interleave
+const LOCK_KEY = 726151;
+
+function createPool() {
+  if (process.env.DATABASE_URL) {
+    return new Pool({
+      connectionString: process.env.DATABASE_URL,
+      ssl: process.env.DATABASE_SSL === 'true' ? { rejectUnauthorized: false } : undefined
+    });
+  }
+  return new Pool();
+}
+
+function loadMigrations() {
+  const files = fs.readdirSync(MIGRATIONS_DIR);
+  return files
+    .filter(file => /^\d+_.+\.up\.sql$/.test(file))
+    .sort()
+    .map(file => {
+      const base = file.replace(/\.up\.sql$/, '');
+      const version = base.split('_')[0];
+      const downFile = `${base}.down.sql`;
+      return {
+        version,
+        name: base.slice(version.length + 1),
+        up: fs.readFileSync(path.join(MIGRATIONS_DIR, file), 'utf8'),
+        down: files.includes(downFile) ? fs.readFileSync(path.join(MIGRATIONS_DIR, downFile), 'utf8') : null
+      };
+    });
+}
+
+async function ensureMigrationsTable(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS public.schema_migrations (
+      version text NOT NULL PRIMARY KEY,
+      name text NOT NULL,
+      applied_at timestamp with time zone DEFAULT now()
+    );
+  `);
+}
+
+async function getAppliedVersions(client) {
+  const { rows } = await client.query('SELECT version FROM public.schema_migrations ORDER BY version');
+  return rows.map(row => row.version);
+}
+
+async function runInTransaction(client, work) {
+  await client.query('BEGIN');
+  try {
+    await work();
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  }
+}
+
+async function migrateUp(client, migrations, targetVersion) {
+  const applied = await getAppliedVersions(client);
+  const pending = migrations.filter(m => !applied.includes(m.version) && (!targetVersion || m.version <= targetVersion));
+
+  if (pending.length === 0) {
+    console.log('✅ Database is up to date');
+    return;
+  }
+
+  for (const migration of pending) {
+    await runInTransaction(client, async () => {
+      await client.query(migration.up);
+      await client.query('INSERT INTO public.schema_migrations (version, name) VALUES ($1, $2)', [migration.version, migration.name]);
+    });
+    console.log(`⬆️  ${migration.version}_${migration.name}`);
+  }
+  console.log(`✅ Applied ${pending.length} migration(s)`);
+}
+
+async function migrateDown(client, migrations, count) {
+  const applied = await getAppliedVersions(client);
+  const toRevert = applied.slice(-count).reverse();
+
+  for (const version of toRevert) {
+    const migration = migrations.find(m => m.version === version);
+    if (!migration || !migration.down) {
+      throw new Error(`No down script for migration ${version}`);
+    }
+    await runInTransaction(client, async () => {
+      await client.query(migration.down);
+      await client.query('DELETE FROM public.schema_migrations WHERE version = $1', [version]);
+    });
+    console.log(`⬇️  ${migration.version}_${migration.name}`);
+  }
+  console.log(`✅ Rolled back ${toRevert.length} migration(s)`);
+}
+
+async function printStatus(client, migrations) {
+  const applied = await getAppliedVersions(client);
+  migrations.forEach(m => {
+    console.log(`${applied.includes(m.version) ? '[applied]' : '[pending]'} ${m.version}_${m.name}`);
+  });
+  applied.filter(version => !migrations.some(m => m.version === version)).forEach(version => {
+    console.log(`[missing] ${version} (applied but no file in migrations/)`);
+  });
+}
+
+async function main() {
+  const [command = 'up', arg] = process.argv.slice(2);
+  const migrations = loadMigrations();
+  const pool = createPool();
+  const client = await pool.connect();
+
+  try {
+    await client.query('SELECT pg_advisory_lock($1)', [LOCK_KEY]);
+    await ensureMigrationsTable(client);
+
+    switch (command) {
+      case 'up':
+        await migrateUp(client, migrations, arg);
+        break;
+      case 'down':
+        await migrateDown(client, migrations, Math.max(1, parseInt(arg, 10) || 1));
+        break;
+      case 'status':
+        await printStatus(client, migrations);
+        break;
+      default:
+        throw new Error(`Unknown command "${command}" (expected up, down or status)`);
+    }
+  } finally {
+    await client.query('SELECT pg_advisory_unlock($1)', [LOCK_KEY]).catch(() => {});
+    client.release();
+    await pool.end();
+  }
+}
+
+main().catch(error => {
+  console.error('Migration failed:', error.message);
+  process.exitCode = 1;
+});
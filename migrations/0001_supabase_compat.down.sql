@@ -0,0 +1,9 @@
+-- Only remove what 0001 created itself; Supabase's own auth schema is never touched.
+DO $$
+BEGIN
+  IF to_regprocedure('auth.uid()') IS NOT NULL
+     AND obj_description('auth.uid()'::regprocedure, 'pg_proc') = 'local stub created by migration 0001' THEN
+    DROP FUNCTION auth.uid();
+  END IF;
+END
+$$;
@@ -0,0 +1,33 @@
+-- Extensions, plus the parts of Supabase the schema relies on (auth.uid() and the
+-- anon/authenticated roles). On Supabase these already exist and are left alone;
+-- on a plain Postgres they are stubbed so the later migrations apply unchanged.
+CREATE EXTENSION IF NOT EXISTS "uuid-ossp" WITH SCHEMA public;
+CREATE EXTENSION IF NOT EXISTS pgcrypto WITH SCHEMA public;
+
+DO $$
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM pg_roles WHERE rolname = 'anon') THEN
+    CREATE ROLE anon NOLOGIN;
+  END IF;
+  IF NOT EXISTS (SELECT 1 FROM pg_roles WHERE rolname = 'authenticated') THEN
+    CREATE ROLE authenticated NOLOGIN;
+  END IF;
+END
+$$;
+
+CREATE SCHEMA IF NOT EXISTS auth;
+
+DO $$
+BEGIN
+  IF to_regprocedure('auth.uid()') IS NULL THEN
+    -- Same claim PostgREST sets for each request
+    CREATE FUNCTION auth.uid() RETURNS uuid
+      LANGUAGE sql STABLE
+      AS 'SELECT nullif(current_setting(''request.jwt.claim.sub'', true), '''')::uuid';
+    COMMENT ON FUNCTION auth.uid() IS 'local stub created by migration 0001';
+  END IF;
+END
+$$;
+
+GRANT USAGE ON SCHEMA auth TO anon, authenticated;
+GRANT USAGE ON SCHEMA public TO anon, authenticated;
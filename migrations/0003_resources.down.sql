@@ -0,0 +1,2 @@
+DROP TABLE IF EXISTS public.operators;
+DROP TABLE IF EXISTS public.machines;
@@ -0,0 +1,51 @@
+-- Machine and operator roster used by the scheduler and the machine pickers
+CREATE TABLE IF NOT EXISTS public.machines (
+  id uuid NOT NULL DEFAULT gen_random_uuid() PRIMARY KEY,
+  name text NOT NULL UNIQUE,
+  type text NOT NULL DEFAULT 'VMC',
+  capabilities text[] NOT NULL DEFAULT '{}',
+  active boolean NOT NULL DEFAULT true,
+  created_at timestamp with time zone DEFAULT now(),
+  updated_at timestamp with time zone DEFAULT now()
+);
+
+DROP TRIGGER IF EXISTS on_machines_updated ON public.machines;
+CREATE TRIGGER on_machines_updated
+  BEFORE UPDATE ON public.machines
+  FOR EACH ROW
+  EXECUTE FUNCTION public.handle_updated_at();
+
+CREATE TABLE IF NOT EXISTS public.operators (
+  id uuid NOT NULL DEFAULT gen_random_uuid() PRIMARY KEY,
+  name text NOT NULL UNIQUE,
+  shift text NOT NULL DEFAULT 'morning',
+  shift_start smallint NOT NULL DEFAULT 6 CHECK (shift_start BETWEEN 0 AND 23),
+  shift_end smallint NOT NULL DEFAULT 14 CHECK (shift_end BETWEEN 1 AND 24),
+  active boolean NOT NULL DEFAULT true,
+  created_at timestamp with time zone DEFAULT now(),
+  updated_at timestamp with time zone DEFAULT now()
+);
+
+DROP TRIGGER IF EXISTS on_operators_updated ON public.operators;
+CREATE TRIGGER on_operators_updated
+  BEFORE UPDATE ON public.operators
+  FOR EACH ROW
+  EXECUTE FUNCTION public.handle_updated_at();
+
+-- Seed the current shop roster (existing rows are left untouched)
+INSERT INTO public.machines (name, type, capabilities) VALUES
+  ('VMC 1', 'VMC', '{milling}'),
+  ('VMC 2', 'VMC', '{milling}'),
+  ('VMC 3', 'VMC', '{milling}'),
+  ('VMC 4', 'VMC', '{milling}'),
+  ('VMC 5', 'VMC', '{milling}'),
+  ('VMC 6', 'VMC', '{milling}'),
+  ('VMC 7', 'VMC', '{milling}')
+ON CONFLICT (name) DO NOTHING;
+
+INSERT INTO public.operators (name, shift, shift_start, shift_end) VALUES
+  ('A', 'morning', 6, 14),
+  ('B', 'morning', 6, 14),
+  ('C', 'afternoon', 14, 22),
+  ('D', 'afternoon', 14, 22)
+ON CONFLICT (name) DO NOTHING;
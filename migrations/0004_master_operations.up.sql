@@ -0,0 +1,24 @@
+-- Routing master (OP_MASTER): one row per part number and operation.
+-- Column names are the lower-case Excel headers written by importToDatabase().
+CREATE TABLE IF NOT EXISTS public.master_operations (
+  id uuid NOT NULL DEFAULT gen_random_uuid() PRIMARY KEY,
+  partnumber text NOT NULL,
+  operationseq integer NOT NULL CHECK (operationseq > 0),
+  operationname text NOT NULL DEFAULT '',
+  setuptime_min integer NOT NULL DEFAULT 0,
+  operator text NOT NULL DEFAULT '',
+  cycletime_min integer NOT NULL DEFAULT 0,
+  minimum_batchsize integer NOT NULL DEFAULT 1,
+  eligiblemachines text[] NOT NULL DEFAULT '{}',
+  created_at timestamp with time zone DEFAULT now(),
+  updated_at timestamp with time zone DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS master_operations_part_seq_idx
+  ON public.master_operations (partnumber, operationseq);
+
+DROP TRIGGER IF EXISTS on_master_operations_updated ON public.master_operations;
+CREATE TRIGGER on_master_operations_updated
+  BEFORE UPDATE ON public.master_operations
+  FOR EACH ROW
+  EXECUTE FUNCTION public.handle_updated_at();
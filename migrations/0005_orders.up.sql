@@ -0,0 +1,33 @@
+-- Order book; Operators only see their own rows (see 0007)
+CREATE TABLE IF NOT EXISTS public.orders (
+  id uuid NOT NULL DEFAULT gen_random_uuid() PRIMARY KEY,
+  user_id uuid NOT NULL DEFAULT auth.uid(),
+  part_number text NOT NULL,
+  operation_seq text,
+  filtered_operations jsonb NOT NULL DEFAULT '[]',
+  quantity integer NOT NULL CHECK (quantity > 0),
+  priority text NOT NULL DEFAULT 'Normal',
+  due_date date,
+  batch_mode text NOT NULL DEFAULT 'auto-split',
+  custom_batch_size integer,
+  breakdown_machine text,
+  breakdown_date_time text,
+  start_date_time text,
+  holiday_range text,
+  setup_window text,
+  status text NOT NULL DEFAULT 'pending'
+    CHECK (status IN ('pending', 'scheduled', 'completed', 'cancelled')),
+  created_at timestamp with time zone DEFAULT now(),
+  updated_at timestamp with time zone DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS orders_user_id_idx ON public.orders (user_id);
+
+-- Locked operations: [{ batchId, operationSeq, machine, person, setupStart }]
+ALTER TABLE public.orders ADD COLUMN IF NOT EXISTS pins jsonb NOT NULL DEFAULT '[]';
+
+DROP TRIGGER IF EXISTS on_orders_updated ON public.orders;
+CREATE TRIGGER on_orders_updated
+  BEFORE UPDATE ON public.orders
+  FOR EACH ROW
+  EXECUTE FUNCTION public.handle_updated_at();
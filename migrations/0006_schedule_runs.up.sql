@@ -0,0 +1,19 @@
+-- Snapshot of every schedule run and its inputs
+CREATE TABLE IF NOT EXISTS public.schedule_runs (
+  id uuid NOT NULL DEFAULT gen_random_uuid() PRIMARY KEY,
+  user_id uuid NOT NULL DEFAULT auth.uid(),
+  orders jsonb NOT NULL DEFAULT '[]',
+  global_settings jsonb NOT NULL DEFAULT '{}',
+  op_master_hash text NOT NULL,
+  rows jsonb NOT NULL DEFAULT '[]',
+  alerts jsonb NOT NULL DEFAULT '[]',
+  summary jsonb NOT NULL DEFAULT '{}',
+  row_count integer NOT NULL DEFAULT 0,
+  created_at timestamp with time zone DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS schedule_runs_created_at_idx ON public.schedule_runs (created_at DESC);
+CREATE INDEX IF NOT EXISTS schedule_runs_user_id_idx ON public.schedule_runs (user_id);
+
+-- Machine/operator lanes and holiday/breakdown periods for the Gantt chart
+ALTER TABLE public.schedule_runs ADD COLUMN IF NOT EXISTS timeline jsonb;
@@ -0,0 +1,23 @@
+DROP POLICY IF EXISTS schedule_runs_admin_delete ON public.schedule_runs;
+DROP POLICY IF EXISTS schedule_runs_insert ON public.schedule_runs;
+DROP POLICY IF EXISTS schedule_runs_select ON public.schedule_runs;
+DROP POLICY IF EXISTS orders_operator_own ON public.orders;
+DROP POLICY IF EXISTS orders_manager_all ON public.orders;
+DROP POLICY IF EXISTS master_operations_admin_all ON public.master_operations;
+DROP POLICY IF EXISTS master_operations_select ON public.master_operations;
+DROP POLICY IF EXISTS operators_admin_all ON public.operators;
+DROP POLICY IF EXISTS operators_select ON public.operators;
+DROP POLICY IF EXISTS machines_admin_all ON public.machines;
+DROP POLICY IF EXISTS machines_select ON public.machines;
+DROP POLICY IF EXISTS profiles_admin_all ON public.profiles;
+DROP POLICY IF EXISTS profiles_update_own ON public.profiles;
+DROP POLICY IF EXISTS profiles_select ON public.profiles;
+
+ALTER TABLE public.schedule_runs DISABLE ROW LEVEL SECURITY;
+ALTER TABLE public.orders DISABLE ROW LEVEL SECURITY;
+ALTER TABLE public.master_operations DISABLE ROW LEVEL SECURITY;
+ALTER TABLE public.operators DISABLE ROW LEVEL SECURITY;
+ALTER TABLE public.machines DISABLE ROW LEVEL SECURITY;
+ALTER TABLE public.profiles DISABLE ROW LEVEL SECURITY;
+
+DROP FUNCTION IF EXISTS public.current_user_role();
@@ -0,0 +1,97 @@
+-- Row level security for the four roles in profiles.role:
+--   Admin     - everything, including the routing master and the roster
+--   Subadmin  - every order and schedule run, read-only master data
+--   Operator  - own orders and schedule runs, read-only master data
+--   Test User - roster only; their orders, runs and routing stay in the browser
+
+-- SECURITY DEFINER so policies on profiles can look up the caller's role without recursing
+CREATE OR REPLACE FUNCTION public.current_user_role()
+RETURNS text
+LANGUAGE sql STABLE SECURITY DEFINER
+SET search_path = public
+AS $$
+  SELECT role FROM public.profiles WHERE id = auth.uid();
+$$;
+
+GRANT EXECUTE ON FUNCTION public.current_user_role() TO authenticated;
+GRANT SELECT, INSERT, UPDATE, DELETE
+  ON public.profiles, public.machines, public.operators, public.master_operations, public.orders, public.schedule_runs
+  TO authenticated;
+
+ALTER TABLE public.profiles ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.machines ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.operators ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.master_operations ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.orders ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.schedule_runs ENABLE ROW LEVEL SECURITY;
+
+-- profiles: everyone reads and edits their own row but cannot change their role
+DROP POLICY IF EXISTS profiles_select ON public.profiles;
+CREATE POLICY profiles_select ON public.profiles FOR SELECT TO authenticated
+  USING (id = auth.uid() OR public.current_user_role() = 'Admin');
+
+DROP POLICY IF EXISTS profiles_update_own ON public.profiles;
+CREATE POLICY profiles_update_own ON public.profiles FOR UPDATE TO authenticated
+  USING (id = auth.uid())
+  WITH CHECK (id = auth.uid() AND role = public.current_user_role());
+
+DROP POLICY IF EXISTS profiles_admin_all ON public.profiles;
+CREATE POLICY profiles_admin_all ON public.profiles FOR ALL TO authenticated
+  USING (public.current_user_role() = 'Admin')
+  WITH CHECK (public.current_user_role() = 'Admin');
+
+-- machines / operators: the roster is read by every role, maintained by Admins
+DROP POLICY IF EXISTS machines_select ON public.machines;
+CREATE POLICY machines_select ON public.machines FOR SELECT TO authenticated
+  USING (public.current_user_role() IS NOT NULL);
+
+DROP POLICY IF EXISTS machines_admin_all ON public.machines;
+CREATE POLICY machines_admin_all ON public.machines FOR ALL TO authenticated
+  USING (public.current_user_role() = 'Admin')
+  WITH CHECK (public.current_user_role() = 'Admin');
+
+DROP POLICY IF EXISTS operators_select ON public.operators;
+CREATE POLICY operators_select ON public.operators FOR SELECT TO authenticated
+  USING (public.current_user_role() IS NOT NULL);
+
+DROP POLICY IF EXISTS operators_admin_all ON public.operators;
+CREATE POLICY operators_admin_all ON public.operators FOR ALL TO authenticated
+  USING (public.current_user_role() = 'Admin')
+  WITH CHECK (public.current_user_role() = 'Admin');
+
+-- master_operations: only Admins import; Test Users work from their uploaded Excel instead
+DROP POLICY IF EXISTS master_operations_select ON public.master_operations;
+CREATE POLICY master_operations_select ON public.master_operations FOR SELECT TO authenticated
+  USING (public.current_user_role() IN ('Admin', 'Subadmin', 'Operator'));
+
+DROP POLICY IF EXISTS master_operations_admin_all ON public.master_operations;
+CREATE POLICY master_operations_admin_all ON public.master_operations FOR ALL TO authenticated
+  USING (public.current_user_role() = 'Admin')
+  WITH CHECK (public.current_user_role() = 'Admin');
+
+-- orders: Admins and Subadmins manage the whole order book, Operators their own orders
+DROP POLICY IF EXISTS orders_manager_all ON public.orders;
+CREATE POLICY orders_manager_all ON public.orders FOR ALL TO authenticated
+  USING (public.current_user_role() IN ('Admin', 'Subadmin'))
+  WITH CHECK (public.current_user_role() IN ('Admin', 'Subadmin'));
+
+DROP POLICY IF EXISTS orders_operator_own ON public.orders;
+CREATE POLICY orders_operator_own ON public.orders FOR ALL TO authenticated
+  USING (public.current_user_role() = 'Operator' AND user_id = auth.uid())
+  WITH CHECK (public.current_user_role() = 'Operator' AND user_id = auth.uid());
+
+-- schedule_runs: snapshots are written by whoever ran the schedule and never edited
+DROP POLICY IF EXISTS schedule_runs_select ON public.schedule_runs;
+CREATE POLICY schedule_runs_select ON public.schedule_runs FOR SELECT TO authenticated
+  USING (
+    public.current_user_role() IN ('Admin', 'Subadmin')
+    OR (public.current_user_role() = 'Operator' AND user_id = auth.uid())
+  );
+
+DROP POLICY IF EXISTS schedule_runs_insert ON public.schedule_runs;
+CREATE POLICY schedule_runs_insert ON public.schedule_runs FOR INSERT TO authenticated
+  WITH CHECK (public.current_user_role() IN ('Admin', 'Subadmin', 'Operator') AND user_id = auth.uid());
+
+DROP POLICY IF EXISTS schedule_runs_admin_delete ON public.schedule_runs;
+CREATE POLICY schedule_runs_admin_delete ON public.schedule_runs FOR DELETE TO authenticated
+  USING (public.current_user_role() = 'Admin');
@@ -0,0 +1,3 @@
+DROP FUNCTION IF EXISTS public.revert_master_operations_import(uuid);
+DROP FUNCTION IF EXISTS public.apply_master_operations_import(jsonb, jsonb, uuid);
+DROP TABLE IF EXISTS public.master_operations_imports;
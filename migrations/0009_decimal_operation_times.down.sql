@@ -0,0 +1,4 @@
+-- Rounds sub-minute times to whole minutes; apply_master_operations_import() follows the table types
+ALTER TABLE public.master_operations
+  ALTER COLUMN setuptime_min TYPE integer USING round(setuptime_min)::integer,
+  ALTER COLUMN cycletime_min TYPE integer USING round(cycletime_min)::integer;
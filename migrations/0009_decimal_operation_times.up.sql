@@ -0,0 +1,95 @@
+-- Setup and cycle times in decimal minutes: turned parts have 20-45 second cycles,
+-- which integer columns truncated to 0
+ALTER TABLE public.master_operations
+  ALTER COLUMN setuptime_min TYPE numeric USING setuptime_min::numeric,
+  ALTER COLUMN cycletime_min TYPE numeric USING cycletime_min::numeric;
+
+-- Replace master_operations with p_rows in one transaction: rows are matched on
+-- partnumber + operationseq, so unchanged rows are left untouched. Returns the import id.
+CREATE OR REPLACE FUNCTION public.apply_master_operations_import(
+  p_rows jsonb,
+  p_summary jsonb DEFAULT '{}',
+  p_reverts_import_id uuid DEFAULT NULL
+)
+RETURNS uuid
+LANGUAGE plpgsql
+SET search_path = public
+AS $$
+DECLARE
+  v_previous jsonb;
+  v_added integer;
+  v_changed integer;
+  v_removed integer;
+  v_import_id uuid;
+BEGIN
+  IF public.current_user_role() IS DISTINCT FROM 'Admin' THEN
+    RAISE EXCEPTION 'Only Admins can import master operations' USING ERRCODE = '42501';
+  END IF;
+
+  -- Concurrent imports wait for each other instead of interleaving
+  LOCK TABLE public.master_operations IN EXCLUSIVE MODE;
+
+  SELECT coalesce(jsonb_agg(to_jsonb(m) - 'id' - 'created_at' - 'updated_at' ORDER BY m.partnumber, m.operationseq), '[]')
+    INTO v_previous
+    FROM public.master_operations m;
+
+  WITH incoming AS (
+    SELECT DISTINCT ON (r.partnumber, r.operationseq)
+      r.partnumber,
+      r.operationseq,
+      coalesce(r.operationname, '') AS operationname,
+      coalesce(r.setuptime_min, 0) AS setuptime_min,
+      coalesce(r.operator, '') AS operator,
+      coalesce(r.cycletime_min, 0) AS cycletime_min,
+      coalesce(r.minimum_batchsize, 1) AS minimum_batchsize,
+      coalesce(r.eligiblemachines, '{}') AS eligiblemachines
+    -- Column types come from the table itself, so later column changes need no edit here
+    FROM jsonb_populate_recordset(NULL::public.master_operations, p_rows) AS r
+  ),
+  removed AS (
+    DELETE FROM public.master_operations m
+    WHERE NOT EXISTS (
+      SELECT 1 FROM incoming i WHERE i.partnumber = m.partnumber AND i.operationseq = m.operationseq
+    )
+    RETURNING 1
+  ),
+  changed AS (
+    UPDATE public.master_operations m
+    SET operationname = i.operationname,
+        setuptime_min = i.setuptime_min,
+        operator = i.operator,
+        cycletime_min = i.cycletime_min,
+        minimum_batchsize = i.minimum_batchsize,
+        eligiblemachines = i.eligiblemachines
+    FROM incoming i
+    WHERE i.partnumber = m.partnumber AND i.operationseq = m.operationseq
+      AND (m.operationname, m.setuptime_min, m.operator, m.cycletime_min, m.minimum_batchsize, m.eligiblemachines)
+          IS DISTINCT FROM
+          (i.operationname, i.setuptime_min, i.operator, i.cycletime_min, i.minimum_batchsize, i.eligiblemachines)
+    RETURNING 1
+  ),
+  added AS (
+    INSERT INTO public.master_operations
+      (partnumber, operationseq, operationname, setuptime_min, operator, cycletime_min, minimum_batchsize, eligiblemachines)
+    SELECT i.partnumber, i.operationseq, i.operationname, i.setuptime_min, i.operator, i.cycletime_min, i.minimum_batchsize, i.eligiblemachines
+    FROM incoming i
+    WHERE NOT EXISTS (
+      SELECT 1 FROM public.master_operations m WHERE m.partnumber = i.partnumber AND m.operationseq = i.operationseq
+    )
+    RETURNING 1
+  )
+  SELECT (SELECT count(*) FROM added), (SELECT count(*) FROM changed), (SELECT count(*) FROM removed)
+    INTO v_added, v_changed, v_removed;
+
+  INSERT INTO public.master_operations_imports (previous_rows, new_rows, summary, reverts_import_id)
+  VALUES (
+    v_previous,
+    p_rows,
+    coalesce(p_summary, '{}') || jsonb_build_object('added', v_added, 'changed', v_changed, 'removed', v_removed),
+    p_reverts_import_id
+  )
+  RETURNING id INTO v_import_id;
+
+  RETURN v_import_id;
+END;
+$$;
@@ -0,0 +1,143 @@
+-- Keeps only the latest revision of each part; older revisions are deleted
+DROP FUNCTION IF EXISTS public.revert_master_operations_import(uuid);
+DROP FUNCTION IF EXISTS public.apply_master_operations_import(jsonb, jsonb, uuid, date);
+
+DELETE FROM public.master_operations WHERE effective_to IS NOT NULL;
+
+DROP INDEX IF EXISTS public.master_operations_latest_idx;
+DROP INDEX IF EXISTS public.master_operations_part_revision_seq_key;
+
+ALTER TABLE public.master_operations
+  DROP CONSTRAINT IF EXISTS master_operations_effective_range_check,
+  DROP COLUMN IF EXISTS effective_to,
+  DROP COLUMN IF EXISTS effective_from,
+  DROP COLUMN IF EXISTS revision;
+
+-- Replace master_operations with p_rows in one transaction: rows are matched on
+-- partnumber + operationseq, so unchanged rows are left untouched. Returns the import id.
+CREATE OR REPLACE FUNCTION public.apply_master_operations_import(
+  p_rows jsonb,
+  p_summary jsonb DEFAULT '{}',
+  p_reverts_import_id uuid DEFAULT NULL
+)
+RETURNS uuid
+LANGUAGE plpgsql
+SET search_path = public
+AS $$
+DECLARE
+  v_previous jsonb;
+  v_added integer;
+  v_changed integer;
+  v_removed integer;
+  v_import_id uuid;
+BEGIN
+  IF public.current_user_role() IS DISTINCT FROM 'Admin' THEN
+    RAISE EXCEPTION 'Only Admins can import master operations' USING ERRCODE = '42501';
+  END IF;
+
+  -- Concurrent imports wait for each other instead of interleaving
+  LOCK TABLE public.master_operations IN EXCLUSIVE MODE;
+
+  SELECT coalesce(jsonb_agg(to_jsonb(m) - 'id' - 'created_at' - 'updated_at' ORDER BY m.partnumber, m.operationseq), '[]')
+    INTO v_previous
+    FROM public.master_operations m;
+
+  WITH incoming AS (
+    SELECT DISTINCT ON (r.partnumber, r.operationseq)
+      r.partnumber,
+      r.operationseq,
+      coalesce(r.operationname, '') AS operationname,
+      coalesce(r.setuptime_min, 0) AS setuptime_min,
+      coalesce(r.operator, '') AS operator,
+      coalesce(r.cycletime_min, 0) AS cycletime_min,
+      coalesce(r.minimum_batchsize, 1) AS minimum_batchsize,
+      coalesce(r.eligiblemachines, '{}') AS eligiblemachines
+    -- Column types come from the table itself, so later column changes need no edit here
+    FROM jsonb_populate_recordset(NULL::public.master_operations, p_rows) AS r
+  ),
+  removed AS (
+    DELETE FROM public.master_operations m
+    WHERE NOT EXISTS (
+      SELECT 1 FROM incoming i WHERE i.partnumber = m.partnumber AND i.operationseq = m.operationseq
+    )
+    RETURNING 1
+  ),
+  changed AS (
+    UPDATE public.master_operations m
+    SET operationname = i.operationname,
+        setuptime_min = i.setuptime_min,
+        operator = i.operator,
+        cycletime_min = i.cycletime_min,
+        minimum_batchsize = i.minimum_batchsize,
+        eligiblemachines = i.eligiblemachines
+    FROM incoming i
+    WHERE i.partnumber = m.partnumber AND i.operationseq = m.operationseq
+      AND (m.operationname, m.setuptime_min, m.operator, m.cycletime_min, m.minimum_batchsize, m.eligiblemachines)
+          IS DISTINCT FROM
+          (i.operationname, i.setuptime_min, i.operator, i.cycletime_min, i.minimum_batchsize, i.eligiblemachines)
+    RETURNING 1
+  ),
+  added AS (
+    INSERT INTO public.master_operations
+      (partnumber, operationseq, operationname, setuptime_min, operator, cycletime_min, minimum_batchsize, eligiblemachines)
+    SELECT i.partnumber, i.operationseq, i.operationname, i.setuptime_min, i.operator, i.cycletime_min, i.minimum_batchsize, i.eligiblemachines
+    FROM incoming i
+    WHERE NOT EXISTS (
+      SELECT 1 FROM public.master_operations m WHERE m.partnumber = i.partnumber AND m.operationseq = i.operationseq
+    )
+    RETURNING 1
+  )
+  SELECT (SELECT count(*) FROM added), (SELECT count(*) FROM changed), (SELECT count(*) FROM removed)
+    INTO v_added, v_changed, v_removed;
+
+  INSERT INTO public.master_operations_imports (previous_rows, new_rows, summary, reverts_import_id)
+  VALUES (
+    v_previous,
+    p_rows,
+    coalesce(p_summary, '{}') || jsonb_build_object('added', v_added, 'changed', v_changed, 'removed', v_removed),
+    p_reverts_import_id
+  )
+  RETURNING id INTO v_import_id;
+
+  RETURN v_import_id;
+END;
+$$;
+
+-- Put back the rows an import replaced. Only the most recent import can be reverted,
+-- otherwise later imports would be silently undone as well.
+CREATE OR REPLACE FUNCTION public.revert_master_operations_import(p_import_id uuid)
+RETURNS uuid
+LANGUAGE plpgsql
+SET search_path = public
+AS $$
+DECLARE
+  v_target public.master_operations_imports;
+  v_latest uuid;
+  v_import_id uuid;
+BEGIN
+  SELECT * INTO v_target FROM public.master_operations_imports WHERE id = p_import_id FOR UPDATE;
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Import % not found', p_import_id;
+  END IF;
+  IF v_target.reverted_at IS NOT NULL THEN
+    RAISE EXCEPTION 'Import % has already been reverted', p_import_id;
+  END IF;
+
+  SELECT id INTO v_latest FROM public.master_operations_imports ORDER BY created_at DESC LIMIT 1;
+  IF v_latest IS DISTINCT FROM p_import_id THEN
+    RAISE EXCEPTION 'Only the most recent import can be reverted';
+  END IF;
+
+  v_import_id := public.apply_master_operations_import(
+    v_target.previous_rows,
+    jsonb_build_object('revertOf', p_import_id),
+    p_import_id
+  );
+  UPDATE public.master_operations_imports SET reverted_at = now() WHERE id = p_import_id;
+
+  RETURN v_import_id;
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION public.apply_master_operations_import(jsonb, jsonb, uuid) TO authenticated;
+GRANT EXECUTE ON FUNCTION public.revert_master_operations_import(uuid) TO authenticated;
@@ -0,0 +1,194 @@
+-- Routing revisions: an engineering change no longer overwrites a part's operations. The part's
+-- current revision is closed (effective_to) and the next revision takes over from its
+-- effective_from date, so orders planned earlier keep the routing they were planned with.
+-- The revision effective on a date D has effective_from <= D and (effective_to IS NULL or > D);
+-- the latest revision of a part is the one with no effective_to.
+ALTER TABLE public.master_operations
+  ADD COLUMN IF NOT EXISTS revision integer NOT NULL DEFAULT 1 CHECK (revision > 0),
+  ADD COLUMN IF NOT EXISTS effective_from date NOT NULL DEFAULT current_date,
+  ADD COLUMN IF NOT EXISTS effective_to date;
+
+UPDATE public.master_operations SET effective_from = created_at::date WHERE created_at IS NOT NULL;
+
+DO $$
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'master_operations_effective_range_check') THEN
+    ALTER TABLE public.master_operations ADD CONSTRAINT master_operations_effective_range_check
+      CHECK (effective_to IS NULL OR effective_to >= effective_from);
+  END IF;
+END
+$$;
+
+CREATE UNIQUE INDEX IF NOT EXISTS master_operations_part_revision_seq_key
+  ON public.master_operations (partnumber, revision, operationseq);
+
+CREATE INDEX IF NOT EXISTS master_operations_latest_idx
+  ON public.master_operations (partnumber, operationseq) WHERE effective_to IS NULL;
+
+DROP FUNCTION IF EXISTS public.revert_master_operations_import(uuid);
+DROP FUNCTION IF EXISTS public.apply_master_operations_import(jsonb, jsonb, uuid);
+
+-- Make p_rows the latest routing, as of p_effective_from. Every part whose operations differ from
+-- its latest revision gets a new revision holding all of its p_rows; parts missing from p_rows are
+-- closed. Unchanged parts are left untouched. Returns the import id.
+CREATE OR REPLACE FUNCTION public.apply_master_operations_import(
+  p_rows jsonb,
+  p_summary jsonb DEFAULT '{}',
+  p_reverts_import_id uuid DEFAULT NULL,
+  p_effective_from date DEFAULT current_date
+)
+RETURNS uuid
+LANGUAGE plpgsql
+SET search_path = public
+AS $$
+DECLARE
+  v_previous jsonb;
+  v_added integer;
+  v_changed integer;
+  v_removed integer;
+  v_revised text[];
+  v_import_id uuid;
+BEGIN
+  IF public.current_user_role() IS DISTINCT FROM 'Admin' THEN
+    RAISE EXCEPTION 'Only Admins can import master operations' USING ERRCODE = '42501';
+  END IF;
+
+  -- Concurrent imports wait for each other instead of interleaving
+  LOCK TABLE public.master_operations IN EXCLUSIVE MODE;
+
+  DROP TABLE IF EXISTS pg_temp.latest_operations, pg_temp.incoming_operations;
+
+  CREATE TEMP TABLE latest_operations ON COMMIT DROP AS
+    SELECT * FROM public.master_operations WHERE effective_to IS NULL;
+
+  CREATE TEMP TABLE incoming_operations ON COMMIT DROP AS
+    SELECT DISTINCT ON (r.partnumber, r.operationseq)
+      r.partnumber,
+      r.operationseq,
+      coalesce(r.operationname, '') AS operationname,
+      coalesce(r.setuptime_min, 0) AS setuptime_min,
+      coalesce(r.operator, '') AS operator,
+      coalesce(r.cycletime_min, 0) AS cycletime_min,
+      coalesce(r.minimum_batchsize, 1) AS minimum_batchsize,
+      coalesce(r.eligiblemachines, '{}') AS eligiblemachines
+    -- Column types come from the table itself, so later column changes need no edit here
+    FROM jsonb_populate_recordset(NULL::public.master_operations, p_rows) AS r;
+
+  -- Kept without revision columns so a revert can feed them straight back in
+  SELECT coalesce(jsonb_agg(
+           to_jsonb(l) - ARRAY['id', 'created_at', 'updated_at', 'revision', 'effective_from', 'effective_to']
+           ORDER BY l.partnumber, l.operationseq
+         ), '[]')
+    INTO v_previous
+    FROM latest_operations l;
+
+  SELECT count(*) INTO v_added
+    FROM incoming_operations i
+    WHERE NOT EXISTS (SELECT 1 FROM latest_operations l WHERE l.partnumber = i.partnumber AND l.operationseq = i.operationseq);
+
+  SELECT count(*) INTO v_changed
+    FROM incoming_operations i
+    JOIN latest_operations l ON l.partnumber = i.partnumber AND l.operationseq = i.operationseq
+    WHERE (l.operationname, l.setuptime_min, l.operator, l.cycletime_min, l.minimum_batchsize, l.eligiblemachines)
+          IS DISTINCT FROM
+          (i.operationname, i.setuptime_min, i.operator, i.cycletime_min, i.minimum_batchsize, i.eligiblemachines);
+
+  SELECT count(*) INTO v_removed
+    FROM latest_operations l
+    WHERE NOT EXISTS (SELECT 1 FROM incoming_operations i WHERE i.partnumber = l.partnumber AND i.operationseq = l.operationseq);
+
+  -- Parts with at least one added, changed or removed operation
+  SELECT coalesce(array_agg(p.partnumber ORDER BY p.partnumber), '{}')
+    INTO v_revised
+    FROM (
+      SELECT i.partnumber
+        FROM incoming_operations i
+        LEFT JOIN latest_operations l ON l.partnumber = i.partnumber AND l.operationseq = i.operationseq
+        WHERE l.partnumber IS NULL
+           OR (l.operationname, l.setuptime_min, l.operator, l.cycletime_min, l.minimum_batchsize, l.eligiblemachines)
+              IS DISTINCT FROM
+              (i.operationname, i.setuptime_min, i.operator, i.cycletime_min, i.minimum_batchsize, i.eligiblemachines)
+      UNION
+      SELECT l.partnumber
+        FROM latest_operations l
+        WHERE NOT EXISTS (SELECT 1 FROM incoming_operations i WHERE i.partnumber = l.partnumber AND i.operationseq = l.operationseq)
+    ) p;
+
+  IF EXISTS (SELECT 1 FROM latest_operations WHERE partnumber = ANY (v_revised) AND effective_from > p_effective_from) THEN
+    RAISE EXCEPTION 'Effective date % is before the latest revision of a changed part', p_effective_from;
+  END IF;
+
+  UPDATE public.master_operations
+    SET effective_to = p_effective_from
+    WHERE effective_to IS NULL AND partnumber = ANY (v_revised);
+
+  INSERT INTO public.master_operations
+    (partnumber, operationseq, operationname, setuptime_min, operator, cycletime_min, minimum_batchsize, eligiblemachines,
+     revision, effective_from)
+  SELECT i.partnumber, i.operationseq, i.operationname, i.setuptime_min, i.operator, i.cycletime_min, i.minimum_batchsize, i.eligiblemachines,
+         coalesce(r.revision, 0) + 1, p_effective_from
+  FROM incoming_operations i
+  LEFT JOIN (
+    SELECT partnumber, max(revision) AS revision FROM public.master_operations GROUP BY partnumber
+  ) r ON r.partnumber = i.partnumber
+  WHERE i.partnumber = ANY (v_revised);
+
+  INSERT INTO public.master_operations_imports (previous_rows, new_rows, summary, reverts_import_id)
+  VALUES (
+    v_previous,
+    p_rows,
+    coalesce(p_summary, '{}') || jsonb_build_object(
+      'added', v_added,
+      'changed', v_changed,
+      'removed', v_removed,
+      'revisedParts', to_jsonb(v_revised),
+      'effectiveFrom', p_effective_from
+    ),
+    p_reverts_import_id
+  )
+  RETURNING id INTO v_import_id;
+
+  RETURN v_import_id;
+END;
+$$;
+
+-- Put back the rows an import replaced, as a new revision of the parts it changed. Only the most
+-- recent import can be reverted, otherwise later imports would be silently undone as well.
+CREATE OR REPLACE FUNCTION public.revert_master_operations_import(p_import_id uuid)
+RETURNS uuid
+LANGUAGE plpgsql
+SET search_path = public
+AS $$
+DECLARE
+  v_target public.master_operations_imports;
+  v_latest uuid;
+  v_import_id uuid;
+BEGIN
+  SELECT * INTO v_target FROM public.master_operations_imports WHERE id = p_import_id FOR UPDATE;
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Import % not found', p_import_id;
+  END IF;
+  IF v_target.reverted_at IS NOT NULL THEN
+    RAISE EXCEPTION 'Import % has already been reverted', p_import_id;
+  END IF;
+
+  SELECT id INTO v_latest FROM public.master_operations_imports ORDER BY created_at DESC LIMIT 1;
+  IF v_latest IS DISTINCT FROM p_import_id THEN
+    RAISE EXCEPTION 'Only the most recent import can be reverted';
+  END IF;
+
+  -- A future-dated import is reverted from its own date, so it never takes effect
+  v_import_id := public.apply_master_operations_import(
+    v_target.previous_rows,
+    jsonb_build_object('revertOf', p_import_id),
+    p_import_id,
+    greatest(current_date, coalesce((v_target.summary->>'effectiveFrom')::date, current_date))
+  );
+  UPDATE public.master_operations_imports SET reverted_at = now() WHERE id = p_import_id;
+
+  RETURN v_import_id;
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION public.apply_master_operations_import(jsonb, jsonb, uuid, date) TO authenticated;
+GRANT EXECUTE ON FUNCTION public.revert_master_operations_import(uuid) TO authenticated;
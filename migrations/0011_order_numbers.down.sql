@@ -0,0 +1,8 @@
+DROP INDEX IF EXISTS public.orders_order_number_key;
+
+ALTER TABLE public.orders
+  DROP COLUMN IF EXISTS po_number,
+  DROP COLUMN IF EXISTS customer,
+  DROP COLUMN IF EXISTS order_number;
+
+DROP SEQUENCE IF EXISTS public.order_number_seq;
@@ -0,0 +1,24 @@
+-- Order number (unique, generated when left blank) plus optional customer and PO, so two
+-- orders for the same part stay apart in schedule results and exports
+CREATE SEQUENCE IF NOT EXISTS public.order_number_seq;
+
+ALTER TABLE public.orders
+  ADD COLUMN IF NOT EXISTS order_number text,
+  ADD COLUMN IF NOT EXISTS customer text,
+  ADD COLUMN IF NOT EXISTS po_number text;
+
+-- Existing orders are numbered in the order they were created
+UPDATE public.orders o
+  SET order_number = 'ORD-' || lpad(numbered.n::text, 5, '0')
+  FROM (SELECT id, row_number() OVER (ORDER BY created_at, id) AS n FROM public.orders) numbered
+  WHERE numbered.id = o.id AND o.order_number IS NULL;
+
+SELECT setval('public.order_number_seq', greatest((SELECT count(*) FROM public.orders), 1), (SELECT count(*) FROM public.orders) > 0);
+
+ALTER TABLE public.orders
+  ALTER COLUMN order_number SET DEFAULT 'ORD-' || lpad(nextval('public.order_number_seq')::text, 5, '0'),
+  ALTER COLUMN order_number SET NOT NULL;
+
+CREATE UNIQUE INDEX IF NOT EXISTS orders_order_number_key ON public.orders (order_number);
+
+GRANT USAGE ON SEQUENCE public.order_number_seq TO authenticated;
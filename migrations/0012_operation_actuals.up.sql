@@ -0,0 +1,40 @@
+-- What actually happened on the shop floor, recorded per operation row of a schedule run.
+-- Events are only ever added; the current state of an operation is read from its events.
+CREATE TABLE IF NOT EXISTS public.operation_actuals (
+  id uuid NOT NULL DEFAULT gen_random_uuid() PRIMARY KEY,
+  run_id uuid NOT NULL REFERENCES public.schedule_runs (id) ON DELETE CASCADE,
+  order_key text NOT NULL,
+  batch_id text NOT NULL,
+  operation_seq integer NOT NULL,
+  event text NOT NULL CHECK (event IN ('setup_started', 'setup_finished', 'run_started', 'pieces', 'run_finished')),
+  occurred_at timestamp with time zone NOT NULL DEFAULT now(),
+  good_qty integer NOT NULL DEFAULT 0 CHECK (good_qty >= 0),
+  scrap_qty integer NOT NULL DEFAULT 0 CHECK (scrap_qty >= 0),
+  note text,
+  user_id uuid NOT NULL DEFAULT auth.uid(),
+  created_at timestamp with time zone DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS operation_actuals_run_idx
+  ON public.operation_actuals (run_id, order_key, batch_id, operation_seq, occurred_at);
+
+GRANT SELECT, INSERT, DELETE ON public.operation_actuals TO authenticated;
+
+ALTER TABLE public.operation_actuals ENABLE ROW LEVEL SECURITY;
+
+-- Readable by whoever can read the run; recorded by Admins, Subadmins and Operators as themselves
+DROP POLICY IF EXISTS operation_actuals_select ON public.operation_actuals;
+CREATE POLICY operation_actuals_select ON public.operation_actuals FOR SELECT TO authenticated
+  USING (EXISTS (SELECT 1 FROM public.schedule_runs r WHERE r.id = run_id));
+
+DROP POLICY IF EXISTS operation_actuals_insert ON public.operation_actuals;
+CREATE POLICY operation_actuals_insert ON public.operation_actuals FOR INSERT TO authenticated
+  WITH CHECK (
+    public.current_user_role() IN ('Admin', 'Subadmin', 'Operator')
+    AND user_id = auth.uid()
+    AND EXISTS (SELECT 1 FROM public.schedule_runs r WHERE r.id = run_id)
+  );
+
+DROP POLICY IF EXISTS operation_actuals_admin_delete ON public.operation_actuals;
+CREATE POLICY operation_actuals_admin_delete ON public.operation_actuals FOR DELETE TO authenticated
+  USING (public.current_user_role() = 'Admin');
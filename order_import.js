@@ -0,0 +1,232 @@
+/**
+ * Order Import Module - Production Scheduler
+ * Checks the rows of a customer order spreadsheet (Excel or CSV) before they become Saved Orders.
+ * Each row is held to the same rules as the order form (known part number with operations, whole
+ * quantity above 0, priority, batch mode) and every problem is listed with its sheet, row and column.
+ * Rows with errors are left out of `cleanOrders`; the report has the same shape as RoutingValidator's.
+ * Order numbers are optional but must be unique, within the file and against the saved orders.
+ */
+
+class OrderImportValidator {
+    /**
+     * @param {Object} options
+     * @param {Array} options.operations - Routing master rows (OP_MASTER or the Test User's data)
+     * @param {Array} options.existingOrderNumbers - Order numbers of the saved orders
+     */
+    constructor({ operations = [], existingOrderNumbers = [] } = {}) {
+        this.version = '1.0.0';
+        this.partNumbers = new Set((operations || []).map(op => String(op.PartNumber ?? op.partnumber ?? '').trim()));
+        this.existingOrderNumbers = new Set((existingOrderNumbers || []).filter(Boolean).map(String));
+    }
+
+    /**
+     * Columns of the order sheet: normalized header key -> order field
+     */
+    static get COLUMNS() {
+        return {
+            ordernumber: 'orderNumber',
+            orderno: 'orderNumber',
+            order: 'orderNumber',
+            customer: 'customer',
+            ponumber: 'poNumber',
+            po: 'poNumber',
+            purchaseorder: 'poNumber',
+            partnumber: 'partNumber',
+            part: 'partNumber',
+            quantity: 'quantity',
+            qty: 'quantity',
+            orderquantity: 'quantity',
+            priority: 'priority',
+            duedate: 'dueDate',
+            batchmode: 'batchMode',
+            custombatchsize: 'customBatchSize',
+            batchsize: 'customBatchSize',
+            startdatetime: 'startDateTime',
+            startdate: 'startDateTime',
+            setupwindow: 'setupWindow'
+        };
+    }
+
+    static get PRIORITIES() {
+        return ['Urgent', 'High', 'Normal', 'Low'];
+    }
+
+    /**
+     * Accepted BatchMode spellings -> batch mode of the order form
+     */
+    static get BATCH_MODES() {
+        return {
+            single: 'single-batch', singlebatch: 'single-batch',
+            auto: 'auto-split', autosplit: 'auto-split',
+            custom: 'custom-batch-size', custombatchsize: 'custom-batch-size'
+        };
+    }
+
+    static normalizeHeaderKey(header) {
+        return String(header || '').trim().toLowerCase().replace(/[^a-z0-9]/g, '');
+    }
+
+    /**
+     * Validate the rows of one sheet
+     * @param {string} sheetName - Sheet the rows came from
+     * @param {Array} jsonRows - XLSX.utils.sheet_to_json() output (uses __rowNum__ for row numbers)
+     * @returns {Object} { sheetName, cleanOrders: [{ rowNumber, ...order }], issues, summary }
+     */
+    validate(sheetName, jsonRows) {
+        const issues = [];
+        const cleanOrders = [];
+        const firstRowByOrderNumber = new Map();
+
+        jsonRows.forEach((rawRow, index) => {
+            // Row numbers as shown in Excel: header is row 1
+            const rowNumber = rawRow.__rowNum__ !== undefined ? rawRow.__rowNum__ + 1 : index + 2;
+            let errors = 0;
+            const report = (column, severity, problem, value = '') => {
+                issues.push({ sheet: sheetName, row: rowNumber, column, severity, problem, value: String(value) });
+                if (severity === 'error') errors++;
+            };
+
+            const cells = {};
+            Object.entries(rawRow).forEach(([header, value]) => {
+                const field = OrderImportValidator.COLUMNS[OrderImportValidator.normalizeHeaderKey(header)];
+                if (field) cells[field] = value;
+            });
+            const text = field => (cells[field] instanceof Date ? '' : String(cells[field] ?? '').trim());
+
+            const order = { rowNumber };
+
+            order.orderNumber = text('orderNumber') || null;
+            if (order.orderNumber && this.existingOrderNumbers.has(order.orderNumber)) {
+                report('OrderNumber', 'error', `Order number ${order.orderNumber} is already used by a saved order`, order.orderNumber);
+            } else if (order.orderNumber && firstRowByOrderNumber.has(order.orderNumber)) {
+                report('OrderNumber', 'error', `Duplicate of row ${firstRowByOrderNumber.get(order.orderNumber)}`, order.orderNumber);
+            } else if (order.orderNumber) {
+                firstRowByOrderNumber.set(order.orderNumber, rowNumber);
+            }
+            order.customer = text('customer') || null;
+            order.poNumber = text('poNumber') || null;
+
+            order.partNumber = text('partNumber');
+            if (!order.partNumber) {
+                report('PartNumber', 'error', 'PartNumber is missing');
+            } else if (!this.partNumbers.has(order.partNumber)) {
+                report('PartNumber', 'error', `Part number "${order.partNumber}" is not in the routing master`, order.partNumber);
+            }
+
+            order.quantity = this.parseWholeNumber(cells.quantity, 'Quantity', report, true);
+
+            const priority = text('priority');
+            order.priority = priority === ''
+                ? 'Normal'
+                : OrderImportValidator.PRIORITIES.find(p => p.toLowerCase() === priority.toLowerCase()) || null;
+            if (!order.priority) {
+                report('Priority', 'error', `Priority must be one of ${OrderImportValidator.PRIORITIES.join(', ')}`, priority);
+            }
+
+            order.dueDate = this.parseDate(cells.dueDate, 'DueDate', report, false);
+            order.startDateTime = this.parseDate(cells.startDateTime, 'StartDateTime', report, true);
+
+            // A batch size without a mode means a custom batch size, as in the form
+            const customBatchSize = this.parseWholeNumber(cells.customBatchSize, 'CustomBatchSize', report, false);
+            const batchModeKey = OrderImportValidator.normalizeHeaderKey(text('batchMode'));
+            order.batchMode = batchModeKey === ''
+                ? (customBatchSize ? 'custom-batch-size' : 'auto-split')
+                : OrderImportValidator.BATCH_MODES[batchModeKey] || null;
+            if (!order.batchMode) {
+                report('BatchMode', 'error', 'BatchMode must be Single, Auto or Custom', text('batchMode'));
+            } else if (order.batchMode === 'custom-batch-size') {
+                if (!customBatchSize) report('CustomBatchSize', 'error', 'CustomBatchSize is required for a custom batch mode');
+                order.customBatchSize = customBatchSize ? String(customBatchSize) : null;
+            } else {
+                if (customBatchSize) report('CustomBatchSize', 'warning', `Ignored for batch mode ${order.batchMode}`, customBatchSize);
+                order.customBatchSize = null;
+            }
+
+            order.setupWindow = text('setupWindow') || null;
+            if (order.setupWindow && !/^([01]\d|2[0-3]):[0-5]\d-([01]\d|2[0-3]):[0-5]\d$/.test(order.setupWindow)) {
+                report('SetupWindow', 'error', 'SetupWindow must be HH:MM-HH:MM', order.setupWindow);
+            }
+
+            if (errors === 0) cleanOrders.push(order);
+        });
+
+        issues.sort((a, b) => a.row - b.row || (a.severity === b.severity ? 0 : a.severity === 'error' ? -1 : 1));
+
+        return {
+            sheetName,
+            cleanOrders,
+            issues,
+            summary: {
+                totalRows: jsonRows.length,
+                cleanRows: cleanOrders.length,
+                rejectedRows: jsonRows.length - cleanOrders.length,
+                errors: issues.filter(issue => issue.severity === 'error').length,
+                warnings: issues.filter(issue => issue.severity === 'warning').length
+            }
+        };
+    }
+
+    /**
+     * Whole number above 0 (the form's parseInt would silently drop a fraction)
+     * @returns {number|null}
+     */
+    parseWholeNumber(value, label, report, required) {
+        const raw = String(value ?? '').trim();
+        if (raw === '') {
+            if (required) report(label, 'error', `${label} is missing`);
+            return null;
+        }
+        const number = Number(raw);
+        if (!Number.isInteger(number) || number <= 0) {
+            report(label, 'error', `${label} must be a whole number greater than 0`, raw);
+            return null;
+        }
+        return number;
+    }
+
+    /**
+     * Excel date cells (Date objects with cellDates) or text as YYYY-MM-DD [HH:MM] / DD/MM/YYYY [HH:MM]
+     * @returns {string|null} 'YYYY-MM-DD', or 'YYYY-MM-DDTHH:MM' with withTime (date input formats)
+     */
+    parseDate(value, label, report, withTime) {
+        let date = null;
+        if (value instanceof Date) {
+            // SheetJS dates can be a few seconds off; round to the minute
+            date = Number.isNaN(value.getTime()) ? null : new Date(Math.round(value.getTime() / 60000) * 60000);
+        } else {
+            const raw = String(value ?? '').trim();
+            if (raw === '') return null;
+            const iso = raw.match(/^(\d{4})-(\d{1,2})-(\d{1,2})(?:[T ](\d{1,2}):(\d{2}))?$/);
+            const dmy = raw.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})(?: (\d{1,2}):(\d{2}))?$/);
+            const parts = iso ? [iso[1], iso[2], iso[3], iso[4], iso[5]] : dmy ? [dmy[3], dmy[2], dmy[1], dmy[4], dmy[5]] : null;
+            if (parts) {
+                const [year, month, day, hours = 0, minutes = 0] = parts.map(part => Number(part || 0));
+                date = new Date(year, month - 1, day, hours, minutes);
+                // Reject dates that rolled over, e.g. 31/02/2026
+                if (date.getMonth() !== month - 1 || date.getDate() !== day) date = null;
+            }
+            if (!date) {
+                report(label, 'error', `${label} is not a date (use YYYY-MM-DD or DD/MM/YYYY)`, raw);
+                return null;
+            }
+        }
+        if (!date) {
+            report(label, 'error', `${label} is not a date`, value);
+            return null;
+        }
+
+        const pad = number => String(number).padStart(2, '0');
+        const day = `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+        return withTime ? `${day}T${pad(date.getHours())}:${pad(date.getMinutes())}` : day;
+    }
+}
+
+// Make available globally in browser
+if (typeof window !== 'undefined') {
+    window.OrderImportValidator = OrderImportValidator;
+}
+
+// Export for use in different environments
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { OrderImportValidator };
+}
@@ -0,0 +1,168 @@
+/**
+ * Reschedule Module - Production Scheduler
+ * Turns a schedule run plus its shop-floor actuals into engine input for a reschedule: finished and
+ * in-progress operations become fixed facts, operations planned inside the frozen window (e.g. the
+ * next 8 hours) keep their machine, operator and times, and everything else is re-optimized from the
+ * end of the window with only the quantities still to make. Batches of the earlier plan are kept so
+ * actuals and pins keep pointing at the same Batch_IDs.
+ */
+
+class ShopStateRescheduler {
+    constructor() {
+        this.version = '1.0.0';
+    }
+
+    static tracker() {
+        if (typeof ExecutionTracker !== 'undefined') return ExecutionTracker;
+        return require('./execution_tracking.js').ExecutionTracker;
+    }
+
+    /**
+     * Order key of an order, matching ExecutionTracker.orderKey() of its result rows
+     */
+    static orderKey(order) {
+        return String(order.orderNumber || order.id || order.partNumber);
+    }
+
+    /**
+     * Engine input for rescheduling from the shop state at asOf
+     * @param {Array} ordersData - Orders as passed to runScheduling()
+     * @param {Object} globalSettings - Settings as passed to runScheduling()
+     * @param {Object} options
+     * @param {Array} options.baseRows - Rows of the run the actuals were recorded against
+     * @param {Map} options.actuals - ExecutionTracker.summarize() output for that run
+     * @param {Date} options.asOf - Time of the shop state (usually now)
+     * @param {number} options.frozenHours - Length of the frozen window from asOf
+     * @returns {Object} { ordersData, globalSettings, alerts, summary: { done, inProgress, frozen, replanned, late } }
+     */
+    prepare(ordersData, globalSettings, { baseRows = [], actuals = new Map(), asOf = new Date(), frozenHours = 8 } = {}) {
+        if (!(Number(frozenHours) >= 0)) throw new Error(`Frozen window must be 0 hours or more, got "${frozenHours}"`);
+        const Tracker = ShopStateRescheduler.tracker();
+        const asOfTime = asOf.getTime();
+        const frozenEnd = asOfTime + Number(frozenHours) * 3600000;
+        const summary = { done: 0, inProgress: 0, frozen: 0, replanned: 0, late: 0 };
+        const alerts = [];
+
+        const rowsByOrder = new Map();
+        (baseRows || []).forEach(row => {
+            const key = Tracker.orderKey(row);
+            if (!rowsByOrder.has(key)) rowsByOrder.set(key, []);
+            rowsByOrder.get(key).push(row);
+        });
+
+        const rescheduled = (ordersData || []).map(order => {
+            const key = ShopStateRescheduler.orderKey(order);
+            const rows = rowsByOrder.get(key);
+            if (!rows) return order; // Not in the earlier plan: scheduled from scratch
+
+            const batches = this.planBatches(rows);
+            if (batches.reduce((sum, batch) => sum + batch.quantity, 0) !== Number(order.quantity)) {
+                alerts.push(`⚠️ ${key}: quantity changed since the plan, so it is rescheduled from scratch and its actuals are not carried over`);
+                return order;
+            }
+
+            const pins = [];
+            const operationQuantities = {};
+            const fixed = new Set();
+            const byBatch = new Map();
+            rows.forEach(row => {
+                if (!byBatch.has(row.Batch_ID)) byBatch.set(row.Batch_ID, []);
+                byBatch.get(row.Batch_ID).push(row);
+            });
+
+            byBatch.forEach(batchRows => {
+                batchRows.sort((a, b) => a.OperationSeq - b.OperationSeq);
+                // Most pieces the previous operation can still pass on: its good count once done, less its scrap so far while going
+                let available = Infinity;
+                // An operation only stays frozen while every operation before it in the batch is fixed too
+                let upstreamFixed = true;
+                batchRows.forEach(row => {
+                    const actual = actuals.get(Tracker.rowKey(row));
+                    const status = actual ? actual.status : 'not_started';
+                    const quantity = Math.min(Number(row.Batch_Qty), available);
+                    const pin = { batchId: row.Batch_ID, operationSeq: Number(row.OperationSeq), machine: row.Machine, person: row.Person };
+
+                    if (status === 'done') {
+                        pins.push({
+                            ...pin,
+                            shopState: 'done',
+                            quantity,
+                            setupStart: actual.setupStart,
+                            setupEnd: actual.setupEnd,
+                            runStart: actual.runStart,
+                            runEnd: actual.runEnd
+                        });
+                        summary.done++;
+                    } else if (status !== 'not_started') {
+                        pins.push({
+                            ...pin,
+                            shopState: 'in_progress',
+                            quantity,
+                            remainingQuantity: Math.max(0, quantity - actual.goodQty - actual.scrapQty),
+                            setupStart: actual.setupStart,
+                            setupEnd: actual.setupEnd,
+                            runStart: actual.runStart
+                        });
+                        summary.inProgress++;
+                    } else {
+                        const plannedStart = new Date(String(row.SetupStart).replace(' ', 'T')).getTime();
+                        if (upstreamFixed && plannedStart >= asOfTime && plannedStart < frozenEnd) {
+                            pins.push({ ...pin, shopState: 'frozen', quantity, setupStart: row.SetupStart });
+                            summary.frozen++;
+                        } else {
+                            if (plannedStart < asOfTime) summary.late++;
+                            summary.replanned++;
+                            if (quantity !== Number(row.Batch_Qty)) operationQuantities[`${row.Batch_ID}|${row.OperationSeq}`] = quantity;
+                            available = quantity;
+                            upstreamFixed = false;
+                            return;
+                        }
+                    }
+                    fixed.add(`${row.Batch_ID}|${row.OperationSeq}`);
+                    available = status === 'done' ? actual.goodQty : quantity - (actual ? actual.scrapQty : 0);
+                });
+            });
+
+            // Locks the planner set by hand still apply to operations that are re-optimized
+            const userPins = (order.pins || []).filter(pin => !fixed.has(`${pin.batchId}|${pin.operationSeq}`));
+            return { ...order, batches, operationQuantities, pins: [...pins, ...userPins] };
+        });
+
+        const startDateTime = Math.max(frozenEnd, globalSettings.startDateTime ? new Date(globalSettings.startDateTime).getTime() : -Infinity);
+        if (summary.late > 0) {
+            alerts.push(`⚠️ ${summary.late} operation(s) planned before ${asOf.toLocaleString()} have not started and are rescheduled after the frozen window`);
+        }
+        return {
+            ordersData: rescheduled,
+            globalSettings: {
+                ...globalSettings,
+                startDateTime: new Date(startDateTime).toISOString(),
+                asOf: asOf.toISOString()
+            },
+            alerts,
+            summary
+        };
+    }
+
+    /**
+     * Batches of an order in the earlier plan, sized by their first operation (later operations may
+     * have run fewer pieces after scrap)
+     */
+    planBatches(rows) {
+        const batches = new Map();
+        [...rows].sort((a, b) => a.OperationSeq - b.OperationSeq).forEach(row => {
+            if (!batches.has(row.Batch_ID)) batches.set(row.Batch_ID, { batchId: row.Batch_ID, quantity: Number(row.Batch_Qty) });
+        });
+        return [...batches.values()];
+    }
+}
+
+// Make available globally in browser
+if (typeof window !== 'undefined') {
+    window.ShopStateRescheduler = ShopStateRescheduler;
+}
+
+// Export for use in different environments
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ShopStateRescheduler };
+}
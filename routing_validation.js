@@ -0,0 +1,319 @@
+/**
+ * Routing Validation Module - Production Scheduler
+ * Checks every row of an Excel routing sheet before it is imported and lists each problem
+ * with its sheet, row number and column. Rows with errors are left out of `cleanRows` and listed
+ * in `rejectedKeys`, so importing only the clean rows can keep their current master rows; warnings (stray whitespace, sequence gaps) are reported but the row is still imported.
+ * Setup and cycle times are stored as decimal minutes; optional SetupTime_Unit / CycleTime_Unit
+ * columns (sec, min, hr) say what unit the sheet uses. EligibleMachines entries may carry a machine's
+ * own cycle/setup minutes and a preference rank, e.g. "VMC 1 (rank=1), VMC 7 (cycle=12.6)".
+ */
+
+class RoutingValidator {
+    /**
+     * @param {Object} options
+     * @param {Object} options.resources - Machine roster { machines: [{name, type, capabilities}] }
+     */
+    constructor({ resources = null } = {}) {
+        this.version = '1.0.0';
+        this.machines = ((resources && resources.machines) || []).map(machine =>
+            typeof machine === 'string' ? { name: machine, type: '', capabilities: [] } : machine
+        );
+    }
+
+    static eligibility() {
+        if (typeof MachineEligibility !== 'undefined') return MachineEligibility;
+        return require('./machine_eligibility.js').MachineEligibility;
+    }
+
+    /**
+     * Columns of the routing sheet: normalized header key -> database column and display name
+     */
+    static get COLUMNS() {
+        return {
+            partnumber: { field: 'partnumber', label: 'PartNumber' },
+            operationseq: { field: 'operationseq', label: 'OperationSeq' },
+            operationname: { field: 'operationname', label: 'OperationName' },
+            setuptimemin: { field: 'setuptime_min', label: 'SetupTime_Min' },
+            operater: { field: 'operator', label: 'Operator' },
+            operator: { field: 'operator', label: 'Operator' },
+            setuptimeunit: { field: 'setuptime_unit', label: 'SetupTime_Unit' },
+            cycletimemin: { field: 'cycletime_min', label: 'CycleTime_Min' },
+            cycletimeunit: { field: 'cycletime_unit', label: 'CycleTime_Unit' },
+            minimumbatchsize: { field: 'minimum_batchsize', label: 'Minimum_BatchSize' },
+            eligiblemachines: { field: 'eligiblemachines', label: 'EligibleMachines' }
+        };
+    }
+
+    /**
+     * Accepted values of the optional SetupTime_Unit / CycleTime_Unit columns, as minutes per unit.
+     * Without a unit column the times are read as minutes.
+     */
+    static get TIME_UNITS() {
+        return {
+            s: 1 / 60, sec: 1 / 60, secs: 1 / 60, second: 1 / 60, seconds: 1 / 60,
+            m: 1, min: 1, mins: 1, minute: 1, minutes: 1,
+            h: 60, hr: 60, hrs: 60, hour: 60, hours: 60
+        };
+    }
+
+    static normalizeHeaderKey(header) {
+        return String(header || '').trim().toLowerCase().replace(/[^a-z0-9]/g, '');
+    }
+
+    /**
+     * Validate the rows of one sheet
+     * @param {string} sheetName - Sheet the rows came from
+     * @param {Array} jsonRows - XLSX.utils.sheet_to_json() output (uses __rowNum__ for row numbers)
+     * @returns {Object} { sheetName, cleanRows, rejectedKeys: [{ partnumber, operationseq }], issues: [{ sheet, row, column, severity, problem, value }], summary }
+     */
+    validate(sheetName, jsonRows) {
+        const issues = [];
+        const records = [];
+
+        jsonRows.forEach((rawRow, index) => {
+            // Row numbers as shown in Excel: header is row 1
+            const rowNumber = rawRow.__rowNum__ !== undefined ? rawRow.__rowNum__ + 1 : index + 2;
+            const record = { rowNumber, row: this.emptyRow(), errors: 0 };
+            const report = (column, severity, problem, value = '') => {
+                issues.push({ sheet: sheetName, row: rowNumber, column, severity, problem, value: String(value) });
+                if (severity === 'error') record.errors++;
+            };
+
+            const cells = {};
+            Object.entries(rawRow).forEach(([header, value]) => {
+                const column = RoutingValidator.COLUMNS[RoutingValidator.normalizeHeaderKey(header)];
+                if (column) cells[column.field] = { value, label: column.label };
+            });
+            const cell = (field, label) => cells[field] || { value: '', label };
+
+            // Text columns: trimmed, stray whitespace reported
+            [['partnumber', 'PartNumber'], ['operationname', 'OperationName'], ['operator', 'Operator']].forEach(([field, label]) => {
+                const { value } = cell(field, label);
+                const text = String(value ?? '');
+                if (typeof value === 'string' && text !== text.trim()) {
+                    report(label, 'warning', 'Leading/trailing whitespace (trimmed)', JSON.stringify(text));
+                }
+                record.row[field] = text.trim();
+            });
+            if (!record.row.partnumber) report('PartNumber', 'error', 'PartNumber is missing');
+
+            const seq = this.parseNumber(cell('operationseq', 'OperationSeq').value);
+            if (seq.missing) {
+                report('OperationSeq', 'error', 'OperationSeq is missing');
+            } else if (!seq.valid || !Number.isInteger(seq.number) || seq.number <= 0) {
+                report('OperationSeq', 'error', 'OperationSeq must be a whole number greater than 0', seq.raw);
+            } else {
+                record.row.operationseq = seq.number;
+            }
+
+            // Times keep their decimals (a 30 second cycle is 0.5) and are converted to minutes
+            [
+                ['setuptime_min', 'SetupTime_Min', 'setuptime_unit', 'SetupTime_Unit'],
+                ['cycletime_min', 'CycleTime_Min', 'cycletime_unit', 'CycleTime_Unit']
+            ].forEach(([field, label, unitField, unitLabel]) => {
+                const parsed = this.parseNumber(cell(field, label).value);
+                const unit = this.parseTimeUnit(cell(unitField, unitLabel).value);
+                if (unit === null) {
+                    report(unitLabel, 'error', 'Unknown time unit (use sec, min or hr)', cell(unitField, unitLabel).value);
+                }
+                if (parsed.missing) {
+                    report(label, 'error', `${label} is missing`);
+                } else if (!parsed.valid) {
+                    report(label, 'error', `${label} is not a number`, parsed.raw);
+                } else if (parsed.number <= 0) {
+                    report(label, 'error', `${label} must be greater than 0`, parsed.raw);
+                } else if (unit !== null) {
+                    record.row[field] = this.toMinutes(parsed.number, unit);
+                }
+            });
+
+            const batch = this.parseNumber(cell('minimum_batchsize', 'Minimum_BatchSize').value);
+            if (!batch.missing) {
+                if (!batch.valid || batch.number < 1) {
+                    report('Minimum_BatchSize', 'error', 'Minimum_BatchSize must be a number of at least 1', batch.raw);
+                } else {
+                    record.row.minimum_batchsize = this.toWholeNumber(batch.number, 'Minimum_BatchSize', report);
+                }
+            }
+
+            record.row.eligiblemachines = this.validateMachines(cell('eligiblemachines', 'EligibleMachines').value, report);
+
+            records.push(record);
+        });
+
+        this.checkDuplicates(records, sheetName, issues);
+        this.checkSequenceGaps(records, sheetName, issues);
+
+        issues.sort((a, b) => a.row - b.row || (a.severity === b.severity ? 0 : a.severity === 'error' ? -1 : 1));
+        const cleanRows = records.filter(record => record.errors === 0).map(record => record.row);
+        // What a rejected row would have replaced; null where the row's own value was unusable
+        const rejectedKeys = records.filter(record => record.errors > 0).map(record => ({
+            partnumber: record.row.partnumber || null,
+            operationseq: record.row.operationseq || null
+        }));
+
+        return {
+            sheetName,
+            cleanRows,
+            rejectedKeys,
+            issues,
+            summary: {
+                totalRows: records.length,
+                cleanRows: cleanRows.length,
+                rejectedRows: records.length - cleanRows.length,
+                errors: issues.filter(issue => issue.severity === 'error').length,
+                warnings: issues.filter(issue => issue.severity === 'warning').length
+            }
+        };
+    }
+
+    emptyRow() {
+        return {
+            partnumber: '',
+            operationseq: 0,
+            operationname: '',
+            setuptime_min: 0,
+            operator: '',
+            cycletime_min: 0,
+            minimum_batchsize: 1,
+            eligiblemachines: []
+        };
+    }
+
+    /**
+     * Parse a numeric cell without coercing bad values to 0
+     * @returns {Object} { missing, valid, number, raw }
+     */
+    parseNumber(value) {
+        const raw = value === null || value === undefined ? '' : String(value).trim();
+        if (raw === '') return { missing: true, valid: false, number: null, raw };
+        const number = Number(raw);
+        return { missing: false, valid: Number.isFinite(number), number, raw };
+    }
+
+    /**
+     * Minutes per unit for a unit cell; blank means minutes, null means the unit is not recognised
+     */
+    parseTimeUnit(value) {
+        const key = String(value ?? '').trim().toLowerCase();
+        if (key === '') return 1;
+        return RoutingValidator.TIME_UNITS[key] ?? null;
+    }
+
+    /**
+     * Convert to minutes, rounded to whole milliseconds so unit conversions leave no float noise
+     */
+    toMinutes(number, minutesPerUnit) {
+        return Math.round(number * minutesPerUnit * 60000) / 60000;
+    }
+
+    toWholeNumber(number, label, report) {
+        const whole = Math.trunc(number);
+        if (whole !== number) report(label, 'warning', `Fraction dropped: ${number} imported as ${whole}`, number);
+        return whole;
+    }
+
+    /**
+     * Split EligibleMachines and check every entry is a roster machine, machine type or capability,
+     * and that its own times and rank (e.g. "VMC 7 (cycle=12.6; rank=2)") are valid
+     * @returns {Array} Entries in their written form
+     */
+    validateMachines(value, report) {
+        if (typeof value === 'string' && value !== value.trim()) {
+            report('EligibleMachines', 'warning', 'Leading/trailing whitespace (trimmed)', JSON.stringify(value));
+        }
+
+        const Eligibility = RoutingValidator.eligibility();
+        const { entries, errors } = Eligibility.parse(Array.isArray(value) ? value : String(value ?? ''));
+        errors.forEach(message => report('EligibleMachines', 'error', message, JSON.stringify(value)));
+
+        const machines = [];
+        entries.forEach(entry => {
+            const name = entry.machine.replace(/\s+/g, ' ');
+            if (name !== entry.machine) {
+                report('EligibleMachines', 'warning', `Extra spaces in machine name (read as "${name}")`, JSON.stringify(entry.machine));
+            }
+            if (this.machines.length > 0 && !this.isKnownMachine(name)) {
+                report('EligibleMachines', 'error', `Unknown machine "${name}"`, name);
+            }
+            machines.push(Eligibility.formatEntry({ ...entry, machine: name }));
+        });
+
+        if (machines.length === 0) report('EligibleMachines', 'error', 'No eligible machines listed');
+        return machines;
+    }
+
+    isKnownMachine(name) {
+        const key = name.toLowerCase();
+        return this.machines.some(machine =>
+            machine.name === name ||
+            String(machine.type || '').toLowerCase() === key ||
+            (machine.capabilities || []).some(capability => String(capability).toLowerCase() === key)
+        );
+    }
+
+    /**
+     * The first row of a PartNumber + OperationSeq pair is kept; later copies are rejected
+     */
+    checkDuplicates(records, sheetName, issues) {
+        const firstRowByKey = new Map();
+        records.forEach(record => {
+            if (!record.row.partnumber || !record.row.operationseq) return;
+            const key = `${record.row.partnumber}|${record.row.operationseq}`;
+            if (!firstRowByKey.has(key)) {
+                firstRowByKey.set(key, record.rowNumber);
+                return;
+            }
+            issues.push({
+                sheet: sheetName,
+                row: record.rowNumber,
+                column: 'OperationSeq',
+                severity: 'error',
+                problem: `Duplicate of row ${firstRowByKey.get(key)} (${record.row.partnumber} operation ${record.row.operationseq})`,
+                value: String(record.row.operationseq)
+            });
+            record.errors++;
+        });
+    }
+
+    /**
+     * Operations of a part should run 1, 2, 3...; missing numbers are reported on the next operation
+     */
+    checkSequenceGaps(records, sheetName, issues) {
+        const byPart = new Map();
+        records.forEach(record => {
+            if (!record.row.partnumber || !record.row.operationseq) return;
+            if (!byPart.has(record.row.partnumber)) byPart.set(record.row.partnumber, new Map());
+            const seqs = byPart.get(record.row.partnumber);
+            if (!seqs.has(record.row.operationseq)) seqs.set(record.row.operationseq, record.rowNumber);
+        });
+
+        byPart.forEach((seqs, partNumber) => {
+            let expected = 1;
+            [...seqs.keys()].sort((a, b) => a - b).forEach(seq => {
+                if (seq > expected) {
+                    const missing = expected === seq - 1 ? `${expected}` : `${expected}-${seq - 1}`;
+                    issues.push({
+                        sheet: sheetName,
+                        row: seqs.get(seq),
+                        column: 'OperationSeq',
+                        severity: 'warning',
+                        problem: `Gap in sequence for ${partNumber}: operation ${missing} missing`,
+                        value: String(seq)
+                    });
+                }
+                expected = seq + 1;
+            });
+        });
+    }
+}
+
+// Make available globally in browser
+if (typeof window !== 'undefined') {
+    window.RoutingValidator = RoutingValidator;
+}
+
+// Export for use in different environments
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { RoutingValidator };
+}
@@ -0,0 +1,441 @@
+/**
+ * Schedule API - Production Scheduler
+ * Runs the x10-browser.js engine headlessly for POST /api/schedule.
+ * Payload: { orders: [...], globalSettings: {...} }. Orders without `operations` are routed
+ * from OP_MASTER in data.js (optionally limited to `operationSeqs`), like filteredOperations in the UI.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { runScheduling, FixedUnifiedSchedulingEngine } = require('./x10-browser.js');
+
+const DATA_PATH = path.join(__dirname, 'data.js');
+
+const PIN_SCHEMA = {
+  type: 'object',
+  required: ['batchId', 'operationSeq', 'machine', 'setupStart'],
+  properties: {
+    batchId: { type: 'string', minLength: 1 },
+    operationSeq: { type: 'integer', minimum: 1 },
+    machine: { type: 'string', minLength: 1 },
+    person: { type: 'string' },
+    setupStart: { type: 'string', format: 'date-time' }
+  }
+};
+
+// An EligibleMachines entry: "VMC 7 (cycle=12.6; setup=50; rank=2)" or the same as an object
+const ELIGIBLE_MACHINE_SCHEMA = {
+  type: ['string', 'object'],
+  minLength: 1,
+  required: ['machine'],
+  properties: {
+    machine: { type: 'string', minLength: 1 },
+    cycleTime_Min: { type: 'number', minimum: 0 },
+    setupTime_Min: { type: 'number', minimum: 0 },
+    rank: { type: 'integer', minimum: 1 }
+  }
+};
+
+const OPERATION_SCHEMA = {
+  type: 'object',
+  required: ['OperationSeq', 'SetupTime_Min', 'CycleTime_Min', 'EligibleMachines'],
+  properties: {
+    OperationSeq: { type: 'integer', minimum: 1 },
+    OperationName: { type: 'string' },
+    SetupTime_Min: { type: 'number', minimum: 0 },
+    CycleTime_Min: { type: 'number', minimum: 0 },
+    Minimum_BatchSize: { type: ['integer', 'string'] },
+    Operater: { type: 'string' },
+    EligibleMachines: { type: ['string', 'array'], minLength: 1, minItems: 1, items: ELIGIBLE_MACHINE_SCHEMA }
+  }
+};
+
+const BREAKDOWN_SCHEMA = {
+  type: 'object',
+  required: ['start', 'end'],
+  range: ['start', 'end'],
+  properties: {
+    machine: { type: 'string', minLength: 1 },
+    machines: { type: 'array', items: { type: 'string', minLength: 1 } },
+    start: { type: 'string', format: 'date-time' },
+    end: { type: 'string', format: 'date-time' },
+    reason: { type: 'string' }
+  }
+};
+
+// Holiday table entries ({ start, end, reason }), "start → end" ranges or single dates
+const HOLIDAY_SCHEMA = {
+  type: ['object', 'string'],
+  format: 'holiday',
+  required: ['start', 'end'],
+  range: ['start', 'end'],
+  properties: {
+    start: { type: 'string', format: 'date-time' },
+    end: { type: 'string', format: 'date-time' },
+    reason: { type: 'string' }
+  }
+};
+
+// A shift as "HH:MM-HH:MM" (an end before the start runs overnight) or { start, end } in hours
+const SHIFT_RANGE_SCHEMA = {
+  type: ['string', 'object'],
+  format: 'time-range',
+  required: ['start', 'end'],
+  properties: {
+    start: { type: 'number', minimum: 0, maximum: 23.99 },
+    end: { type: 'number', minimum: 0, maximum: 24 }
+  }
+};
+
+const SHIFTS_SCHEMA = {
+  type: 'object',
+  additionalProperties: false,
+  properties: {
+    shift1: SHIFT_RANGE_SCHEMA,
+    shift2: SHIFT_RANGE_SCHEMA,
+    prodShift1: SHIFT_RANGE_SCHEMA,
+    prodShift2: SHIFT_RANGE_SCHEMA,
+    prodShift3: SHIFT_RANGE_SCHEMA
+  }
+};
+
+const SETUP_MATRIX_SCHEMA = {
+  type: 'object',
+  properties: {
+    samePartNoSetup: { type: 'boolean' },
+    maxDelayMinutes: { type: ['number', 'null'], minimum: 0 },
+    families: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['name', 'parts'],
+        properties: {
+          name: { type: 'string', minLength: 1 },
+          parts: { type: ['array', 'string'], minLength: 1, minItems: 1 }
+        }
+      }
+    },
+    changeovers: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['from', 'to', 'minutes'],
+        properties: {
+          from: { type: 'string', minLength: 1 },
+          to: { type: 'string', minLength: 1 },
+          minutes: { type: 'number', minimum: 0 }
+        }
+      }
+    }
+  }
+};
+
+// Skills are operation types (the routing's Operater column), machines or machine types
+const SKILLS_MATRIX_SCHEMA = {
+  type: 'object',
+  properties: {
+    operators: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['name', 'skills'],
+        properties: {
+          name: { type: 'string', minLength: 1 },
+          skills: { type: ['array', 'string'], minLength: 1, minItems: 1 }
+        }
+      }
+    }
+  }
+};
+
+const SCHEDULE_REQUEST_SCHEMA = {
+  type: 'object',
+  required: ['orders'],
+  properties: {
+    orders: {
+      type: 'array',
+      minItems: 1,
+      items: {
+        type: 'object',
+        required: ['partNumber', 'quantity'],
+        properties: {
+          id: { type: ['string', 'integer'] },
+          orderNumber: { type: 'string', minLength: 1 },
+          customer: { type: 'string' },
+          poNumber: { type: 'string' },
+          partNumber: { type: 'string', minLength: 1 },
+          quantity: { type: 'integer', minimum: 1 },
+          priority: { enum: ['Urgent', 'High', 'Normal', 'Low'] },
+          dueDate: { type: 'string', format: 'date-time' },
+          batchMode: { enum: ['single-batch', 'auto-split', 'custom-batch-size'] },
+          customBatchSize: { type: 'integer', minimum: 1 },
+          operations: { type: 'array', minItems: 1, items: OPERATION_SCHEMA },
+          operationSeqs: { type: 'array', minItems: 1, items: { type: 'integer', minimum: 1 } },
+          breakdownMachine: { type: 'string' },
+          breakdownDateTime: { type: 'string' },
+          startDateTime: { type: 'string', format: 'date-time' },
+          holidayRange: { type: 'string' },
+          setupWindow: { type: 'string', format: 'time-range' },
+          pins: { type: 'array', items: PIN_SCHEMA }
+        }
+      }
+    },
+    globalSettings: {
+      type: 'object',
+      properties: {
+        startDateTime: { type: 'string', format: 'date-time' },
+        setupWindow: { type: 'string', format: 'time-range' },
+        breakdownMachines: { type: 'array', items: { type: 'string', minLength: 1 } },
+        breakdownDateTime: { type: 'string' },
+        holidays: { type: 'array', items: HOLIDAY_SCHEMA },
+        breakdowns: { type: 'array', items: BREAKDOWN_SCHEMA },
+        shifts: SHIFTS_SCHEMA,
+        setupMatrix: SETUP_MATRIX_SCHEMA,
+        skillsMatrix: SKILLS_MATRIX_SCHEMA,
+        resources: {
+          type: ['object', 'null'],
+          properties: {
+            machines: { type: 'array', items: { type: ['object', 'string'], required: ['name'] } },
+            operators: { type: 'array', items: { type: 'object', required: ['name', 'start', 'end'] } }
+          }
+        }
+      }
+    }
+  }
+};
+
+/**
+ * Rejected request; `status` is the HTTP status to answer with
+ */
+class ScheduleRequestError extends Error {
+  constructor(status, message, details = []) {
+    super(message);
+    this.name = 'ScheduleRequestError';
+    this.status = status;
+    this.details = details;
+  }
+}
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+// "HH:MM-HH:MM" with real clock times; 24:00 may only end a range
+function isTimeRange(value) {
+  const match = value.trim().match(/^(\d{1,2}):(\d{2})\s*-\s*(\d{1,2}):(\d{2})$/);
+  if (!match) return false;
+  const [start, end] = [[match[1], match[2]], [match[3], match[4]]].map(([h, m]) => Number(h) * 60 + Number(m));
+  return Number(match[2]) < 60 && Number(match[4]) < 60 && start < 24 * 60 && end <= 24 * 60;
+}
+
+const isDateTime = value => !isNaN(new Date(value).getTime());
+
+// A single date, or "start → end" with the end after the start
+function isHoliday(value) {
+  if (!value.includes('→')) return isDateTime(value.trim());
+  const [start, end] = value.split('→').map(part => part.trim());
+  return isDateTime(start) && isDateTime(end) && new Date(end) > new Date(start);
+}
+
+/**
+ * Validate a value against the subset of JSON Schema used above
+ * (type, required, properties, additionalProperties: false, items, enum, minimum, maximum, minItems,
+ * minLength, pattern, format: date-time / time-range / holiday). `range: [from, to]` on an object
+ * requires the date/time at `to` to be after the one at `from`.
+ * @returns {Array} Error messages, empty when the value is valid
+ */
+function validateSchema(value, schema, at = 'body', errors = []) {
+  const actual = typeOf(value);
+
+  if (schema.type) {
+    const allowed = Array.isArray(schema.type) ? schema.type : [schema.type];
+    const matches = allowed.includes(actual) || (actual === 'integer' && allowed.includes('number'));
+    if (!matches) {
+      errors.push(`${at} must be of type ${allowed.join(' or ')}`);
+      return errors;
+    }
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${at} must be one of ${schema.enum.join(', ')}`);
+  }
+
+  if (actual === 'string') {
+    if (schema.minLength && value.trim().length < schema.minLength) errors.push(`${at} must not be empty`);
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) errors.push(`${at} has an invalid format`);
+    if (schema.format === 'date-time' && !isDateTime(value)) errors.push(`${at} must be a valid date/time`);
+    if (schema.format === 'time-range' && !isTimeRange(value)) errors.push(`${at} must be a time range such as 06:00-22:00`);
+    if (schema.format === 'holiday' && !isHoliday(value)) errors.push(`${at} must be a date or a "start → end" range`);
+  }
+
+  if ((actual === 'integer' || actual === 'number') && schema.minimum !== undefined && value < schema.minimum) {
+    errors.push(`${at} must be >= ${schema.minimum}`);
+  }
+  if ((actual === 'integer' || actual === 'number') && schema.maximum !== undefined && value > schema.maximum) {
+    errors.push(`${at} must be <= ${schema.maximum}`);
+  }
+
+  if (actual === 'array') {
+    if (schema.minItems && value.length < schema.minItems) errors.push(`${at} must contain at least ${schema.minItems} item(s)`);
+    if (schema.items) value.forEach((item, i) => validateSchema(item, schema.items, `${at}[${i}]`, errors));
+  }
+
+  if (actual === 'object') {
+    (schema.required || []).forEach(key => {
+      if (value[key] === undefined || value[key] === null) errors.push(`${at}.${key} is required`);
+    });
+    Object.entries(schema.properties || {}).forEach(([key, propertySchema]) => {
+      if (value[key] !== undefined && value[key] !== null) {
+        validateSchema(value[key], propertySchema, `${at}.${key}`, errors);
+      }
+    });
+    if (schema.additionalProperties === false) {
+      Object.keys(value).filter(key => !(schema.properties || {})[key]).forEach(key => {
+        errors.push(`${at}.${key} is not a known setting`);
+      });
+    }
+    const [from, to] = schema.range || [];
+    if (from && isDateTime(value[from]) && isDateTime(value[to]) && new Date(value[to]) <= new Date(value[from])) {
+      errors.push(`${at}.${to} must be after ${at}.${from}`);
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Read OP_MASTER from data.js (rewritten by /update-data, so read it per request)
+ */
+function loadOperationsMaster() {
+  const content = fs.readFileSync(DATA_PATH, 'utf8');
+  const json = content.slice(content.indexOf('=') + 1).trim().replace(/;$/, '');
+  return JSON.parse(json);
+}
+
+/**
+ * Fill in each order's operations from OP_MASTER and check every part number exists
+ */
+function resolveOrderOperations(orders, opMaster) {
+  const errors = [];
+  const ordersData = orders.map((order, i) => {
+    if (order.operations) return { ...order };
+
+    const masterOps = opMaster
+      .filter(op => op.PartNumber === order.partNumber)
+      .sort((a, b) => a.OperationSeq - b.OperationSeq);
+    if (masterOps.length === 0) {
+      errors.push(`orders[${i}].partNumber: unknown part number ${order.partNumber}`);
+      return null;
+    }
+
+    let operations = masterOps;
+    if (order.operationSeqs) {
+      const known = masterOps.map(op => Number(op.OperationSeq));
+      order.operationSeqs.filter(seq => !known.includes(seq)).forEach(seq => {
+        errors.push(`orders[${i}].operationSeqs: ${order.partNumber} has no operation ${seq}`);
+      });
+      operations = masterOps.filter(op => order.operationSeqs.includes(Number(op.OperationSeq)));
+    }
+    return { ...order, operations };
+  });
+
+  if (errors.length > 0) throw new ScheduleRequestError(422, 'Unknown part numbers or operations', errors);
+  return ordersData;
+}
+
+/**
+ * Check every machine named in the request is on the roster. EligibleMachines may also use
+ * machine types or capability tags, so those are resolved the same way the engine does;
+ * per-machine times and ranks in its entries must be valid too. A pin must name one of its
+ * operation's eligible machines.
+ */
+function validateMachines(ordersData, globalSettings) {
+  const engine = new FixedUnifiedSchedulingEngine();
+  engine.applyResources(globalSettings.resources);
+  const known = name => engine.allMachines.includes(String(name).trim());
+  const errors = [];
+
+  ordersData.forEach((order, i) => {
+    order.operations.forEach(op => {
+      FixedUnifiedSchedulingEngine.eligibility().parse(op.EligibleMachines).errors.forEach(message => {
+        errors.push(`orders[${i}] ${order.partNumber} operation ${op.OperationSeq}: ${message}`);
+      });
+      engine.resolveEligibleMachines(op.EligibleMachines).filter(name => !known(name)).forEach(name => {
+        errors.push(`orders[${i}] ${order.partNumber} operation ${op.OperationSeq}: unknown machine ${name}`);
+      });
+    });
+    if (order.breakdownMachine && !known(order.breakdownMachine)) {
+      errors.push(`orders[${i}].breakdownMachine: unknown machine ${order.breakdownMachine}`);
+    }
+    (order.pins || []).forEach(pin => {
+      const at = `orders[${i}].pins ${pin.batchId} operation ${pin.operationSeq}`;
+      const op = order.operations.find(operation => Number(operation.OperationSeq) === pin.operationSeq);
+      if (!known(pin.machine)) {
+        errors.push(`${at}: unknown machine ${pin.machine}`);
+      } else if (!op) {
+        errors.push(`${at}: ${order.partNumber} has no operation ${pin.operationSeq}`);
+      } else if (!engine.resolveEligibleMachines(op.EligibleMachines).includes(String(pin.machine).trim())) {
+        errors.push(`${at}: ${pin.machine} is not an eligible machine (${FixedUnifiedSchedulingEngine.eligibility().format(op.EligibleMachines)})`);
+      }
+    });
+  });
+
+  (globalSettings.breakdownMachines || []).filter(name => !known(name)).forEach(name => {
+    errors.push(`globalSettings.breakdownMachines: unknown machine ${name}`);
+  });
+  (globalSettings.breakdowns || []).forEach((breakdown, i) => {
+    const machines = Array.isArray(breakdown.machines) ? breakdown.machines : [breakdown.machine];
+    machines.filter(name => !name || !known(name)).forEach(name => {
+      errors.push(`globalSettings.breakdowns[${i}]: unknown machine ${name || '(none)'}`);
+    });
+  });
+
+  if (errors.length > 0) throw new ScheduleRequestError(422, 'Unknown or invalid machines', errors);
+}
+
+/**
+ * Order numbers key the result rows, so they must be unique within a request
+ */
+function checkOrderNumbers(orders) {
+  const firstIndex = new Map();
+  const errors = [];
+  orders.forEach((order, i) => {
+    if (!order.orderNumber) return;
+    if (firstIndex.has(order.orderNumber)) {
+      errors.push(`orders[${i}].orderNumber: ${order.orderNumber} is already used by orders[${firstIndex.get(order.orderNumber)}]`);
+    } else {
+      firstIndex.set(order.orderNumber, i);
+    }
+  });
+  if (errors.length > 0) throw new ScheduleRequestError(422, 'Duplicate order numbers', errors);
+}
+
+/**
+ * Validate a POST /api/schedule payload and run the engine
+ * @param {Object} body - { orders: [...], globalSettings: {...} }
+ * @returns {Object} { rows, alerts, summary }
+ * @throws {ScheduleRequestError} 400 for schema errors, 422 for duplicate order numbers or unknown part numbers or machines
+ */
+function runScheduleRequest(body) {
+  const schemaErrors = validateSchema(body, SCHEDULE_REQUEST_SCHEMA);
+  if (schemaErrors.length > 0) throw new ScheduleRequestError(400, 'Invalid payload', schemaErrors);
+
+  checkOrderNumbers(body.orders);
+
+  const globalSettings = body.globalSettings || {};
+  const needsMaster = body.orders.some(order => !order.operations);
+  const ordersData = resolveOrderOperations(body.orders, needsMaster ? loadOperationsMaster() : []);
+  validateMachines(ordersData, globalSettings);
+
+  const result = runScheduling(ordersData, globalSettings);
+  return {
+    rows: result.rows || [],
+    alerts: result.alerts || [],
+    summary: result.summary || {}
+  };
+}
+
+module.exports = { runScheduleRequest, validateSchema, ScheduleRequestError, SCHEDULE_REQUEST_SCHEMA };
@@ -0,0 +1,233 @@
+/**
+ * Schedule Diff Module - Production Scheduler
+ * Compares two schedule results (e.g. yesterday's run against today's) row by row.
+ * Rows are matched on order + Batch_ID + OperationSeq; the order is keyed by ExecutionTracker.orderKey(),
+ * like the exports and shop-floor modules, so runs saved before and after Order_ID existed still match.
+ */
+
+class ScheduleDiff {
+    /**
+     * @param {Object} options
+     * @param {number} options.thresholdMinutes - Setup/run start moves smaller than this are ignored
+     */
+    constructor({ thresholdMinutes = 30 } = {}) {
+        this.version = '1.0.0';
+        this.thresholdMinutes = thresholdMinutes;
+    }
+
+    /**
+     * Compare two sets of schedule rows
+     * @param {Array} beforeRows - Rows of the older run
+     * @param {Array} afterRows - Rows of the newer run
+     * @returns {Object} { thresholdMinutes, changes: [...], summary: {...} }
+     */
+    compare(beforeRows, afterRows) {
+        const before = this.indexRows(beforeRows || []);
+        const after = this.indexRows(afterRows || []);
+        const beforeBatches = this.batchKeys(beforeRows || []);
+        const afterBatches = this.batchKeys(afterRows || []);
+        const changes = [];
+
+        // Whole batches that appear in only one of the runs
+        afterBatches.forEach((row, batchKey) => {
+            if (!beforeBatches.has(batchKey)) changes.push(this.batchChange('batch_added', row));
+        });
+        beforeBatches.forEach((row, batchKey) => {
+            if (!afterBatches.has(batchKey)) changes.push(this.batchChange('batch_removed', row));
+        });
+
+        after.forEach((row, key) => {
+            const batchKey = this.batchKey(row);
+            const oldRow = before.get(key);
+            if (!oldRow) {
+                // Covered by batch_added when the whole batch is new
+                if (beforeBatches.has(batchKey)) changes.push(this.rowChange('operation_added', row, '', row.Machine));
+                return;
+            }
+
+            if (oldRow.Machine !== row.Machine) {
+                changes.push(this.rowChange('machine', row, oldRow.Machine, row.Machine));
+            }
+            if (oldRow.Person !== row.Person) {
+                changes.push(this.rowChange('person', row, oldRow.Person, row.Person));
+            }
+
+            const setupShift = this.minutesBetween(oldRow.SetupStart, row.SetupStart);
+            if (setupShift !== null && Math.abs(setupShift) > this.thresholdMinutes) {
+                changes.push(this.rowChange('setup_shift', row, oldRow.SetupStart, row.SetupStart, setupShift));
+            }
+
+            const runShift = this.minutesBetween(oldRow.RunStart, row.RunStart);
+            if (runShift !== null && Math.abs(runShift) > this.thresholdMinutes) {
+                changes.push(this.rowChange('run_shift', row, oldRow.RunStart, row.RunStart, runShift));
+            }
+        });
+
+        before.forEach((row, key) => {
+            if (!after.has(key) && afterBatches.has(this.batchKey(row))) {
+                changes.push(this.rowChange('operation_removed', row, row.Machine, ''));
+            }
+        });
+
+        // Due-date status of each batch, judged on its last operation
+        const beforeLast = this.lastOperations(beforeRows || []);
+        this.lastOperations(afterRows || []).forEach((row, batchKey) => {
+            const oldRow = beforeLast.get(batchKey);
+            if (!oldRow) return;
+            const wasLate = ScheduleDiff.isLate(oldRow);
+            const isLate = ScheduleDiff.isLate(row);
+            if (!wasLate && isLate) {
+                changes.push(this.rowChange('became_late', row, oldRow.RunEnd, row.RunEnd, this.minutesBetween(oldRow.RunEnd, row.RunEnd)));
+            } else if (wasLate && !isLate) {
+                changes.push(this.rowChange('became_on_time', row, oldRow.RunEnd, row.RunEnd, this.minutesBetween(oldRow.RunEnd, row.RunEnd)));
+            }
+        });
+
+        changes.sort((a, b) =>
+            String(a.PartNumber).localeCompare(String(b.PartNumber)) ||
+            String(a.Order_Number).localeCompare(String(b.Order_Number)) ||
+            String(a.Batch_ID).localeCompare(String(b.Batch_ID)) ||
+            (Number(a.OperationSeq) || 0) - (Number(b.OperationSeq) || 0)
+        );
+
+        return {
+            thresholdMinutes: this.thresholdMinutes,
+            changes: changes,
+            summary: this.summarize(changes)
+        };
+    }
+
+    /**
+     * Same due-date test as the Status column of the results table: RunEnd after DueDate is late
+     * @param {Object} row - Schedule row
+     * @returns {boolean} True when the row finishes after its due date
+     */
+    static isLate(row) {
+        if (!row.DueDate || row.DueDate === 'No Due Date' || row.DueDate === '2026-01-01 ⚠️') return false;
+        return new Date(row.RunEnd) > new Date(row.DueDate);
+    }
+
+    static tracker() {
+        if (typeof ExecutionTracker !== 'undefined') return ExecutionTracker;
+        return require('./execution_tracking.js').ExecutionTracker;
+    }
+
+    static orderKey(row) {
+        return ScheduleDiff.tracker().orderKey(row);
+    }
+
+    static rowKey(row) {
+        return `${ScheduleDiff.orderKey(row)}|${row.Batch_ID}|${row.OperationSeq}`;
+    }
+
+    batchKey(row) {
+        return `${ScheduleDiff.orderKey(row)}|${row.Batch_ID}`;
+    }
+
+    indexRows(rows) {
+        const index = new Map();
+        rows.forEach(row => index.set(ScheduleDiff.rowKey(row), row));
+        return index;
+    }
+
+    // Batch key -> first row of the batch
+    batchKeys(rows) {
+        const batches = new Map();
+        rows.forEach(row => {
+            const batchKey = this.batchKey(row);
+            if (!batches.has(batchKey)) batches.set(batchKey, row);
+        });
+        return batches;
+    }
+
+    lastOperations(rows) {
+        const last = new Map();
+        rows.forEach(row => {
+            const batchKey = this.batchKey(row);
+            const current = last.get(batchKey);
+            if (!current || Number(row.OperationSeq) > Number(current.OperationSeq)) last.set(batchKey, row);
+        });
+        return last;
+    }
+
+    rowChange(type, row, before, after, shiftMinutes = null) {
+        return {
+            key: ScheduleDiff.rowKey(row),
+            Order_Number: row.Order_Number || '',
+            PartNumber: row.PartNumber,
+            Batch_ID: row.Batch_ID,
+            OperationSeq: row.OperationSeq,
+            type: type,
+            before: before ?? '',
+            after: after ?? '',
+            shiftMinutes: shiftMinutes
+        };
+    }
+
+    batchChange(type, row) {
+        return {
+            key: `${this.batchKey(row)}|`,
+            Order_Number: row.Order_Number || '',
+            PartNumber: row.PartNumber,
+            Batch_ID: row.Batch_ID,
+            OperationSeq: '',
+            type: type,
+            before: '',
+            after: '',
+            shiftMinutes: null
+        };
+    }
+
+    minutesBetween(from, to) {
+        const start = new Date(from);
+        const end = new Date(to);
+        if (isNaN(start.getTime()) || isNaN(end.getTime())) return null;
+        return Math.round((end.getTime() - start.getTime()) / 60000);
+    }
+
+    summarize(changes) {
+        const summary = {
+            total: changes.length,
+            batch_added: 0,
+            batch_removed: 0,
+            operation_added: 0,
+            operation_removed: 0,
+            machine: 0,
+            person: 0,
+            setup_shift: 0,
+            run_shift: 0,
+            became_late: 0,
+            became_on_time: 0
+        };
+        changes.forEach(change => { summary[change.type]++; });
+        return summary;
+    }
+
+    /**
+     * Human readable label for a change type
+     */
+    static describe(type) {
+        return {
+            batch_added: 'Batch added',
+            batch_removed: 'Batch removed',
+            operation_added: 'Operation added',
+            operation_removed: 'Operation removed',
+            machine: 'Machine changed',
+            person: 'Person changed',
+            setup_shift: 'Setup start moved',
+            run_shift: 'Run start moved',
+            became_late: 'Became late',
+            became_on_time: 'Became on time'
+        }[type] || type;
+    }
+}
+
+// Make available globally in browser
+if (typeof window !== 'undefined') {
+    window.ScheduleDiff = ScheduleDiff;
+}
+
+// Export for use in different environments
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ScheduleDiff };
+}
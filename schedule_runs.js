@@ -0,0 +1,138 @@
+/**
+ * Schedule Run Store - Production Scheduler
+ * Keeps every runSchedule() result as a snapshot (rows, alerts, summary) together with
+ * the input orders, globalSettings and a hash of the OP_MASTER data that produced it.
+ * Snapshots live in the Supabase `schedule_runs` table, or in memory when persistence is off (Test Users).
+ */
+
+class ScheduleRunStore {
+    /**
+     * @param {Object} options
+     * @param {Object} options.client - Supabase client (required when persist is true)
+     * @param {boolean} options.persist - false keeps snapshots in memory for this session only
+     */
+    constructor({ client = null, persist = true } = {}) {
+        this.version = '1.0.0';
+        this.client = client;
+        this.persist = persist && !!client;
+        this.localRuns = [];
+    }
+
+    /**
+     * Store one run
+     * @param {Object} snapshot - { orders, globalSettings, opMaster, results: { rows, alerts, summary, timeline } }
+     * @returns {Promise<Object>} The stored run
+     */
+    async saveRun({ orders, globalSettings, opMaster, results }) {
+        const run = {
+            orders: orders || [],
+            global_settings: globalSettings || {},
+            op_master_hash: await this.hashMasterData(opMaster || []),
+            rows: results.rows || [],
+            alerts: results.alerts || [],
+            summary: results.summary || {},
+            timeline: results.timeline || null,
+            row_count: (results.rows || []).length
+        };
+
+        if (!this.persist) {
+            const localRun = { ...run, id: `local-${Date.now()}`, created_at: new Date().toISOString() };
+            this.localRuns.unshift(localRun);
+            return localRun;
+        }
+
+        const { data, error } = await this.client.from('schedule_runs').insert(run).select().single();
+        if (error) throw error;
+        return data;
+    }
+
+    /**
+     * List past runs, newest first, without the row payloads
+     * @param {Object} options - { userId: only runs created by this user, limit }
+     */
+    async listRuns({ userId = null, limit = 20 } = {}) {
+        if (!this.persist) {
+            return this.localRuns.slice(0, limit).map(run => this.toListEntry(run));
+        }
+
+        let query = this.client
+            .from('schedule_runs')
+            .select('id, user_id, created_at, op_master_hash, summary, row_count, alerts')
+            .order('created_at', { ascending: false })
+            .limit(limit);
+        if (userId) query = query.eq('user_id', userId);
+
+        const { data, error } = await query;
+        if (error) throw error;
+        return (data || []).map(run => this.toListEntry(run));
+    }
+
+    /**
+     * Load a full snapshot by id
+     */
+    async loadRun(runId) {
+        if (!this.persist) {
+            const run = this.localRuns.find(r => r.id === runId);
+            if (!run) throw new Error(`Schedule run ${runId} not found`);
+            return run;
+        }
+
+        const { data, error } = await this.client.from('schedule_runs').select('*').eq('id', runId).single();
+        if (error) throw error;
+        return data;
+    }
+
+    /**
+     * Convert a stored run back into the shape returned by runScheduling()
+     */
+    toScheduleResults(run) {
+        return {
+            rows: run.rows || [],
+            alerts: run.alerts || [],
+            summary: run.summary || {},
+            timeline: run.timeline || null
+        };
+    }
+
+    toListEntry(run) {
+        return {
+            id: run.id,
+            userId: run.user_id || null,
+            createdAt: run.created_at,
+            opMasterHash: run.op_master_hash,
+            summary: run.summary || {},
+            rowCount: run.row_count || 0,
+            alertCount: (run.alerts || []).length
+        };
+    }
+
+    /**
+     * SHA-256 of the operations master data, so a snapshot records which routing it used.
+     * Keys are sorted so the same data always hashes the same regardless of column order.
+     */
+    async hashMasterData(opMaster) {
+        const canonical = JSON.stringify(opMaster, (key, value) => {
+            if (value && typeof value === 'object' && !Array.isArray(value)) {
+                return Object.keys(value).sort().reduce((sorted, k) => {
+                    sorted[k] = value[k];
+                    return sorted;
+                }, {});
+            }
+            return value;
+        });
+
+        const bytes = new TextEncoder().encode(canonical);
+        const digest = await crypto.subtle.digest('SHA-256', bytes);
+        return Array.from(new Uint8Array(digest)).map(b => b.toString(16).padStart(2, '0')).join('');
+    }
+}
+
+// Make available globally in browser
+if (typeof window !== 'undefined') {
+    window.ScheduleRunStore = ScheduleRunStore;
+}
+
+// Export for use in different environments
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ScheduleRunStore };
+}
@@ -2,6 +2,8 @@ const express = require('express');
 const cors = require('cors');
 const fs = require('fs');
 const path = require('path');
+const { runScheduleRequest } = require('./schedule_api');
+const { listActuals, recordActual, carryOverActuals } = require('./actuals_api');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -50,6 +52,61 @@ app.get('/excel_export.js', (req, res) => {
   res.sendFile(path.join(__dirname, 'excel_export.js'));
 });
 
+app.get('/schedule_runs.js', (req, res) => {
+  res.setHeader('Content-Type', 'application/javascript');
+  res.sendFile(path.join(__dirname, 'schedule_runs.js'));
+});
+
+app.get('/schedule_diff.js', (req, res) => {
+  res.setHeader('Content-Type', 'application/javascript');
+  res.sendFile(path.join(__dirname, 'schedule_diff.js'));
+});
+
+app.get('/gantt_chart.js', (req, res) => {
+  res.setHeader('Content-Type', 'application/javascript');
+  res.sendFile(path.join(__dirname, 'gantt_chart.js'));
+});
+
+app.get('/master_import.js', (req, res) => {
+  res.setHeader('Content-Type', 'application/javascript');
+  res.sendFile(path.join(__dirname, 'master_import.js'));
+});
+
+app.get('/routing_validation.js', (req, res) => {
+  res.setHeader('Content-Type', 'application/javascript');
+  res.sendFile(path.join(__dirname, 'routing_validation.js'));
+});
+
+app.get('/order_import.js', (req, res) => {
+  res.setHeader('Content-Type', 'application/javascript');
+  res.sendFile(path.join(__dirname, 'order_import.js'));
+});
+
+app.get('/job_cards.js', (req, res) => {
+  res.setHeader('Content-Type', 'application/javascript');
+  res.sendFile(path.join(__dirname, 'job_cards.js'));
+});
+
+app.get('/dispatch_lists.js', (req, res) => {
+  res.setHeader('Content-Type', 'application/javascript');
+  res.sendFile(path.join(__dirname, 'dispatch_lists.js'));
+});
+
+app.get('/execution_tracking.js', (req, res) => {
+  res.setHeader('Content-Type', 'application/javascript');
+  res.sendFile(path.join(__dirname, 'execution_tracking.js'));
+});
+
+app.get('/reschedule.js', (req, res) => {
+  res.setHeader('Content-Type', 'application/javascript');
+  res.sendFile(path.join(__dirname, 'reschedule.js'));
+});
+
+app.get('/machine_eligibility.js', (req, res) => {
+  res.setHeader('Content-Type', 'application/javascript');
+  res.sendFile(path.join(__dirname, 'machine_eligibility.js'));
+});
+
 // Health check
 app.get('/health', (req, res) => {
   res.json({ ok: true, service: 'local-writer', cwd: process.cwd() });
@@ -74,6 +131,62 @@ app.post('/update-data', async (req, res) => {
   }
 });
 
+// Run the scheduling engine headlessly: { orders, globalSettings } -> { rows, alerts, summary }
+app.post('/api/schedule', (req, res) => {
+  try {
+    const result = runScheduleRequest(req.body);
+    return res.json({ ok: true, ...result });
+  } catch (err) {
+    if (err.name === 'ScheduleRequestError') {
+      return res.status(err.status).json({ ok: false, error: err.message, details: err.details });
+    }
+    console.error('Failed to run schedule:', err);
+    return res.status(500).json({ ok: false, error: String(err) });
+  }
+});
+
+// Answer a failed actuals request; row level security refusals (42501) are 403
+function sendActualsError(res, err) {
+  if (err.name === 'ScheduleRequestError') {
+    return res.status(err.status).json({ ok: false, error: err.message, details: err.details });
+  }
+  if (err.code === '42501') {
+    return res.status(403).json({ ok: false, error: 'Not allowed to record actuals for this run' });
+  }
+  console.error('Failed to handle actuals:', err);
+  return res.status(500).json({ ok: false, error: err.message || String(err) });
+}
+
+// Shop-floor events of a stored schedule run -> { events, actuals }
+app.get('/api/runs/:runId/actuals', async (req, res) => {
+  try {
+    const result = await listActuals(req.get('Authorization'), req.params.runId);
+    return res.json({ ok: true, ...result });
+  } catch (err) {
+    return sendActualsError(res, err);
+  }
+});
+
+// Record one event: { orderKey, batchId, operationSeq, event, occurredAt?, goodQty?, scrapQty?, note? } -> { event, actual }
+app.post('/api/runs/:runId/actuals', async (req, res) => {
+  try {
+    const result = await recordActual(req.get('Authorization'), req.params.runId, req.body);
+    return res.status(201).json({ ok: true, ...result });
+  } catch (err) {
+    return sendActualsError(res, err);
+  }
+});
+
+// Copy the events of an earlier run onto a rescheduled run: { fromRunId } -> { events, actuals }
+app.post('/api/runs/:runId/actuals/carry-over', async (req, res) => {
+  try {
+    const result = await carryOverActuals(req.get('Authorization'), req.params.runId, (req.body || {}).fromRunId);
+    return res.status(201).json({ ok: true, ...result });
+  } catch (err) {
+    return sendActualsError(res, err);
+  }
+});
+
 app.listen(PORT, () => {
   console.log(`Local writer listening on http://localhost:${PORT}`);
 });
@@ -0,0 +1,38 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { makeOrder, schedule, toDate, errorAlerts } = require('./helpers/engine');
+
+const overlaps = (row, start, end) => toDate(row.SetupStart) < end && toDate(row.RunEnd) > start;
+
+test('a machine is blocked only during its breakdown window', () => {
+  const start = toDate('2025-09-01 06:00');
+  const end = toDate('2025-09-03 06:00');
+  const result = schedule([makeOrder()], {
+    breakdowns: [{ machines: ['VMC 1'], start: '2025-09-01 06:00', end: '2025-09-03 06:00', reason: 'Spindle' }]
+  });
+
+  assert.deepEqual(errorAlerts(result), []);
+  const onMachine = result.rows.filter(row => row.Machine === 'VMC 1');
+  onMachine.forEach(row => {
+    assert.equal(overlaps(row, start, end), false, `Op${row.OperationSeq} ${row.Batch_ID} on VMC 1 ${row.SetupStart} → ${row.RunEnd}`);
+  });
+  // Once repaired the machine takes work again
+  assert.ok(onMachine.length > 0);
+});
+
+test('a run on the only eligible machine is paused for the breakdown', () => {
+  const order = makeOrder();
+  order.operations[0].EligibleMachines = 'VMC 1';
+  const result = schedule([order], {
+    breakdowns: [{ machines: ['VMC 1'], start: '2025-09-02 06:00', end: '2025-09-02 10:00', reason: 'Spindle' }]
+  });
+
+  const first = result.rows.find(row => row.Batch_ID === 'B01' && row.OperationSeq === 1);
+  assert.equal(first.Machine, 'VMC 1');
+  assert.equal(first.BreakdownPaused_Min, 240);
+  assert.match(first.Timing, /4H breakdown/);
+
+  // The next batch on the machine waits for the paused run instead of overlapping it
+  const second = result.rows.find(row => row.Batch_ID === 'B02' && row.OperationSeq === 1);
+  assert.ok(toDate(second.SetupStart) >= toDate(first.RunEnd));
+});
@@ -0,0 +1,94 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { DispatchListBuilder } = require('../dispatch_lists.js');
+
+const SHIFTS = ['06:00-14:00', '14:00-22:00', '22:00-06:00'];
+
+function row(overrides = {}) {
+  return {
+    Order_Number: 'ORD-00001',
+    PartNumber: 'PN1001',
+    Batch_ID: 'B01',
+    Batch_Qty: 100,
+    OperationSeq: 1,
+    OperationName: 'Facing',
+    Machine: 'VMC 1',
+    Person: 'A',
+    SetupStart: '2025-09-01 06:00',
+    SetupEnd: '2025-09-01 07:10',
+    RunStart: '2025-09-01 07:10',
+    RunEnd: '2025-09-01 10:10',
+    FirstPieceDone: '2025-09-01 07:28',
+    ...overrides
+  };
+}
+
+test('rows without a machine or operator go in an Unassigned list', () => {
+  const builder = new DispatchListBuilder({ shifts: SHIFTS });
+  const windows = builder.currentAndNextShift(new Date(2025, 8, 1, 6, 0));
+  const rows = [row(), row({ OperationSeq: 2, Machine: '', Person: null, SetupStart: '2025-09-01 08:00', SetupEnd: '2025-09-01 09:10' })];
+
+  const byMachine = builder.build(rows, { by: 'machine', windows, lanes: ['VMC 1', 'VMC 2'] });
+  assert.deepEqual(byMachine.map(list => [list.name, list.entries.length]), [['VMC 1', 1], ['VMC 2', 0], ['Unassigned', 1]]);
+
+  const byOperator = builder.build(rows, { by: 'operator', windows });
+  assert.deepEqual(byOperator.map(list => [list.name, list.entries.length]), [['A', 1], ['Unassigned', 1]]);
+  assert.equal(DispatchListBuilder.toSheetRows(byOperator[1], 'operator')[0].Machine, '');
+});
+
+test('shifts must be HH:MM-HH:MM', () => {
+  assert.throws(() => new DispatchListBuilder({ shifts: ['06:00-14:00', 'late'] }), /Shift must be HH:MM-HH:MM, got "late"/);
+  assert.throws(() => new DispatchListBuilder({ shifts: ['25:00-26:00'] }), /Shift must be HH:MM-HH:MM/);
+});
+
+test('the current and next shift follow the clock, overnight shifts included', () => {
+  const builder = new DispatchListBuilder({ shifts: SHIFTS });
+  const labels = at => builder.currentAndNextShift(at).map(window => `${window.label} ${builder.formatTime(window.start)}`);
+
+  assert.deepEqual(labels(new Date(2025, 8, 1, 15, 0)), ['Shift 2 2025-09-01 14:00', 'Shift 3 2025-09-01 22:00']);
+  // Two in the morning is still the night shift that started the evening before
+  assert.deepEqual(labels(new Date(2025, 8, 2, 2, 0)), ['Shift 3 2025-09-01 22:00', 'Shift 1 2025-09-02 06:00']);
+  assert.deepEqual(new DispatchListBuilder().currentAndNextShift(new Date()), []);
+});
+
+test('machine lists hold the operations in the shifts, in setup order, with what each waits on', () => {
+  const builder = new DispatchListBuilder({ shifts: SHIFTS });
+  const windows = builder.currentAndNextShift(new Date(2025, 8, 1, 7, 0));
+  const rows = [
+    row({ OperationSeq: 2, OperationName: 'Drilling', Machine: 'VMC 2', Person: 'B', SetupStart: '2025-09-01 07:00', SetupEnd: '2025-09-01 08:10', RunEnd: '2025-09-01 12:00' }),
+    // Set up during the night shift and still running
+    row({ SetupStart: '2025-09-01 05:00', SetupEnd: '2025-09-01 06:10', RunStart: '2025-09-01 06:10' }),
+    row({ Batch_ID: 'B02', Machine: 'VMC 2', SetupStart: '2025-09-01 12:30', SetupEnd: '2025-09-01 13:40', RunEnd: '2025-09-01 16:00' }),
+    // Starts after the next shift, so it is not listed
+    row({ Batch_ID: 'B03', SetupStart: '2025-09-02 06:00', SetupEnd: '2025-09-02 07:10', RunEnd: '2025-09-02 09:00' })
+  ];
+  const lists = builder.build(rows, { by: 'machine', windows });
+
+  assert.deepEqual(lists.map(list => list.name), ['VMC 1', 'VMC 2']);
+  const vmc1 = lists[0].entries;
+  assert.deepEqual(vmc1.map(entry => [entry.row.Batch_ID, entry.shift]), [['B01', 'In progress']]);
+  assert.equal(DispatchListBuilder.describeWaitingOn(vmc1[0].waitingOn), 'Material ready (first operation)');
+
+  const vmc2 = lists[1].entries;
+  assert.deepEqual(vmc2.map(entry => `${entry.row.Batch_ID} Op${entry.row.OperationSeq} ${entry.shift}`), ['B01 Op2 Shift 1', 'B02 Op1 Shift 1']);
+  assert.deepEqual(vmc2[0].waitingOn, { operationSeq: 1, operationName: 'Facing', machine: 'VMC 1', person: 'A', firstPieceDone: '2025-09-01 07:28' });
+
+  const sheet = DispatchListBuilder.toSheetRows(lists[1]);
+  assert.deepEqual(Object.keys(sheet[0]), ['Sequence', 'Shift', 'Order_Number', 'PartNumber', 'Batch_ID', 'Batch_Qty', 'OperationSeq', 'OperationName', 'Person', 'SetupStart', 'SetupEnd', 'RunStart', 'RunEnd', 'WaitingOn']);
+  assert.equal(sheet[0].WaitingOn, 'Op 1 Facing on VMC 1 · first piece 2025-09-01 07:28');
+});
+
+test('operator lists hold setups only and the printed document escapes names', () => {
+  const builder = new DispatchListBuilder({ shifts: SHIFTS });
+  const windows = builder.currentAndNextShift(new Date(2025, 8, 1, 6, 0));
+  const lists = builder.build([row({ Person: '<A>' }), row({ Batch_ID: 'B02', Person: '<A>', SetupStart: '2025-09-01 07:10', SetupEnd: '2025-09-01 08:20' })], { by: 'operator', windows, lanes: ['C'] });
+
+  assert.deepEqual(lists.map(list => [list.name, list.entries.map(entry => entry.end)]), [
+    ['C', []],
+    ['<A>', [new Date(2025, 8, 1, 7, 10).getTime(), new Date(2025, 8, 1, 8, 20).getTime()]]
+  ]);
+  const html = builder.renderDocument(lists, { by: 'operator', windows });
+  assert.match(html, /&lt;A&gt;/);
+  // Idle lists are left out of the printout
+  assert.doesNotMatch(html, /👷 C /);
+});
@@ -0,0 +1,52 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ExecutionTracker } = require('../execution_tracking.js');
+
+const rows = [{ Order_Number: 'ORD-1', PartNumber: 'PN1001', Batch_ID: 'B01', OperationSeq: 1, SetupStart: '2025-09-01 06:00', RunEnd: '2025-09-02 06:00' }];
+
+function event(name, occurredAt, extra = {}) {
+  return { orderKey: 'ORD-1', batchId: 'B01', operationSeq: 1, event: name, occurredAt, ...extra };
+}
+
+test('events add up to the actual state of an operation', () => {
+  const tracker = new ExecutionTracker();
+  const actuals = tracker.summarize([
+    event('run_started', '2025-09-01T07:30:00'),
+    event('setup_started', '2025-09-01T06:20:00'),
+    event('setup_finished', '2025-09-01T07:25:00'),
+    event('pieces', '2025-09-01T12:00:00', { goodQty: 40, scrapQty: 2 }),
+    event('pieces', '2025-09-01T18:00:00', { goodQty: 50 })
+  ]);
+  const actual = actuals.get(ExecutionTracker.rowKey(rows[0]));
+
+  assert.equal(actual.status, 'running');
+  assert.equal(actual.setupStart, '2025-09-01T06:20:00');
+  assert.equal(actual.goodQty, 90);
+  assert.equal(actual.scrapQty, 2);
+  assert.deepEqual(tracker.nextEvents(actual), ['pieces', 'run_finished']);
+  assert.deepEqual(tracker.variance(rows[0], actual), { setupStart: 20, runEnd: null });
+});
+
+test('events must follow the operation through setup and run', () => {
+  const tracker = new ExecutionTracker();
+  const started = [event('setup_started', '2025-09-01T06:00:00')];
+
+  assert.deepEqual(tracker.checkEvent(event('setup_finished', '2025-09-01T07:00:00'), rows, started), []);
+  assert.deepEqual(tracker.checkEvent(event('run_started', '2025-09-01T07:00:00'), rows, started), ['Start run: finish setup first']);
+  assert.deepEqual(tracker.checkEvent(event('setup_started', '2025-09-01T07:00:00'), rows, started), ['Start setup is already recorded for this operation']);
+  assert.deepEqual(tracker.checkEvent(event('setup_finished', '2025-09-01T05:00:00'), rows, started), ['occurredAt is before an event already recorded for this operation']);
+});
+
+test('piece counts and unknown rows are rejected', () => {
+  const tracker = new ExecutionTracker();
+  const running = [
+    event('setup_started', '2025-09-01T06:00:00'),
+    event('setup_finished', '2025-09-01T07:00:00'),
+    event('run_started', '2025-09-01T07:00:00')
+  ];
+
+  assert.deepEqual(tracker.checkEvent(event('pieces', '2025-09-01T08:00:00'), rows, running), ['Count at least one good or scrap piece']);
+  assert.deepEqual(tracker.checkEvent(event('pieces', '2025-09-01T08:00:00', { goodQty: -1 }), rows, running), ['Piece counts must be whole numbers of 0 or more']);
+  assert.deepEqual(tracker.checkEvent({ ...event('setup_started', '2025-09-01T06:00:00'), batchId: 'B09' }, rows, []), ['Operation 1 of ORD-1 batch B09 is not in this schedule run']);
+  assert.deepEqual(tracker.checkEvent(event('tea_break', '2025-09-01T06:00:00'), rows, []), ['Unknown event tea_break']);
+});
@@ -0,0 +1,68 @@
+/**
+ * Shared setup for the engine tests: routings from data.js and a runScheduling() that keeps
+ * the engine's trace logging out of the test output
+ */
+const fs = require('fs');
+const path = require('path');
+const { runScheduling } = require('../../x10-browser.js');
+
+const DATA_PATH = path.join(__dirname, '..', '..', 'data.js');
+
+const BASE_SETTINGS = {
+  startDateTime: '2025-09-01T06:00:00',
+  setupWindow: '06:00-22:00',
+  holidays: []
+};
+
+// OP_MASTER as read by schedule_api.js
+function loadOperationsMaster() {
+  const content = fs.readFileSync(DATA_PATH, 'utf8');
+  return JSON.parse(content.slice(content.indexOf('=') + 1).trim().replace(/;$/, ''));
+}
+
+// A part's routing, as copies the test may change
+function partOperations(partNumber = 'PN1001') {
+  return loadOperationsMaster()
+    .filter(op => op.PartNumber === partNumber)
+    .sort((a, b) => a.OperationSeq - b.OperationSeq)
+    .map(op => ({ ...op }));
+}
+
+function makeOrder(overrides = {}) {
+  return {
+    partNumber: 'PN1001',
+    quantity: 300,
+    priority: 'Normal',
+    dueDate: '2025-09-20',
+    batchMode: 'auto-split',
+    operations: partOperations(overrides.partNumber),
+    ...overrides
+  };
+}
+
+// Runs fn() with the engine's console.log tracing switched off
+function quietly(fn) {
+  const log = console.log;
+  console.log = () => {};
+  try {
+    return fn();
+  } finally {
+    console.log = log;
+  }
+}
+
+function schedule(orders, settings = {}) {
+  return quietly(() => runScheduling(orders, { ...BASE_SETTINGS, ...settings }));
+}
+
+// Result rows carry local "YYYY-MM-DD HH:MM" times
+function toDate(value) {
+  return new Date(String(value).replace(' ', 'T'));
+}
+
+// Alerts for failed scheduling or validation (❌)
+function errorAlerts(result) {
+  return result.alerts.filter(alert => alert.includes('❌'));
+}
+
+module.exports = { BASE_SETTINGS, partOperations, makeOrder, quietly, schedule, toDate, errorAlerts };
@@ -0,0 +1,39 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { makeOrder, schedule, toDate, errorAlerts } = require('./helpers/engine');
+
+test('no setup starts before a holiday at the start of the schedule ends', () => {
+  const result = schedule([makeOrder()], {
+    holidays: [{ start: '2025-09-01 06:00', end: '2025-09-02 06:00', reason: 'Plant shutdown' }]
+  });
+
+  assert.deepEqual(errorAlerts(result), []);
+  assert.equal(result.rows.length, 8);
+  result.rows.forEach(row => {
+    assert.ok(toDate(row.SetupStart) >= toDate('2025-09-02 06:00'), `Op${row.OperationSeq} ${row.Batch_ID} starts ${row.SetupStart}`);
+  });
+});
+
+test('a run that spans a holiday is paused for it', () => {
+  const holiday = { start: '2025-09-02 00:00', end: '2025-09-02 12:00' };
+  const withHoliday = schedule([makeOrder()], { holidays: [holiday] });
+  const without = schedule([makeOrder()]);
+
+  assert.deepEqual(errorAlerts(withHoliday), []);
+  const first = withHoliday.rows.find(row => row.Batch_ID === 'B01' && row.OperationSeq === 1);
+  const plain = without.rows.find(row => row.Batch_ID === 'B01' && row.OperationSeq === 1);
+  assert.equal(first.SetupStart, plain.SetupStart);
+  assert.equal(first.HolidayPaused_Min, 12 * 60);
+  assert.equal(toDate(first.RunEnd) - toDate(plain.RunEnd), 12 * 60 * 60000);
+  assert.match(first.Timing, /12H holiday/);
+});
+
+test('setups never fall inside a holiday', () => {
+  const holiday = { start: toDate('2025-09-02 00:00'), end: toDate('2025-09-02 12:00') };
+  const result = schedule([makeOrder()], { holidays: [{ start: '2025-09-02 00:00', end: '2025-09-02 12:00' }] });
+
+  result.rows.forEach(row => {
+    const overlaps = toDate(row.SetupStart) < holiday.end && toDate(row.SetupEnd) > holiday.start;
+    assert.equal(overlaps, false, `Op${row.OperationSeq} ${row.Batch_ID} setup ${row.SetupStart} → ${row.SetupEnd}`);
+  });
+});
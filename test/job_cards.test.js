@@ -0,0 +1,102 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { JobCardBuilder } = require('../job_cards.js');
+
+function row(overrides = {}) {
+  return {
+    Order_Number: 'ORD-00001',
+    PartNumber: 'PN1001',
+    Batch_ID: 'B01',
+    Batch_Qty: 100,
+    Order_Quantity: 200,
+    OperationSeq: 1,
+    OperationName: 'Facing',
+    Machine: 'VMC 1',
+    Person: 'A',
+    SetupStart: '2025-09-01 06:00',
+    SetupEnd: '2025-09-01 07:10',
+    RunStart: '2025-09-01 07:10',
+    RunEnd: '2025-09-01 10:10',
+    DueDate: '2025-09-10',
+    ...overrides
+  };
+}
+
+// Symbol values of a rendered barcode, read back from its bar and space widths
+function decodeBarcode(svg, moduleWidth = 2) {
+  const bars = [...svg.matchAll(/<rect x="([\d.]+)" y="0" width="([\d.]+)"/g)].map(([, x, width]) => [Number(x), Number(width)]);
+  const widths = [];
+  bars.forEach(([x, width], index) => {
+    widths.push(width / moduleWidth);
+    if (index < bars.length - 1) widths.push((bars[index + 1][0] - x - width) / moduleWidth);
+  });
+  // Every symbol is 3 bars and 3 spaces; the stop symbol ends with a 4th bar
+  const patterns = JobCardBuilder.CODE128_PATTERNS;
+  const stop = widths.splice(widths.length - 7).join('');
+  const symbols = [];
+  for (let i = 0; i < widths.length; i += 6) symbols.push(patterns.indexOf(widths.slice(i, i + 6).join('')));
+  symbols.push(patterns.indexOf(stop));
+  return symbols;
+}
+
+test('the Code 128 table has 107 distinct symbols of 11 modules (13 for stop)', () => {
+  const patterns = JobCardBuilder.CODE128_PATTERNS;
+  const modules = pattern => pattern.split('').reduce((sum, width) => sum + Number(width), 0);
+
+  assert.equal(patterns.length, 107);
+  assert.equal(new Set(patterns).size, 107);
+  patterns.slice(0, 106).forEach((pattern, value) => assert.equal(modules(pattern), 11, `symbol ${value}`));
+  assert.equal(modules(patterns[106]), 13);
+});
+
+test('barcodes encode start B, the text, the mod 103 checksum and stop', () => {
+  const builder = new JobCardBuilder();
+
+  // "AB": 104 + 33×1 + 34×2 = 205, 205 mod 103 = 102
+  assert.deepEqual(decodeBarcode(builder.renderBarcode('AB')), [104, 33, 34, 102, 106]);
+  // "ORD-1/B01": 104 + 47 + 50×2 + 36×3 + 13×4 + 17×5 + 15×6 + 34×7 + 16×8 + 17×9 = 1105, mod 103 = 75
+  assert.deepEqual(decodeBarcode(builder.renderBarcode('ORD-1/B01')), [104, 47, 50, 36, 13, 17, 15, 34, 16, 17, 75, 106]);
+  // Characters outside printable ASCII are encoded as "?"
+  assert.deepEqual(decodeBarcode(builder.renderBarcode('é')), decodeBarcode(builder.renderBarcode('?')));
+});
+
+test('rows are grouped into batches in order of first setup, operations in sequence', () => {
+  const rows = [
+    row({ Batch_ID: 'B02', SetupStart: '2025-09-01 14:00' }),
+    row({ OperationSeq: 2, SetupStart: '2025-09-01 08:00' }),
+    row(),
+    row({ Order_Number: null, Order_ID: 'f3c1a2', PartNumber: 'PN2002', SetupStart: '2025-09-01 05:00' })
+  ];
+  const batches = new JobCardBuilder().groupBatches(rows);
+
+  assert.deepEqual(batches.map(batch => batch.key), ['f3c1a2|B01', 'ORD-00001|B01', 'ORD-00001|B02']);
+  assert.deepEqual(batches[1].operations.map(op => op.OperationSeq), [1, 2]);
+  assert.equal(JobCardBuilder.batchCode(batches[1]), 'ORD-00001/B01');
+});
+
+test('batches are selected by order, machine or shift', () => {
+  const builder = new JobCardBuilder();
+  const batches = builder.groupBatches([
+    row(),
+    row({ OperationSeq: 2, Machine: 'VMC 7', SetupStart: '2025-09-01 23:00' }),
+    row({ Order_Number: 'ORD-00002', Machine: 'VMC 2', SetupStart: '2025-09-02 15:00' })
+  ]);
+  const keys = selection => builder.select(batches, selection).map(batch => batch.key);
+
+  assert.deepEqual(keys({ order: 'ORD-00002' }), ['ORD-00002|B01']);
+  // A batch is printed whole even when only one of its operations is on the machine
+  assert.deepEqual(keys({ machine: 'VMC 7' }), ['ORD-00001|B01']);
+  assert.deepEqual(keys({ date: '2025-09-01', shift: '22:00-06:00' }), ['ORD-00001|B01']);
+  assert.deepEqual(keys({ date: '2025-09-02', shift: '06:00-14:00' }), []);
+  assert.throws(() => builder.select(batches, { date: '2025-09-01', shift: 'nights' }), /Shift must be HH:MM-HH:MM/);
+});
+
+test('cards escape row values and carry one barcode per batch', () => {
+  const builder = new JobCardBuilder();
+  const html = builder.renderDocument(builder.groupBatches([row({ Customer: 'Smith & <Sons>' })]), { title: 'Traveler' });
+
+  assert.match(html, /Smith &amp; &lt;Sons&gt;/);
+  assert.equal((html.match(/class="job-card"/g) || []).length, 1);
+  assert.equal((html.match(/<svg /g) || []).length, 1);
+  assert.match(html, /ORD-00001\/B01/);
+});
@@ -0,0 +1,48 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { MachineEligibility } = require('../machine_eligibility.js');
+const { makeOrder, schedule, errorAlerts } = require('./helpers/engine');
+
+test('entries carry their own cycle, setup and rank', () => {
+  const { entries, errors } = MachineEligibility.parse('VMC 1 (rank=1), VMC 7 (cycle=12.6; setup=50, rank=2), VMC 2');
+
+  assert.deepEqual(errors, []);
+  assert.deepEqual(entries, [
+    { machine: 'VMC 1', cycleTime_Min: null, setupTime_Min: null, rank: 1 },
+    { machine: 'VMC 7', cycleTime_Min: 12.6, setupTime_Min: 50, rank: 2 },
+    { machine: 'VMC 2', cycleTime_Min: null, setupTime_Min: null, rank: null }
+  ]);
+  assert.equal(MachineEligibility.format(entries), 'VMC 1 (rank=1), VMC 7 (cycle=12.6; setup=50; rank=2), VMC 2');
+});
+
+test('arrays of strings and objects read the same as the written form', () => {
+  const { entries } = MachineEligibility.parse(['VMC 1, VMC 2', { name: 'VMC 7', cycle: 12.6, rank: 2 }]);
+
+  assert.deepEqual(entries.map(MachineEligibility.formatEntry), ['VMC 1', 'VMC 2', 'VMC 7 (cycle=12.6; rank=2)']);
+});
+
+test('invalid options are reported', () => {
+  const { errors } = MachineEligibility.parse('VMC 1 (cycle=0), VMC 2 (rank=1.5), VMC 3 (speed=2), (rank=1)');
+
+  assert.deepEqual(errors, [
+    'cycle=0 for VMC 1 is not valid (minutes above 0)',
+    'rank=1.5 for VMC 2 is not valid (whole number of 1 or more)',
+    'Unknown option "speed=2" for VMC 3 (use cycle=, setup= or rank=)',
+    'Machine name missing in "(rank=1)"'
+  ]);
+});
+
+test('the engine uses the machine times and prefers ranked machines', () => {
+  const order = makeOrder({ batchMode: 'single-batch' });
+  order.operations[0].EligibleMachines = 'VMC 3 (rank=1), VMC 1 (rank=2), VMC 2, VMC 4';
+  order.operations[1].EligibleMachines = 'VMC 1, VMC 2, VMC 7 (cycle=7; setup=40), VMC 4';
+  const result = schedule([order]);
+
+  assert.deepEqual(errorAlerts(result), []);
+  const [first, second] = result.rows;
+  assert.equal(first.Machine, 'VMC 3');
+  assert.equal(second.Machine, 'VMC 7');
+  assert.equal(second.CycleTime_Min, 7);
+  assert.equal(second.SetupTime_Min, 40);
+  assert.equal(second.EligibleMachines, 'VMC 1, VMC 2, VMC 7 (cycle=7; setup=40), VMC 4');
+});
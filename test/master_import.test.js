@@ -0,0 +1,152 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { MasterOperationsImport } = require('../master_import.js');
+const { RoutingValidator } = require('../routing_validation.js');
+
+function masterRow(partnumber, operationseq, overrides = {}) {
+  return {
+    partnumber,
+    operationseq,
+    operationname: 'Facing',
+    setuptime_min: 70,
+    operator: '',
+    cycletime_min: 18,
+    minimum_batchsize: 100,
+    eligiblemachines: ['VMC 1', 'VMC 2'],
+    ...overrides
+  };
+}
+
+test('importing only the clean rows keeps the current rows of rejected ones', () => {
+  const current = [masterRow('PN1001', 1), masterRow('PN1001', 2), masterRow('PN1001', 3), masterRow('PN2002', 1)];
+  const report = new RoutingValidator({ resources: { machines: ['VMC 1', 'VMC 2'] } }).validate('Routing', [
+    { __rowNum__: 1, PartNumber: 'PN1001', OperationSeq: 1, OperationName: 'Facing', SetupTime_Min: 70, CycleTime_Min: 12, Minimum_BatchSize: 100, EligibleMachines: 'VMC 1, VMC 2' },
+    { __rowNum__: 2, PartNumber: 'PN1001', OperationSeq: 2, OperationName: 'Facing', SetupTime_Min: 70, CycleTime_Min: 18, Minimum_BatchSize: 100, EligibleMachines: 'VMC 1, VMC 2' },
+    { __rowNum__: 3, PartNumber: 'PN1001', OperationSeq: 3, OperationName: 'Facing', SetupTime_Min: 70, CycleTime_Min: 'abc', Minimum_BatchSize: 100, EligibleMachines: 'VMC 1, VMC 2' }
+  ]);
+
+  const preview = new MasterOperationsImport().preview(current, report.cleanRows, { keep: report.rejectedKeys });
+
+  assert.deepEqual(preview.summary, { added: 0, changed: 1, removed: 1, kept: 1, unchanged: 1, parts: 2 });
+  assert.deepEqual(preview.kept.map(MasterOperationsImport.rowKey), ['PN1001|3']);
+  // PN2002 was not in the file at all, so the import still removes it
+  assert.deepEqual(preview.removed.map(MasterOperationsImport.rowKey), ['PN2002|1']);
+  assert.deepEqual(preview.rows.map(MasterOperationsImport.rowKey), ['PN1001|1', 'PN1001|2', 'PN1001|3']);
+});
+
+test('a rejected row without a usable OperationSeq keeps every current row of its part', () => {
+  const current = [masterRow('PN1001', 1), masterRow('PN1001', 2), masterRow('PN2002', 1)];
+
+  const preview = new MasterOperationsImport().preview(current, [masterRow('PN1001', 1)], {
+    keep: [{ partnumber: 'PN1001', operationseq: null }]
+  });
+
+  assert.deepEqual(preview.kept.map(MasterOperationsImport.rowKey), ['PN1001|2']);
+  assert.deepEqual(preview.removed.map(MasterOperationsImport.rowKey), ['PN2002|1']);
+});
+
+// Supabase client stand-in: table reads resolve to the given rows, rpc() calls are recorded
+function fakeClient({ rows = [], rpcResult = 'import-1', rpcError = null } = {}) {
+  const calls = [];
+  const query = {
+    select: () => query,
+    is: () => query,
+    eq: () => query,
+    order: () => query,
+    limit: () => query,
+    then: (resolve, reject) => Promise.resolve({ data: rows, error: null }).then(resolve, reject)
+  };
+  return {
+    calls,
+    from: table => {
+      calls.push(['from', table]);
+      return query;
+    },
+    rpc: async (name, params) => {
+      calls.push(['rpc', name, params]);
+      return { data: rpcError ? null : rpcResult, error: rpcError };
+    }
+  };
+}
+
+test('the preview lists added, changed, removed and unchanged rows per part', () => {
+  const current = [masterRow('PN1001', 1), masterRow('PN1001', 2), masterRow('PN2002', 1)];
+  const incoming = [
+    masterRow('PN1001', 1, { eligiblemachines: 'VMC 1,VMC 2' }),
+    masterRow('PN1001', 2, { cycletime_min: '12.5' }),
+    masterRow('PN1001', 3)
+  ];
+  const preview = new MasterOperationsImport().preview(current, incoming);
+
+  assert.deepEqual(preview.summary, { added: 1, changed: 1, removed: 1, kept: 0, unchanged: 1, parts: 2 });
+  assert.deepEqual(preview.changed.map(change => [change.key, change.fields, change.after.cycletime_min]), [['PN1001|2', ['cycletime_min'], 12.5]]);
+  assert.deepEqual(preview.parts, { PN1001: { added: 1, changed: 1, removed: 0 }, PN2002: { added: 0, changed: 0, removed: 1 } });
+  assert.deepEqual(preview.duplicates, []);
+});
+
+test('written forms of the same eligible machines compare equal', () => {
+  const preview = new MasterOperationsImport().preview(
+    [masterRow('PN1001', 1, { eligiblemachines: ['VMC 7(cycle=12.6)'] })],
+    [masterRow('PN1001', 1, { eligiblemachines: 'VMC 7 (cycle=12.6)' })]
+  );
+
+  assert.equal(preview.summary.unchanged, 1);
+});
+
+test('apply sends the previewed rows to the database and refuses duplicates', async () => {
+  const client = fakeClient();
+  const importer = new MasterOperationsImport({ client });
+  const preview = importer.preview([], [masterRow('PN1001', 1)]);
+
+  assert.equal(await importer.apply(preview, { effectiveFrom: '2025-09-01' }), 'import-1');
+  assert.deepEqual(client.calls, [['rpc', 'apply_master_operations_import', {
+    p_rows: preview.rows,
+    p_summary: preview.summary,
+    p_effective_from: '2025-09-01'
+  }]]);
+
+  const duplicated = importer.preview([], [masterRow('PN1001', 1), masterRow('PN1001', 1)]);
+  await assert.rejects(importer.apply(duplicated), /Duplicate PartNumber\/OperationSeq rows: PN1001\|1/);
+  assert.equal(client.calls.length, 1);
+});
+
+test('database errors from apply and revert are thrown', async () => {
+  const rpcError = new Error('Only Admins can import master operations');
+  const importer = new MasterOperationsImport({ client: fakeClient({ rpcError }) });
+
+  await assert.rejects(importer.apply(importer.preview([], [masterRow('PN1001', 1)])), rpcError);
+  await assert.rejects(importer.revert('import-1'), rpcError);
+});
+
+test('revert restores an import through the database function', async () => {
+  const client = fakeClient({ rpcResult: 'import-2' });
+
+  assert.equal(await new MasterOperationsImport({ client }).revert('import-1'), 'import-2');
+  assert.deepEqual(client.calls, [['rpc', 'revert_master_operations_import', { p_import_id: 'import-1' }]]);
+});
+
+test('saving one part from the editor keeps every other part', async () => {
+  const client = fakeClient({ rows: [masterRow('PN1001', 1), masterRow('PN1001', 2), masterRow('PN2002', 1)] });
+
+  await new MasterOperationsImport({ client }).savePart('PN1001', [masterRow('PN1001', 1, { setuptime_min: 45 })]);
+
+  const [, , params] = client.calls.find(call => call[0] === 'rpc');
+  assert.deepEqual(params.p_rows.map(MasterOperationsImport.rowKey).sort(), ['PN1001|1', 'PN2002|1']);
+  assert.deepEqual(params.p_summary, { added: 0, changed: 1, removed: 1, kept: 0, unchanged: 1, parts: 1, source: 'editor', partNumber: 'PN1001' });
+});
+
+test('revisions of a part are grouped oldest first', async () => {
+  const client = fakeClient({ rows: [
+    { ...masterRow('PN1001', 1), revision: 1, effective_from: '2025-01-01', effective_to: '2025-06-01' },
+    { ...masterRow('PN1001', 2), revision: 1, effective_from: '2025-01-01', effective_to: '2025-06-01' },
+    { ...masterRow('PN1001', 1, { cycletime_min: 12 }), revision: 2, effective_from: '2025-06-01', effective_to: null }
+  ] });
+  const importer = new MasterOperationsImport({ client });
+  const revisions = await importer.loadRevisions('PN1001');
+
+  assert.deepEqual(revisions.map(revision => [revision.revision, revision.effectiveFrom, revision.effectiveTo, revision.rows.length]), [
+    [1, '2025-01-01', '2025-06-01', 2],
+    [2, '2025-06-01', null, 1]
+  ]);
+  assert.deepEqual(importer.compareRevisions(revisions[0], revisions[1]).summary, { added: 0, changed: 1, removed: 1, kept: 0, unchanged: 0, parts: 1 });
+});
@@ -0,0 +1,51 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { OrderImportValidator } = require('../order_import.js');
+
+const operations = [{ PartNumber: 'PN1001', OperationSeq: 1 }, { partnumber: 'PN2002', operationseq: 1 }];
+
+test('order rows become orders with form defaults', () => {
+  const report = new OrderImportValidator({ operations }).validate('Orders', [
+    { __rowNum__: 1, 'Order No': 'ORD-1', Part: 'PN1001', Qty: 250, 'Due Date': '15/09/2025' },
+    { __rowNum__: 2, PartNumber: 'PN2002', Quantity: '40', Priority: 'urgent', 'Batch Size': 20 }
+  ]);
+
+  assert.deepEqual(report.issues, []);
+  assert.deepEqual(report.cleanOrders[0], {
+    rowNumber: 2,
+    orderNumber: 'ORD-1',
+    customer: null,
+    poNumber: null,
+    partNumber: 'PN1001',
+    quantity: 250,
+    priority: 'Normal',
+    dueDate: '2025-09-15',
+    startDateTime: null,
+    batchMode: 'auto-split',
+    customBatchSize: null,
+    setupWindow: null
+  });
+  assert.equal(report.cleanOrders[1].priority, 'Urgent');
+  assert.equal(report.cleanOrders[1].batchMode, 'custom-batch-size');
+  assert.equal(report.cleanOrders[1].customBatchSize, '20');
+});
+
+test('rows breaking the order form rules are listed and left out', () => {
+  const report = new OrderImportValidator({ operations, existingOrderNumbers: ['ORD-9'] }).validate('Orders', [
+    { __rowNum__: 1, OrderNumber: 'ORD-9', PartNumber: 'PN1001', Quantity: 5 },
+    { __rowNum__: 2, PartNumber: 'PN404', Quantity: 2.5, DueDate: '31/02/2026' },
+    { __rowNum__: 3, OrderNumber: 'ORD-1', PartNumber: 'PN1001', Quantity: 1, BatchMode: 'Single', BatchSize: 10 },
+    { __rowNum__: 4, OrderNumber: 'ORD-1', PartNumber: 'PN1001', Quantity: 1 }
+  ]);
+
+  assert.deepEqual(report.issues.map(issue => [issue.row, issue.column, issue.severity, issue.problem]), [
+    [2, 'OrderNumber', 'error', 'Order number ORD-9 is already used by a saved order'],
+    [3, 'PartNumber', 'error', 'Part number "PN404" is not in the routing master'],
+    [3, 'Quantity', 'error', 'Quantity must be a whole number greater than 0'],
+    [3, 'DueDate', 'error', 'DueDate is not a date (use YYYY-MM-DD or DD/MM/YYYY)'],
+    [4, 'CustomBatchSize', 'warning', 'Ignored for batch mode single-batch'],
+    [5, 'OrderNumber', 'error', 'Duplicate of row 4']
+  ]);
+  assert.deepEqual(report.cleanOrders.map(order => order.rowNumber), [4]);
+  assert.deepEqual(report.summary, { totalRows: 4, cleanRows: 1, rejectedRows: 3, errors: 5, warnings: 1 });
+});
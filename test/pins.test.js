@@ -0,0 +1,83 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { makeOrder, schedule, errorAlerts } = require('./helpers/engine');
+
+function pinnedOrder(orderNumber, pins) {
+  return makeOrder({ orderNumber, batchMode: 'single-batch', pins });
+}
+
+test('a pinned operation keeps its machine, operator and start; the rest is planned around it', () => {
+  const order = pinnedOrder('SO-1', [{ batchId: 'B01', operationSeq: 1, machine: 'VMC 4', person: 'B', setupStart: '2025-09-01T08:00:00' }]);
+  const result = schedule([order]);
+
+  assert.deepEqual(errorAlerts(result), []);
+  const [pinned, ...rest] = result.rows;
+  assert.equal(pinned.Machine, 'VMC 4');
+  assert.equal(pinned.Person, 'B');
+  assert.equal(pinned.SetupStart, '2025-09-01 08:00');
+  assert.equal(pinned.Locked, true);
+  assert.equal(rest.length, 3);
+  rest.forEach(row => assert.equal(row.Locked, false));
+});
+
+test('a pin without a person gets an operator who is on shift and free', () => {
+  const orders = ['SO-1', 'SO-2'].map((orderNumber, index) =>
+    pinnedOrder(orderNumber, [{ batchId: 'B01', operationSeq: 1, machine: `VMC ${index + 1}`, setupStart: '2025-09-01T08:00:00' }]));
+  const result = schedule(orders);
+
+  assert.deepEqual(errorAlerts(result), []);
+  const people = result.rows.filter(row => row.OperationSeq === 1).map(row => row.Person).sort();
+  assert.deepEqual(people, ['A', 'B']);
+});
+
+test('a pin whose operator is already booked fails its order', () => {
+  const orders = [
+    pinnedOrder('SO-1', [{ batchId: 'B01', operationSeq: 1, machine: 'VMC 1', person: 'A', setupStart: '2025-09-01T08:00:00' }]),
+    pinnedOrder('SO-2', [{ batchId: 'B01', operationSeq: 1, machine: 'VMC 2', person: 'A', setupStart: '2025-09-01T08:30:00' }])
+  ];
+  const result = schedule(orders);
+
+  const errors = errorAlerts(result);
+  assert.ok(errors.some(alert => alert.includes('Pin rejected') && alert.includes('A is already booked')), errors.join('\n'));
+  assert.ok(errors.some(alert => alert.includes('Failed to schedule') && alert.includes('SO-2')), errors.join('\n'));
+  assert.deepEqual([...new Set(result.rows.map(row => row.Order_Number))], ['SO-1']);
+});
+
+test('pins are rejected when no operator is free or the operator is off shift', () => {
+  const orders = [1, 2, 3].map(index =>
+    pinnedOrder(`SO-${index}`, [{ batchId: 'B01', operationSeq: 1, machine: `VMC ${index}`, setupStart: '2025-09-01T08:00:00' }]));
+  orders.push(pinnedOrder('SO-4', [{ batchId: 'B01', operationSeq: 1, machine: 'VMC 4', person: 'C', setupStart: '2025-09-01T08:00:00' }]));
+  const result = schedule(orders);
+
+  const errors = errorAlerts(result);
+  assert.ok(errors.some(alert => alert.includes('no operator is free on shift')), errors.join('\n'));
+  assert.ok(errors.some(alert => alert.includes('C is off shift')), errors.join('\n'));
+  assert.deepEqual([...new Set(result.rows.map(row => row.Order_Number))].sort(), ['SO-1', 'SO-2']);
+});
+
+test('overlapping pins on one machine fail the later order and release its other pins', () => {
+  const orders = [
+    pinnedOrder('SO-1', [{ batchId: 'B01', operationSeq: 1, machine: 'VMC 1', person: 'A', setupStart: '2025-09-01T08:00:00' }]),
+    pinnedOrder('SO-2', [
+      { batchId: 'B01', operationSeq: 1, machine: 'VMC 2', person: 'B', setupStart: '2025-09-01T08:00:00' },
+      { batchId: 'B01', operationSeq: 2, machine: 'VMC 1', setupStart: '2025-09-01T12:00:00' }
+    ])
+  ];
+  const result = schedule(orders);
+
+  const errors = errorAlerts(result);
+  assert.ok(errors.some(alert => alert.includes('overlaps another pinned operation on VMC 1')), errors.join('\n'));
+  assert.ok(errors.some(alert => alert.includes('Failed to schedule') && alert.includes('SO-2')), errors.join('\n'));
+  // SO-2's pin on VMC 2 is not kept: nothing is booked there for B at 08:00
+  assert.ok(!result.rows.some(row => row.Machine === 'VMC 2' && row.SetupStart === '2025-09-01 08:00' && row.Person === 'B'));
+});
+
+test('a pin to an ineligible machine fails the order instead of planning it elsewhere', () => {
+  const order = pinnedOrder('SO-1', [{ batchId: 'B01', operationSeq: 2, machine: 'VMC 3', setupStart: '2025-09-01T12:00:00' }]);
+  const result = schedule([order]);
+
+  const errors = errorAlerts(result);
+  assert.ok(errors.some(alert => alert.includes('Pin rejected') && alert.includes('VMC 3 is not an eligible machine')), errors.join('\n'));
+  assert.ok(errors.some(alert => alert.includes('Failed to schedule')), errors.join('\n'));
+  assert.deepEqual(result.rows, []);
+});
@@ -0,0 +1,77 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ShopStateRescheduler } = require('../reschedule.js');
+const { ExecutionTracker } = require('../execution_tracking.js');
+const { makeOrder, schedule, toDate, errorAlerts } = require('./helpers/engine');
+
+const local = value => toDate(value).toISOString();
+
+function actualsFor(row, events) {
+  return events.map(([event, at, goodQty = 0, scrapQty = 0]) => ({
+    orderKey: ExecutionTracker.orderKey(row),
+    batchId: row.Batch_ID,
+    operationSeq: row.OperationSeq,
+    event,
+    occurredAt: local(at),
+    goodQty,
+    scrapQty
+  }));
+}
+
+test('done, in-progress and frozen operations are pinned; the rest is replanned after the window', () => {
+  const order = makeOrder({ orderNumber: 'SO-1', pins: [] });
+  const base = schedule([order]);
+  const [first, second] = base.rows;
+  const events = [
+    ...actualsFor(first, [['setup_started', first.SetupStart], ['setup_finished', first.SetupEnd], ['run_started', first.SetupEnd], ['run_finished', first.RunEnd, first.Batch_Qty - 5, 5]]),
+    ...actualsFor(second, [['setup_started', second.SetupStart], ['setup_finished', second.SetupEnd], ['run_started', second.SetupEnd], ['pieces', second.SetupEnd, 10]])
+  ];
+  const asOf = new Date(toDate(second.SetupEnd).getTime() + 3600000);
+
+  const prepared = new ShopStateRescheduler().prepare([order], { startDateTime: '2025-09-01T06:00:00' }, {
+    baseRows: base.rows,
+    actuals: new ExecutionTracker().summarize(events),
+    asOf,
+    frozenHours: 8
+  });
+
+  assert.deepEqual(prepared.summary, { done: 1, inProgress: 1, frozen: 0, replanned: 6, late: 0 });
+  assert.equal(prepared.globalSettings.startDateTime, new Date(asOf.getTime() + 8 * 3600000).toISOString());
+  // Operations after the scrapped pieces only make what is left of the batch
+  assert.deepEqual(prepared.ordersData[0].operationQuantities, { 'B01|3': 145, 'B01|4': 145 });
+
+  const result = schedule(prepared.ordersData, prepared.globalSettings);
+  assert.deepEqual(errorAlerts(result), []);
+  const done = result.rows.find(row => row.Batch_ID === 'B01' && row.OperationSeq === 1);
+  assert.equal(done.ShopState, 'done');
+  assert.equal(done.RunEnd, first.RunEnd);
+  result.rows.filter(row => !row.ShopState).forEach(row => {
+    assert.ok(toDate(row.SetupStart) >= new Date(prepared.globalSettings.startDateTime), `Op${row.OperationSeq} ${row.Batch_ID} ${row.SetupStart}`);
+  });
+});
+
+test('operations planned inside the frozen window keep their plan', () => {
+  const order = makeOrder({ orderNumber: 'SO-1', pins: [] });
+  const base = schedule([order]);
+
+  const prepared = new ShopStateRescheduler().prepare([order], {}, {
+    baseRows: base.rows,
+    actuals: new Map(),
+    asOf: toDate('2025-09-01 06:00'),
+    frozenHours: 2
+  });
+
+  const frozen = prepared.ordersData[0].pins.filter(pin => pin.shopState === 'frozen');
+  assert.deepEqual(frozen.map(pin => `${pin.batchId} Op${pin.operationSeq} ${pin.machine}`), ['B01 Op1 VMC 1', 'B01 Op2 VMC 2']);
+});
+
+test('an order whose quantity changed is rescheduled from scratch', () => {
+  const order = makeOrder({ orderNumber: 'SO-1' });
+  const base = schedule([order]);
+
+  const prepared = new ShopStateRescheduler().prepare([{ ...order, quantity: 200 }], {}, { baseRows: base.rows, asOf: toDate('2025-09-01 06:00') });
+
+  assert.equal(prepared.ordersData[0].pins, undefined);
+  assert.match(prepared.alerts[0], /SO-1: quantity changed since the plan/);
+  assert.throws(() => new ShopStateRescheduler().prepare([order], {}, { frozenHours: -1 }), /Frozen window must be 0 hours or more/);
+});
@@ -0,0 +1,98 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { RoutingValidator } = require('../routing_validation.js');
+
+const resources = {
+  machines: [
+    { name: 'VMC 1', type: 'VMC', capabilities: ['milling'] },
+    { name: 'VMC 2', type: 'VMC', capabilities: ['milling'] },
+    { name: 'Lathe 1', type: 'Lathe', capabilities: ['turning'] }
+  ]
+};
+
+function sheetRow(rowIndex, overrides = {}) {
+  return {
+    __rowNum__: rowIndex,
+    PartNumber: 'PN1001',
+    OperationSeq: rowIndex,
+    OperationName: 'Facing',
+    SetupTime_Min: 70,
+    Operater: '',
+    CycleTime_Min: 18,
+    Minimum_BatchSize: 100,
+    EligibleMachines: 'VMC 1, VMC 2',
+    ...overrides
+  };
+}
+
+test('clean rows are imported with their Excel row numbers', () => {
+  const report = new RoutingValidator({ resources }).validate('Routing', [sheetRow(1), sheetRow(2)]);
+
+  assert.deepEqual(report.issues, []);
+  assert.equal(report.summary.cleanRows, 2);
+  assert.deepEqual(report.cleanRows[0], {
+    partnumber: 'PN1001',
+    operationseq: 1,
+    operationname: 'Facing',
+    setuptime_min: 70,
+    operator: '',
+    cycletime_min: 18,
+    minimum_batchsize: 100,
+    eligiblemachines: ['VMC 1', 'VMC 2']
+  });
+});
+
+test('every problem is listed by row and column and the row is left out', () => {
+  const report = new RoutingValidator({ resources }).validate('Routing', [
+    sheetRow(1),
+    sheetRow(2, { CycleTime_Min: 'abc', EligibleMachines: 'VMC 9' }),
+    sheetRow(3, { PartNumber: '' })
+  ]);
+
+  assert.deepEqual(report.issues.map(issue => [issue.row, issue.column, issue.severity, issue.problem]), [
+    [3, 'CycleTime_Min', 'error', 'CycleTime_Min is not a number'],
+    [3, 'EligibleMachines', 'error', 'Unknown machine "VMC 9"'],
+    [4, 'PartNumber', 'error', 'PartNumber is missing']
+  ]);
+  assert.deepEqual(report.summary, { totalRows: 3, cleanRows: 1, rejectedRows: 2, errors: 3, warnings: 0 });
+  assert.deepEqual(report.rejectedKeys, [
+    { partnumber: 'PN1001', operationseq: 2 },
+    { partnumber: null, operationseq: 3 }
+  ]);
+});
+
+test('duplicates are rejected, while whitespace and sequence gaps only warn', () => {
+  const report = new RoutingValidator({ resources }).validate('Routing', [
+    sheetRow(1, { OperationName: ' Facing ' }),
+    sheetRow(2, { OperationSeq: 1 }),
+    sheetRow(3, { OperationSeq: 4 })
+  ]);
+
+  assert.deepEqual(report.issues.map(issue => [issue.row, issue.severity, issue.problem]), [
+    [2, 'warning', 'Leading/trailing whitespace (trimmed)'],
+    [3, 'error', 'Duplicate of row 2 (PN1001 operation 1)'],
+    [4, 'warning', 'Gap in sequence for PN1001: operation 2-3 missing']
+  ]);
+  assert.deepEqual(report.cleanRows.map(row => row.operationseq), [1, 4]);
+  assert.equal(report.cleanRows[0].operationname, 'Facing');
+});
+
+test('machine types and capabilities count as known machines', () => {
+  const report = new RoutingValidator({ resources }).validate('Routing', [sheetRow(1, { EligibleMachines: 'Lathe, milling' })]);
+
+  assert.deepEqual(report.issues, []);
+  assert.deepEqual(report.cleanRows[0].eligiblemachines, ['Lathe', 'milling']);
+});
+
+test('unit columns convert setup and cycle times to decimal minutes', () => {
+  const report = new RoutingValidator({ resources }).validate('Routing', [
+    sheetRow(1, { SetupTime_Min: 1.5, SetupTime_Unit: 'hr', CycleTime_Min: 45, CycleTime_Unit: 'sec' }),
+    sheetRow(2, { CycleTime_Unit: 'days' })
+  ]);
+
+  assert.equal(report.cleanRows[0].setuptime_min, 90);
+  assert.equal(report.cleanRows[0].cycletime_min, 0.75);
+  assert.deepEqual(report.issues.map(issue => [issue.row, issue.column, issue.problem]), [
+    [3, 'CycleTime_Unit', 'Unknown time unit (use sec, min or hr)']
+  ]);
+});
@@ -0,0 +1,116 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { runScheduleRequest, ScheduleRequestError } = require('../schedule_api.js');
+const { BASE_SETTINGS, quietly } = require('./helpers/engine');
+
+const request = body => quietly(() => runScheduleRequest(body));
+
+function rejection(status, message) {
+  return error => {
+    assert.ok(error instanceof ScheduleRequestError);
+    assert.equal(error.status, status);
+    assert.equal(error.message, message);
+    return true;
+  };
+}
+
+test('a payload without orders is rejected with 400', () => {
+  assert.throws(() => request({}), error => {
+    rejection(400, 'Invalid payload')(error);
+    assert.deepEqual(error.details, ['body.orders is required']);
+    return true;
+  });
+});
+
+test('schema errors name the offending field', () => {
+  assert.throws(() => request({ orders: [{ partNumber: 'PN1001', quantity: 0 }] }), error => {
+    assert.equal(error.status, 400);
+    assert.deepEqual(error.details, ['body.orders[0].quantity must be >= 1']);
+    return true;
+  });
+});
+
+test('unknown part numbers, duplicate order numbers and unknown machines are 422', () => {
+  assert.throws(
+    () => request({ orders: [{ partNumber: 'NOPE', quantity: 10 }] }),
+    rejection(422, 'Unknown part numbers or operations')
+  );
+  assert.throws(
+    () => request({ orders: [
+      { partNumber: 'PN1001', quantity: 10, orderNumber: 'ORD-1' },
+      { partNumber: 'PN1001', quantity: 10, orderNumber: 'ORD-1' }
+    ] }),
+    rejection(422, 'Duplicate order numbers')
+  );
+  assert.throws(
+    () => request({ orders: [{ partNumber: 'PN1001', quantity: 10 }], globalSettings: { breakdownMachines: ['VMC 99'] } }),
+    rejection(422, 'Unknown or invalid machines')
+  );
+});
+
+test('invalid per-machine times in EligibleMachines are 422', () => {
+  const operations = [{ OperationSeq: 1, SetupTime_Min: 30, CycleTime_Min: 2, EligibleMachines: 'VMC 1 (cycle=0)' }];
+  assert.throws(() => request({ orders: [{ partNumber: 'PN1001', quantity: 10, operations }] }), error => {
+    assert.equal(error.status, 422);
+    assert.match(error.details[0], /cycle=0 for VMC 1 is not valid/);
+    return true;
+  });
+});
+
+test('a valid request is routed from OP_MASTER and scheduled', () => {
+  const result = request({
+    orders: [{ partNumber: 'PN1001', quantity: 10, dueDate: '2025-09-20', operationSeqs: [1, 2] }],
+    globalSettings: BASE_SETTINGS
+  });
+
+  assert.deepEqual(result.rows.map(row => row.OperationSeq), [1, 2]);
+  assert.equal(result.summary.totalOperations, 2);
+});
+
+test('holidays, breakdowns, shifts and setup windows are checked item by item', () => {
+  const order = { partNumber: 'PN1001', quantity: 10 };
+  const invalid = [
+    [{ holidays: ['not a date'] }, 'body.globalSettings.holidays[0] must be a date or a "start → end" range'],
+    [{ holidays: [42] }, 'body.globalSettings.holidays[0] must be of type object or string'],
+    [{ holidays: [{ start: '2025-09-02', end: 'soon' }] }, 'body.globalSettings.holidays[0].end must be a valid date/time'],
+    [{ holidays: ['2025-09-03 → 2025-09-02'] }, 'body.globalSettings.holidays[0] must be a date or a "start → end" range'],
+    [{ breakdowns: [{ machine: 'VMC 1', start: '2025-09-02T10:00:00', end: '2025-09-02T08:00:00' }] }, 'body.globalSettings.breakdowns[0].end must be after body.globalSettings.breakdowns[0].start'],
+    [{ shifts: { shift1: 'mornings' } }, 'body.globalSettings.shifts.shift1 must be a time range such as 06:00-22:00'],
+    [{ shifts: { lunch: '12:00-13:00' } }, 'body.globalSettings.shifts.lunch is not a known setting'],
+    [{ shifts: { prodShift1: { start: 6, end: 30 } } }, 'body.globalSettings.shifts.prodShift1.end must be <= 24'],
+    [{ setupWindow: '25:00-99:00' }, 'body.globalSettings.setupWindow must be a time range such as 06:00-22:00'],
+    [{ setupWindow: '06:75-22:00' }, 'body.globalSettings.setupWindow must be a time range such as 06:00-22:00']
+  ];
+
+  invalid.forEach(([globalSettings, message]) => {
+    assert.throws(() => request({ orders: [order], globalSettings }), error => {
+      rejection(400, 'Invalid payload')(error);
+      assert.deepEqual(error.details, [message]);
+      return true;
+    }, JSON.stringify(globalSettings));
+  });
+});
+
+test('holidays, breakdowns and shifts in the forms the UI sends are accepted', () => {
+  const result = request({
+    orders: [{ partNumber: 'PN1001', quantity: 10, dueDate: '2025-09-20', operationSeqs: [1], setupWindow: '22:00-06:00' }],
+    globalSettings: {
+      ...BASE_SETTINGS,
+      setupWindow: '06:00-24:00',
+      holidays: ['2025-09-05', '2025-09-06 00:00 → 2025-09-07 00:00', { start: '2025-09-08T00:00:00', end: '2025-09-09T00:00:00', reason: 'Festival' }],
+      breakdowns: [{ machine: 'VMC 1', start: '2025-09-02T08:00:00', end: '2025-09-02T10:00:00' }],
+      shifts: { shift1: '06:00-14:00', shift2: '14:00-22:00', prodShift1: '06:00-14:00', prodShift2: '14:00-22:00', prodShift3: '22:00-06:00' }
+    }
+  });
+
+  assert.equal(result.rows.length, 1);
+});
+
+test('a pin to a machine its operation cannot run on is 422', () => {
+  const pins = [{ batchId: 'B01', operationSeq: 2, machine: 'VMC 3', setupStart: '2025-09-01T12:00:00' }];
+  assert.throws(() => request({ orders: [{ partNumber: 'PN1001', quantity: 10, pins }] }), error => {
+    rejection(422, 'Unknown or invalid machines')(error);
+    assert.deepEqual(error.details, ['orders[0].pins B01 operation 2: VMC 3 is not an eligible machine (VMC 1, VMC 2, VMC 7, VMC 4)']);
+    return true;
+  });
+});
@@ -0,0 +1,95 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ScheduleDiff } = require('../schedule_diff.js');
+const { ExecutionTracker } = require('../execution_tracking.js');
+
+function row(overrides = {}) {
+  return {
+    Order_Number: 'ORD-00001',
+    PartNumber: 'PN1001',
+    Batch_ID: 'B01',
+    OperationSeq: 1,
+    Machine: 'VMC 1',
+    Person: 'A',
+    SetupStart: '2025-09-01 06:00',
+    RunStart: '2025-09-01 07:10',
+    RunEnd: '2025-09-02 07:10',
+    DueDate: '2025-09-10',
+    ...overrides
+  };
+}
+
+test('identical runs have no changes', () => {
+  const rows = [row(), row({ OperationSeq: 2, Machine: 'VMC 2' })];
+  const diff = new ScheduleDiff().compare(rows, rows.map(r => ({ ...r })));
+
+  assert.deepEqual(diff.changes, []);
+  assert.equal(diff.summary.total, 0);
+});
+
+test('machine, person and start moves past the threshold are reported', () => {
+  const before = [row()];
+  const after = [row({ Machine: 'VMC 3', Person: 'C', SetupStart: '2025-09-01 08:00', RunStart: '2025-09-01 07:30' })];
+  const diff = new ScheduleDiff({ thresholdMinutes: 30 }).compare(before, after);
+
+  assert.deepEqual(diff.changes.map(change => change.type).sort(), ['machine', 'person', 'setup_shift']);
+  const setupShift = diff.changes.find(change => change.type === 'setup_shift');
+  assert.equal(setupShift.shiftMinutes, 120);
+  assert.equal(setupShift.before, '2025-09-01 06:00');
+  assert.equal(diff.summary.run_shift, 0);
+});
+
+test('added and removed batches are reported once, not per operation', () => {
+  const before = [row(), row({ OperationSeq: 2 })];
+  const after = [row({ Batch_ID: 'B02' }), row({ Batch_ID: 'B02', OperationSeq: 2 })];
+  const diff = new ScheduleDiff().compare(before, after);
+
+  assert.deepEqual(diff.changes.map(change => `${change.type} ${change.Batch_ID}`), ['batch_removed B01', 'batch_added B02']);
+});
+
+test('rows of two orders for the same part are kept apart', () => {
+  const before = [row(), row({ Order_Number: 'ORD-00002', Machine: 'VMC 5' })];
+  const after = [row({ Order_Number: 'ORD-00002', Machine: 'VMC 5' }), row()];
+
+  assert.deepEqual(new ScheduleDiff().compare(before, after).changes, []);
+});
+
+test('a batch whose last operation now ends after the due date became late', () => {
+  const before = [row({ RunEnd: '2025-09-09 12:00' })];
+  const after = [row({ RunEnd: '2025-09-11 12:00' })];
+  const diff = new ScheduleDiff().compare(before, after);
+
+  assert.equal(diff.summary.became_late, 1);
+  assert.equal(diff.changes[0].shiftMinutes, 2 * 24 * 60);
+  assert.equal(ScheduleDiff.describe('became_late'), 'Became late');
+});
+
+test('rows saved before Order_ID existed match the same order after it', () => {
+  const before = [row(), row({ OperationSeq: 2 })];
+  const after = before.map(r => ({ ...r, Order_ID: 'f3c1a2' }));
+  const diff = new ScheduleDiff().compare(before, after);
+
+  assert.deepEqual(diff.changes, []);
+  assert.equal(ScheduleDiff.orderKey(after[0]), ScheduleDiff.orderKey(before[0]));
+});
+
+test('rows without an order number are keyed like the shop-floor modules', () => {
+  const legacy = row({ Order_Number: null, Order_ID: null });
+  const byId = row({ Order_Number: null, Order_ID: 'f3c1a2' });
+
+  [row(), legacy, byId].forEach(r => assert.equal(ScheduleDiff.orderKey(r), ExecutionTracker.orderKey(r)));
+  assert.equal(ScheduleDiff.rowKey(legacy), 'PN1001|B01|1');
+  assert.equal(ScheduleDiff.rowKey(byId), 'f3c1a2|B01|1');
+});
+
+test('changes of each order carry its order number, and operations added to a batch are listed', () => {
+  const before = [row(), row({ Order_Number: 'ORD-00002' })];
+  const after = [row(), row({ Order_Number: 'ORD-00002', Person: 'C' }), row({ Order_Number: 'ORD-00002', OperationSeq: 2 })];
+  const diff = new ScheduleDiff().compare(before, after);
+
+  assert.deepEqual(diff.changes.map(change => [change.key, change.Order_Number, change.type, change.before, change.after]), [
+    ['ORD-00002|B01|1', 'ORD-00002', 'person', 'A', 'C'],
+    ['ORD-00002|B01|2', 'ORD-00002', 'operation_added', '', 'VMC 1']
+  ]);
+  assert.equal(diff.summary.total, 2);
+});
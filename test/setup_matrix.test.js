@@ -0,0 +1,84 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { schedule, errorAlerts } = require('./helpers/engine');
+
+// One-operation orders that all have to run on VMC 1, one after the other in due-date order
+function order(orderNumber, partNumber, dueDate) {
+  return {
+    orderNumber,
+    partNumber,
+    quantity: 20,
+    priority: 'Normal',
+    dueDate,
+    batchMode: 'single-batch',
+    operations: [{ PartNumber: partNumber, OperationSeq: 1, OperationName: 'Milling', SetupTime_Min: 60, CycleTime_Min: 2, Minimum_BatchSize: 1, EligibleMachines: 'VMC 1' }]
+  };
+}
+
+const orders = () => [order('SO-1', 'PN1001', '2025-09-10'), order('SO-2', 'PN2001', '2025-09-11'), order('SO-3', 'PN2001', '2025-09-12')];
+const setupMatrix = {
+  families: [{ name: 'Housings', parts: ['PN1001'] }, { name: 'Shafts', parts: ['PN2*'] }],
+  changeovers: [{ from: 'Housings', to: 'Shafts', minutes: 15 }]
+};
+
+test('setups depend on the job the machine ran before', () => {
+  const result = schedule(orders(), { setupMatrix });
+
+  assert.deepEqual(errorAlerts(result), []);
+  assert.deepEqual(result.rows.map(row => [row.Order_Number, row.SetupTime_Min, row.Changeover]), [
+    ['SO-1', 60, null],
+    ['SO-2', 15, 'Housings → Shafts after PN1001 Op1'],
+    ['SO-3', 0, 'Same part and operation as before (PN2001 Op1)']
+  ]);
+  // A changeover with no setup starts the run straight away
+  const third = result.rows[2];
+  assert.equal(third.SetupStart, third.SetupEnd);
+  assert.equal(third.SetupStart, result.rows[1].RunEnd);
+});
+
+test('without a matrix every job gets the full setup', () => {
+  const result = schedule(orders());
+
+  assert.deepEqual(result.rows.map(row => row.SetupTime_Min), [60, 60, 60]);
+  assert.deepEqual(result.rows.map(row => row.Changeover), [null, null, null]);
+});
+
+test('repeating a part still needs its setup when samePartNoSetup is off', () => {
+  const result = schedule(orders(), { setupMatrix: { ...setupMatrix, samePartNoSetup: false } });
+
+  assert.deepEqual(result.rows.map(row => row.SetupTime_Min), [60, 15, 60]);
+});
+
+// SO-2 can run on VMC 1 after a Housings job (cheap changeover) or on VMC 2 after an unrelated part,
+// where its full setup still finishes 5 minutes earlier
+function changeoverChoice() {
+  const onMachine = (orderNumber, partNumber, quantity, dueDate, machines) => {
+    const base = order(orderNumber, partNumber, dueDate);
+    return { ...base, quantity, operations: [{ ...base.operations[0], EligibleMachines: machines }] };
+  };
+  return [
+    onMachine('SO-0', 'PN3001', 15, '2025-09-09', 'VMC 2'),
+    onMachine('SO-1', 'PN1001', 40, '2025-09-10', 'VMC 1'),
+    onMachine('SO-2', 'PN2001', 20, '2025-09-11', 'VMC 1, VMC 2')
+  ];
+}
+
+test('a cheaper changeover wins over a finish earlier by less than the setup it saves', () => {
+  const result = schedule(changeoverChoice(), { setupMatrix });
+
+  assert.deepEqual(errorAlerts(result), []);
+  const second = result.rows.find(row => row.Order_Number === 'SO-2');
+  assert.equal(second.Machine, 'VMC 1');
+  assert.equal(second.SetupTime_Min, 15);
+  assert.equal(second.RunEnd, '2025-09-01 09:15');
+});
+
+test('the changeover loses when it costs more time than it saves or than maxDelayMinutes allows', () => {
+  const expensive = { ...setupMatrix, changeovers: [{ from: 'Housings', to: 'Shafts', minutes: 58 }] };
+  assert.equal(schedule(changeoverChoice(), { setupMatrix: expensive }).rows.find(row => row.Order_Number === 'SO-2').Machine, 'VMC 2');
+
+  const capped = { ...setupMatrix, maxDelayMinutes: 2 };
+  const second = schedule(changeoverChoice(), { setupMatrix: capped }).rows.find(row => row.Order_Number === 'SO-2');
+  assert.equal(second.Machine, 'VMC 2');
+  assert.equal(second.RunEnd, '2025-09-01 09:10');
+});
@@ -0,0 +1,45 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { makeOrder, schedule, toDate, errorAlerts } = require('./helpers/engine');
+
+const minuteOfDay = date => date.getHours() * 60 + date.getMinutes();
+
+test('setups follow the Advanced tab operator shifts', () => {
+  const result = schedule([makeOrder()], {
+    setupWindow: '07:00-23:00',
+    shifts: { shift1: '07:00-15:00', shift2: '15:00-23:00', prodShift1: '07:00-15:00', prodShift2: '15:00-23:00' }
+  });
+  const hours = { A: [7, 15], B: [7, 15], C: [15, 23], D: [15, 23] };
+
+  assert.deepEqual(errorAlerts(result), []);
+  result.rows.forEach(row => {
+    const [start, end] = hours[row.Person].map(hour => hour * 60);
+    const setupStart = toDate(row.SetupStart);
+    const setupEnd = toDate(row.SetupEnd);
+    assert.equal(setupStart.toDateString(), setupEnd.toDateString());
+    assert.ok(minuteOfDay(setupStart) >= start && minuteOfDay(setupEnd) <= end,
+      `${row.Person} sets up Op${row.OperationSeq} ${row.Batch_ID} ${row.SetupStart} → ${row.SetupEnd}`);
+  });
+});
+
+test('machines stop outside the production shifts', () => {
+  const twoShifts = schedule([makeOrder()], {
+    shifts: { shift1: '06:00-14:00', shift2: '14:00-22:00', prodShift1: '06:00-14:00', prodShift2: '14:00-22:00' }
+  });
+  const aroundTheClock = schedule([makeOrder()]);
+
+  const last = result => Math.max(...result.rows.map(row => toDate(row.RunEnd).getTime()));
+  assert.ok(last(twoShifts) > last(aroundTheClock));
+});
+
+test('an operator picked before a holiday moved the setup is replaced by one on shift', () => {
+  const result = schedule([makeOrder({ dueDate: '2026-11-20' })], {
+    startDateTime: '2026-10-19T06:00:00',
+    holidays: [{ start: '2026-10-19 08:00', end: '2026-10-20 08:00' }]
+  });
+
+  assert.deepEqual(errorAlerts(result), []);
+  const second = result.rows.find(row => row.Batch_ID === 'B01' && row.OperationSeq === 2);
+  assert.equal(second.SetupStart, '2026-10-20 08:00');
+  assert.ok(['A', 'B'].includes(second.Person), `morning setup went to ${second.Person}`);
+});
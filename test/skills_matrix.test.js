@@ -0,0 +1,54 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { makeOrder, schedule, toDate, errorAlerts } = require('./helpers/engine');
+
+// Op2 of PN1001 needs a turning specialist
+function turningOrder(setupMinutes = 70) {
+  const order = makeOrder();
+  order.operations[1].Operater = 'turning';
+  order.operations[1].SetupTime_Min = setupMinutes;
+  return order;
+}
+
+test('a setup waits for a qualified operator instead of going to someone else', () => {
+  const result = schedule([turningOrder()], { skillsMatrix: { operators: [{ name: 'D', skills: ['turning'] }] } });
+
+  assert.deepEqual(errorAlerts(result), []);
+  result.rows.filter(row => row.OperationSeq === 2).forEach(row => {
+    assert.equal(row.Person, 'D');
+    assert.ok(toDate(row.SetupStart).getHours() >= 14, `${row.Batch_ID} setup at ${row.SetupStart}`);
+  });
+  assert.ok(result.alerts.some(alert => alert.startsWith('⏳ PN1001 Op2 setup on') && alert.includes('waits for a qualified operator (turning')));
+});
+
+test('an operation nobody is qualified for is left unscheduled with the rest of its batch', () => {
+  const result = schedule([turningOrder()], { skillsMatrix: { operators: [{ name: 'A', skills: ['milling'] }] } });
+
+  assert.deepEqual(result.rows.map(row => `${row.Batch_ID} Op${row.OperationSeq}`), ['B01 Op1', 'B02 Op1']);
+  assert.ok(errorAlerts(result).some(alert => alert.includes('no operator is qualified for turning') && alert.includes('left unscheduled')));
+  assert.ok(errorAlerts(result).includes('❌ PN1001 batch B01: Op3, Op4 not scheduled (they wait for Op2)'));
+});
+
+test('a setup longer than any qualified operator\'s shift is not given to someone unqualified', () => {
+  const result = schedule([turningOrder(600)], { skillsMatrix: { operators: [{ name: 'D', skills: ['turning'] }] } });
+
+  assert.equal(result.rows.some(row => row.OperationSeq === 2), false);
+  assert.ok(errorAlerts(result).some(alert => alert.includes('no qualified operator (D) is free on shift for the whole 600-minute setup')));
+  assert.equal(errorAlerts(result).some(alert => alert.includes('SHIFT-VIOLATION')), false);
+});
+
+test('machines listed in the matrix are set up only by the operators listing them', () => {
+  const order = makeOrder({ batchMode: 'single-batch' });
+  order.operations[0].EligibleMachines = 'VMC 1';
+  const result = schedule([order], { skillsMatrix: { operators: [{ name: 'C', skills: ['VMC 1'] }] } });
+
+  assert.equal(result.rows[0].Machine, 'VMC 1');
+  assert.equal(result.rows[0].Person, 'C');
+});
+
+test('without a skills matrix the Operater column is not enforced', () => {
+  const result = schedule([turningOrder()]);
+
+  assert.equal(result.rows.length, 8);
+  assert.equal(result.alerts.some(alert => alert.includes('qualified')), false);
+});
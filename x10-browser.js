@@ -19,6 +19,25 @@ const CONFIG = {
     MAX_RESCHEDULE_ATTEMPTS: 10
 };
 
+/* --- DEFAULT RESOURCES (used when no roster is loaded from the database) --- */
+const DEFAULT_RESOURCES = {
+    machines: [
+        { name: "VMC 1", type: "VMC", capabilities: ["milling"] },
+        { name: "VMC 2", type: "VMC", capabilities: ["milling"] },
+        { name: "VMC 3", type: "VMC", capabilities: ["milling"] },
+        { name: "VMC 4", type: "VMC", capabilities: ["milling"] },
+        { name: "VMC 5", type: "VMC", capabilities: ["milling"] },
+        { name: "VMC 6", type: "VMC", capabilities: ["milling"] },
+        { name: "VMC 7", type: "VMC", capabilities: ["milling"] }
+    ],
+    operators: [
+        { name: "A", shift: "morning", start: 6, end: 14 },
+        { name: "B", shift: "morning", start: 6, end: 14 },
+        { name: "C", shift: "afternoon", start: 14, end: 22 },
+        { name: "D", shift: "afternoon", start: 14, end: 22 }
+    ]
+};
+
 /* === Browser-compatible Logger === */
 const Logger = {
     log: function(message) {
@@ -28,8 +47,20 @@ const Logger = {
 
 /* === FixedUnifiedSchedulingEngine (browser-compatible) === */
 class FixedUnifiedSchedulingEngine {
+    /**
+     * Order name for alerts: the order number when there is one, so two orders for the same part can be told apart
+     */
+    static orderLabel(order) {
+        return order.orderNumber ? `${order.orderNumber} (${order.partNumber})` : order.partNumber;
+    }
+
+    static eligibility() {
+        if (typeof MachineEligibility !== 'undefined') return MachineEligibility;
+        return require('./machine_eligibility.js').MachineEligibility;
+    }
+
     constructor() {
-        this.machineSchedule = {}; // machine -> [{start, end}, ...]
+        this.machineSchedule = {}; // machine -> [{start, end, pinned?, job?}, ...]
         this.personSchedule = {}; // person -> next available time
         this.operatorSchedule = {}; // operator -> [{start, end}, ...] for setup intervals
         this.setupSlots = [];
@@ -37,16 +68,15 @@ class FixedUnifiedSchedulingEngine {
         this.globalHolidayPeriods = [];
         this.globalBreakdownPeriods = {};
         this.globalSettings = {};
-        this.allMachines = ["VMC 1", "VMC 2", "VMC 3", "VMC 4", "VMC 5", "VMC 6", "VMC 7"];
-        this.allPersons = ["A", "B", "C", "D"];
-        
-        // OPERATOR SHIFT DEFINITIONS (Asia/Kolkata IST)
-        this.operatorShifts = {
-            'A': { start: 6, end: 14, shift: 'morning' },
-            'B': { start: 6, end: 14, shift: 'morning' },
-            'C': { start: 14, end: 22, shift: 'afternoon' },
-            'D': { start: 14, end: 22, shift: 'afternoon' }
-        };
+        this.setupMatrix = null; // parseSetupMatrix() output; null charges every setup in full
+        this.operatorSkills = new Map(); // operator -> Set of lower-case skills (parseSkillsMatrix())
+        
+        // MACHINE AND OPERATOR ROSTER (Asia/Kolkata IST shifts) - replaced by setResources()
+        this.machines = [];
+        this.allMachines = [];
+        this.allPersons = [];
+        this.operatorShifts = {};
+        this.applyResources(DEFAULT_RESOURCES);
         
         // SETUP WINDOW: 06:00-22:00 IST (People-Dependent)
         this.setupWindow = { start: 6, end: 22 };
@@ -58,6 +88,274 @@ class FixedUnifiedSchedulingEngine {
         this.resetSchedules();
     }
 
+    /**
+     * Replace the machine/operator roster and reset all bookings
+     * @param {Object} resources - { machines: [{name, type, capabilities}], operators: [{name, shift, start, end}] }
+     */
+    setResources(resources) {
+        this.applyResources(resources);
+        this.machineSchedule = {};
+        this.personSchedule = {};
+        this.operatorSchedule = {};
+        this.resetSchedules();
+        Logger.log(`[RESOURCES] Machines: ${this.allMachines.join(', ')} | Operators: ${this.allPersons.map(op => `${op}(${this.operatorShifts[op].shift})`).join(', ')}`);
+    }
+
+    applyResources(resources) {
+        const source = resources || {};
+        const machines = (Array.isArray(source.machines) && source.machines.length > 0 ? source.machines : DEFAULT_RESOURCES.machines)
+            .map(machine => typeof machine === 'string' ? { name: machine } : machine)
+            .filter(machine => machine && machine.name && machine.active !== false)
+            .map(machine => ({
+                name: String(machine.name).trim(),
+                type: machine.type || '',
+                capabilities: Array.isArray(machine.capabilities) ? machine.capabilities.map(c => String(c).trim()) : []
+            }));
+        const operators = (Array.isArray(source.operators) && source.operators.length > 0 ? source.operators : DEFAULT_RESOURCES.operators)
+            .filter(operator => operator && operator.name && operator.active !== false);
+
+        this.machines = machines;
+        this.allMachines = machines.map(machine => machine.name);
+        this.allPersons = operators.map(operator => String(operator.name).trim());
+        this.operatorShifts = {};
+        operators.forEach(operator => {
+            this.operatorShifts[String(operator.name).trim()] = {
+                start: Number(operator.start),
+                end: Number(operator.end),
+                shift: operator.shift
+            };
+        });
+    }
+
+    /**
+     * Operators grouped by shift, ordered by shift start
+     * @returns {Array} [{ name, start, end, operators: [...] }]
+     */
+    getShiftGroups() {
+        const groups = {};
+        this.allPersons.forEach(operator => {
+            const shift = this.operatorShifts[operator];
+            if (!groups[shift.shift]) {
+                groups[shift.shift] = { name: shift.shift, start: shift.start, end: shift.end, operators: [] };
+            }
+            groups[shift.shift].operators.push(operator);
+        });
+        return Object.values(groups).sort((a, b) => a.start - b.start);
+    }
+
+    getOperatorsByShift(shiftName) {
+        const group = this.getShiftGroups().find(g => g.name === shiftName);
+        return group ? group.operators : [];
+    }
+
+    /**
+     * Build the shift calendar from the Advanced tab shift definitions.
+     * shift1/shift2 set the hours of the morning/afternoon operators; prodShift1..3 define
+     * when machines run, and anything short of full-day coverage makes production non-24x7.
+     * @param {Object} shifts - { shift1, shift2, prodShift1, prodShift2, prodShift3 } as "HH:MM-HH:MM"
+     */
+    applyShiftSettings(shifts) {
+        const source = shifts || {};
+        const setupShiftNames = { shift1: 'morning', shift2: 'afternoon' };
+        Object.entries(setupShiftNames).forEach(([key, shiftName]) => {
+            const range = this.parseShiftRange(source[key]);
+            if (!range) return;
+            Object.values(this.operatorShifts)
+                .filter(shift => shift.shift === shiftName)
+                .forEach(shift => {
+                    shift.start = range.start;
+                    shift.end = range.end;
+                });
+        });
+
+        const productionShifts = ['prodShift1', 'prodShift2', 'prodShift3']
+            .map(key => this.parseShiftRange(source[key]))
+            .filter(Boolean);
+        if (productionShifts.length === 0) return;
+
+        // Count covered minutes of the day to decide whether machines run around the clock
+        let coveredMinutes = 0;
+        const day = new Date(2000, 0, 3);
+        for (let minute = 0; minute < 1440; minute++) {
+            const time = new Date(day.getTime() + minute * 60000);
+            if (productionShifts.some(shift => this.getWindowOccurrence(shift, time))) coveredMinutes++;
+        }
+
+        this.productionWindow = coveredMinutes >= 1440
+            ? { start: 0, end: 24, type: '24x7' }
+            : { type: 'shifts', shifts: productionShifts, hoursPerDay: coveredMinutes / 60 };
+        Logger.log(`[SHIFTS] Operators: ${this.getShiftGroups().map(g => `${g.name} ${this.formatHour(g.start)}-${this.formatHour(g.end)}`).join(', ')} | Production: ${this.productionWindow.type === '24x7' ? '24x7' : productionShifts.map(sh => `${this.formatHour(sh.start)}-${this.formatHour(sh.end)}`).join(', ')}`);
+    }
+
+    /**
+     * Parse a "HH:MM-HH:MM" range into fractional hours. An end at or before the start
+     * means the range runs overnight (e.g. "22:00-06:00")
+     * @param {string|Object} range - Range string or { start, end } in hours
+     * @returns {Object|null} { start, end } in hours, or null when invalid
+     */
+    parseShiftRange(range) {
+        if (range && typeof range === 'object' && range.start !== undefined && range.end !== undefined) {
+            return { start: Number(range.start), end: Number(range.end) };
+        }
+        if (typeof range !== 'string') return null;
+        const match = range.trim().match(/^(\d{1,2}):(\d{2})\s*-\s*(\d{1,2}):(\d{2})$/);
+        if (!match) return null;
+        const start = parseInt(match[1]) + parseInt(match[2]) / 60;
+        const end = parseInt(match[3]) + parseInt(match[4]) / 60;
+        if (start >= 24 || end > 24) return null;
+        return { start, end };
+    }
+
+    formatHour(hours) {
+        const h = Math.floor(hours);
+        const m = Math.round((hours - h) * 60);
+        return `${String(h).padStart(2, '0')}:${String(m).padStart(2, '0')}`;
+    }
+
+    /**
+     * Same calendar day as `date`, at a fractional hour (24 = next midnight)
+     */
+    atHour(date, hours) {
+        const result = new Date(date);
+        result.setHours(Math.floor(hours), Math.round((hours % 1) * 60), 0, 0);
+        return result;
+    }
+
+    /**
+     * Occurrence of a daily window (shift or setup window) that contains a time.
+     * Handles overnight windows (end <= start) and full-day windows (00:00-24:00).
+     * @param {Object} window - { start, end } in hours
+     * @param {Date} time - Time to look up
+     * @returns {Object|null} { start, end } Dates, or null when the time is outside the window
+     */
+    getWindowOccurrence(window, time) {
+        const durationHours = ((window.end - window.start + 24) % 24) || 24;
+        for (const dayOffset of [0, -1]) {
+            const start = this.atHour(time, window.start);
+            start.setDate(start.getDate() + dayOffset);
+            const end = new Date(start.getTime() + durationHours * 3600000);
+            if (time >= start && time < end) return { start, end };
+        }
+        return null;
+    }
+
+    /**
+     * First instant at or after `time` that falls inside a daily window
+     */
+    getNextWindowStart(window, time) {
+        if (this.getWindowOccurrence(window, time)) return new Date(time);
+        const start = this.atHour(time, window.start);
+        if (start <= time) start.setDate(start.getDate() + 1);
+        return start;
+    }
+
+    /**
+     * Gaps between production shifts that overlap [from, to]
+     * @returns {Array} [{start, end, reason, type: 'offshift'}]
+     */
+    getProductionOffPeriods(from, to) {
+        if (this.productionWindow.type === '24x7') return [];
+        const onPeriods = [];
+        const day = new Date(from);
+        day.setHours(0, 0, 0, 0);
+        day.setDate(day.getDate() - 1);
+        const lastDay = new Date(to.getTime() + 24 * 3600000);
+        while (day <= lastDay) {
+            this.productionWindow.shifts.forEach(shift => {
+                const start = this.atHour(day, shift.start);
+                const durationHours = ((shift.end - shift.start + 24) % 24) || 24;
+                onPeriods.push({ start, end: new Date(start.getTime() + durationHours * 3600000) });
+            });
+            day.setDate(day.getDate() + 1);
+        }
+        const merged = this.mergePeriods(onPeriods);
+        const offPeriods = [];
+        for (let i = 0; i < merged.length - 1; i++) {
+            if (merged[i + 1].start > merged[i].end) {
+                offPeriods.push({ start: merged[i].end, end: merged[i + 1].start, reason: 'Off shift', type: 'offshift' });
+            }
+        }
+        return offPeriods.filter(period => period.end > from && period.start < to);
+    }
+
+    /**
+     * Advance machine run time like advanceWorkingTime, also pausing outside production shifts
+     * @param {Date} start - When the run is requested to start
+     * @param {number} minutes - Run minutes required
+     * @param {Array} blockedPeriods - Holidays/breakdowns sorted by start
+     * @returns {Object} Same shape as advanceWorkingTime
+     */
+    advanceRunTime(start, minutes, blockedPeriods) {
+        if (this.productionWindow.type === '24x7') {
+            return this.advanceWorkingTime(start, minutes, blockedPeriods);
+        }
+        let horizonDays = Math.ceil((minutes || 0) / 60 / this.productionWindow.hoursPerDay) + 2;
+        let result = null;
+        for (let attempt = 0; attempt < 10; attempt++) {
+            const horizonEnd = new Date(start.getTime() + horizonDays * 24 * 3600000);
+            const periods = [...(blockedPeriods || []), ...this.getProductionOffPeriods(new Date(start), horizonEnd)]
+                .sort((a, b) => a.start.getTime() - b.start.getTime());
+            result = this.advanceWorkingTime(start, minutes, periods);
+            if (result.end < horizonEnd) break;
+            horizonDays *= 2;
+        }
+        return result;
+    }
+
+    /**
+     * Expand an EligibleMachines list: machine names are kept, while machine types or
+     * capability tags (e.g. "LATHE", "turning") expand to every matching roster machine
+     * @param {string|Array} eligibleMachines - Comma-separated string or array, entries may carry
+     *                                          per-machine times and a rank (see MachineEligibility)
+     * @returns {Array} Machine names
+     */
+    resolveEligibleMachines(eligibleMachines) {
+        const entries = FixedUnifiedSchedulingEngine.eligibility().parse(eligibleMachines || this.allMachines).entries;
+        const resolved = [];
+        entries.forEach(entry => {
+            this.expandMachineEntry(entry.machine).forEach(name => {
+                if (!resolved.includes(name)) resolved.push(name);
+            });
+        });
+        return resolved;
+    }
+
+    // Roster machines an EligibleMachines entry stands for; unknown names are kept as they are
+    expandMachineEntry(entry) {
+        if (this.allMachines.includes(entry)) return [entry];
+        const key = entry.toLowerCase();
+        const matches = this.machines
+            .filter(machine => machine.type.toLowerCase() === key || machine.capabilities.some(c => c.toLowerCase() === key))
+            .map(machine => machine.name);
+        return matches.length > 0 ? matches : [entry];
+    }
+
+    /**
+     * The EligibleMachines entry that applies to a machine: the one naming it, else the first
+     * machine type or capability tag that covers it
+     * @returns {Object|null} { machine, cycleTime_Min, setupTime_Min, rank }
+     */
+    getMachineEntry(operation, machine) {
+        const entries = FixedUnifiedSchedulingEngine.eligibility().parse(operation.EligibleMachines || []).entries;
+        return entries.find(entry => entry.machine === machine)
+            || entries.find(entry => this.expandMachineEntry(entry.machine).includes(machine))
+            || null;
+    }
+
+    /**
+     * The operation as it runs on one machine, with that machine's own cycle and setup time
+     * where its EligibleMachines entry gives them
+     */
+    getMachineOperation(operation, machine) {
+        const entry = this.getMachineEntry(operation, machine);
+        if (!entry || (entry.cycleTime_Min === null && entry.setupTime_Min === null)) return operation;
+        return {
+            ...operation,
+            CycleTime_Min: entry.cycleTime_Min ?? operation.CycleTime_Min,
+            SetupTime_Min: entry.setupTime_Min ?? operation.SetupTime_Min
+        };
+    }
+
     resetSchedules() {
         const baseTime = new Date();
         // Change to interval-based tracking instead of single timestamp
@@ -75,6 +373,8 @@ class FixedUnifiedSchedulingEngine {
         
         this.setupSlots = [];
         this.batchResults = [];
+        this.pinnedOperations = new Map(); // orderData -> { "Batch_ID|OperationSeq": pinned booking }
+        this.rejectedPins = new Map(); // orderData -> ["<pin>: <reason>", ...] for orders that cannot be scheduled
     }
 
     /**
@@ -217,6 +517,14 @@ class FixedUnifiedSchedulingEngine {
     setGlobalSettings(settings) {
         this.globalSettings = settings || {};
         
+        // Machine/operator roster loaded from the database (falls back to DEFAULT_RESOURCES)
+        if (this.globalSettings.resources) {
+            this.setResources(this.globalSettings.resources);
+        }
+        
+        // Operator and production shift hours from the Advanced tab
+        this.applyShiftSettings(this.globalSettings.shifts);
+        
         // Parse global start date time
         if (settings.startDate && settings.startTime) {
             // Combine startDate and startTime into a proper DateTime
@@ -236,10 +544,17 @@ class FixedUnifiedSchedulingEngine {
         
         // Parse breakdown periods
         this.globalBreakdownPeriods = this.parseBreakdownPeriods(
+            settings.breakdowns || [],
             settings.breakdownMachines || [],
             settings.breakdownDateTime || ""
         );
         
+        // Sequence-dependent setup times
+        this.setupMatrix = this.parseSetupMatrix(settings.setupMatrix);
+
+        // Which operators may do which setups
+        this.operatorSkills = this.parseSkillsMatrix(settings.skillsMatrix);
+        
         Logger.log(`Global settings applied: ${JSON.stringify(this.globalSettings)}`);
     }
 
@@ -262,7 +577,14 @@ class FixedUnifiedSchedulingEngine {
         const periods = [];
         if (Array.isArray(holidays)) {
             holidays.forEach(holiday => {
-                if (typeof holiday === 'string' && holiday.includes('→')) {
+                if (holiday && typeof holiday === 'object' && holiday.start && holiday.end) {
+                    // Holiday table entry from the Advanced tab: { start, end, reason }
+                    const start = holiday.start instanceof Date ? new Date(holiday.start) : this.parseDateTime(holiday.start);
+                    const end = holiday.end instanceof Date ? new Date(holiday.end) : this.parseDateTime(holiday.end);
+                    if (start && end && !isNaN(start.getTime()) && !isNaN(end.getTime()) && end > start) {
+                        periods.push({ start, end, reason: holiday.reason || 'Holiday' });
+                    }
+                } else if (typeof holiday === 'string' && holiday.includes('→')) {
                     const [start, end] = holiday.split('→').map(s => s.trim());
                     periods.push({
                         start: this.parseDateTime(start),
@@ -280,28 +602,370 @@ class FixedUnifiedSchedulingEngine {
                 }
             });
         }
-        return periods;
+        return this.mergePeriods(periods);
     }
 
-    parseBreakdownPeriods(machines, dateTimeRange) {
-        const periods = {};
-        if (machines && machines.length > 0 && dateTimeRange) {
-            if (dateTimeRange.includes('→')) {
-                const [start, end] = dateTimeRange.split('→').map(s => s.trim());
-                const startTime = this.parseDateTime(start);
-                const endTime = this.parseDateTime(end);
-                
-                if (startTime && endTime) {
-                    machines.forEach(machine => {
-                        periods[machine] = [{
-                            start: startTime,
-                            end: endTime
-                        }];
-                    });
-                }
+    /**
+     * Sort periods by start and merge the ones that overlap or touch
+     * @param {Array} periods - Array of {start, end} objects
+     * @returns {Array} Sorted, non-overlapping periods
+     */
+    mergePeriods(periods) {
+        const valid = (periods || [])
+            .filter(p => p && p.start && p.end && !isNaN(p.start.getTime()) && !isNaN(p.end.getTime()) && p.end > p.start)
+            .map(p => ({ ...p, start: new Date(p.start), end: new Date(p.end) }))
+            .sort((a, b) => a.start.getTime() - b.start.getTime());
+
+        const merged = [];
+        for (const period of valid) {
+            const last = merged[merged.length - 1];
+            if (last && period.start <= last.end) {
+                if (period.end > last.end) last.end = period.end;
+            } else {
+                merged.push(period);
+            }
+        }
+        return merged;
+    }
+
+    /**
+     * Holiday periods that apply to an order: global holidays plus the order's holidayRange
+     * @param {Object} orderData - Order data (may carry holidayRange "start → end")
+     * @returns {Array} Sorted, non-overlapping holiday periods
+     */
+    getHolidayPeriodsForOrder(orderData) {
+        const orderRange = orderData && orderData.holidayRange;
+        if (!orderRange) return this.globalHolidayPeriods;
+        return this.mergePeriods([
+            ...this.globalHolidayPeriods,
+            ...this.parseHolidayPeriods([orderRange])
+        ]);
+    }
+
+    /**
+     * Move a time forward past any blocked period it falls into
+     * @param {Date} time - Candidate time
+     * @param {Array} periods - Sorted, non-overlapping blocked periods
+     * @returns {Date} First time at or after `time` that is not blocked
+     */
+    skipBlockedPeriods(time, periods) {
+        let current = new Date(time);
+        for (const period of periods || []) {
+            if (period.end <= current) continue;
+            if (period.start > current) break;
+            current = new Date(period.end);
+        }
+        return current;
+    }
+
+    /**
+     * Advance a start time by an amount of working minutes, pausing across blocked periods
+     * @param {Date} start - When the work is requested to start
+     * @param {number} minutes - Working minutes required
+     * @param {Array} periods - Blocked periods sorted by start (holidays, breakdowns, off-shift gaps)
+     * @returns {Object} { start, end, pausedMinutes, breakdownPausedMinutes, offShiftPausedMinutes, segments }
+     *          where start is the first unblocked instant; pausedMinutes counts holiday pauses only
+     */
+    advanceWorkingTime(start, minutes, periods) {
+        let current = new Date(start);
+        let remainingMs = Math.max(0, minutes || 0) * 60000;
+        let pausedMs = 0;
+        let breakdownPausedMs = 0;
+        let offShiftPausedMs = 0;
+        const segments = [];
+
+        for (const period of periods || []) {
+            if (period.end <= current) continue;
+            // Period begins after the remaining work is finished
+            if (period.start.getTime() >= current.getTime() + remainingMs) break;
+
+            const workBefore = Math.max(0, period.start.getTime() - current.getTime());
+            if (workBefore > 0) {
+                segments.push({ start: new Date(current), end: new Date(period.start) });
             }
+            remainingMs -= workBefore;
+            const pauseMs = period.end.getTime() - (current.getTime() + workBefore);
+            if (period.type === 'breakdown') {
+                breakdownPausedMs += pauseMs;
+            } else if (period.type === 'offshift') {
+                offShiftPausedMs += pauseMs;
+            } else {
+                pausedMs += pauseMs;
+            }
+            current = new Date(period.end);
+        }
+
+        const end = new Date(current.getTime() + remainingMs);
+        if (remainingMs > 0) {
+            segments.push({ start: new Date(current), end: end });
         }
-        return periods;
+
+        return {
+            start: segments.length > 0 ? segments[0].start : new Date(current),
+            end: end,
+            pausedMinutes: pausedMs / 60000,
+            breakdownPausedMinutes: breakdownPausedMs / 60000,
+            offShiftPausedMinutes: offShiftPausedMs / 60000,
+            segments: segments
+        };
+    }
+
+    /**
+     * Setup matrix for sequence-dependent setups
+     * @param {Object} matrix - { samePartNoSetup, families: [{ name, parts: ['PN1001', 'PN11*'] }],
+     *                          changeovers: [{ from, to, minutes }], maxDelayMinutes } with family names as from/to;
+     *                          maxDelayMinutes caps how much later a cheaper changeover may finish (see selectOptimalMachine())
+     * @returns {Object|null} { samePartNoSetup, families, changeovers: Map "from|to" -> minutes, maxDelayMinutes }, null without a matrix
+     */
+    parseSetupMatrix(matrix) {
+        if (!matrix) return null;
+        const families = (matrix.families || [])
+            .map(family => ({
+                name: String(family.name || '').trim(),
+                parts: (Array.isArray(family.parts) ? family.parts : String(family.parts || '').split(','))
+                    .map(part => String(part).trim())
+                    .filter(Boolean)
+            }))
+            .filter(family => family.name && family.parts.length > 0);
+
+        const changeovers = new Map();
+        (matrix.changeovers || []).forEach(changeover => {
+            const minutes = Number(changeover.minutes);
+            if (!changeover.from || !changeover.to || !(minutes >= 0)) {
+                Logger.log(`[SETUP-MATRIX] Ignored changeover ${JSON.stringify(changeover)}`);
+                return;
+            }
+            changeovers.set(`${String(changeover.from).trim()}|${String(changeover.to).trim()}`, minutes);
+        });
+
+        const maxDelay = matrix.maxDelayMinutes;
+        const maxDelayMinutes = maxDelay === undefined || maxDelay === null || maxDelay === '' || !(Number(maxDelay) >= 0) ? null : Number(maxDelay);
+        return { samePartNoSetup: matrix.samePartNoSetup !== false, families, changeovers, maxDelayMinutes };
+    }
+
+    /**
+     * Family of a part: the first family listing it, by exact part number or a "prefix*" pattern
+     */
+    getPartFamily(partNumber) {
+        if (!this.setupMatrix) return null;
+        const part = String(partNumber || '').trim();
+        const family = this.setupMatrix.families.find(candidate => candidate.parts.some(pattern =>
+            pattern.endsWith('*') ? part.startsWith(pattern.slice(0, -1)) : part === pattern
+        ));
+        return family ? family.name : null;
+    }
+
+    /**
+     * Setup minutes for an operation on a machine, given the job the machine finished last before setupStart.
+     * The same part and operation again needs no setup (samePartNoSetup); otherwise the family changeover
+     * from the matrix applies; anything else, or a machine with no job yet, gets the full SetupTime_Min
+     * (the machine's own setup time when its EligibleMachines entry has one).
+     * Only the job right before setupStart counts, not the one after: new work is always booked after a
+     * machine's last unpinned job, and pinned jobs are charged their full setup, so a job placed before
+     * a pin never leaves the pin with a setup that was worked out for a different predecessor.
+     * @returns {Object} { minutes, changeover } where changeover describes a reduced setup, null for a full one
+     */
+    getChangeover(operation, orderData, machine, setupStart) {
+        const fullSetup = { minutes: this.getMachineOperation(operation, machine).SetupTime_Min || 0, changeover: null };
+        if (!this.setupMatrix) return fullSetup;
+
+        const previous = (this.machineSchedule[machine] || [])
+            .filter(interval => interval.job && interval.end <= setupStart)
+            .reduce((latest, interval) => (!latest || interval.end > latest.end ? interval : latest), null);
+        if (!previous) return fullSetup;
+
+        const { partNumber, operationSeq } = previous.job;
+        if (this.setupMatrix.samePartNoSetup && partNumber === orderData.partNumber && Number(operationSeq) === Number(operation.OperationSeq)) {
+            return { minutes: 0, changeover: `Same part and operation as before (${partNumber} Op${operationSeq})` };
+        }
+
+        const from = this.getPartFamily(partNumber);
+        const to = this.getPartFamily(orderData.partNumber);
+        const minutes = from && to ? this.setupMatrix.changeovers.get(`${from}|${to}`) : undefined;
+        if (minutes === undefined) return fullSetup;
+        return { minutes, changeover: `${from} → ${to} after ${partNumber} Op${operationSeq}` };
+    }
+
+    /**
+     * Parse the operator skills matrix from the Advanced tab
+     * @param {Object} matrix - { operators: [{ name, skills: ['5-axis', 'VMC 7'] }] } where a skill is an
+     *                          operation type (as in the routing's Operater column), a machine or a machine type
+     * @returns {Map} operator -> Set of lower-case skills; empty without a matrix
+     */
+    parseSkillsMatrix(matrix) {
+        const skills = new Map();
+        ((matrix && matrix.operators) || []).forEach(entry => {
+            const name = String(entry.name || '').trim();
+            const list = (Array.isArray(entry.skills) ? entry.skills : String(entry.skills || '').split(','))
+                .map(skill => String(skill).trim().toLowerCase())
+                .filter(Boolean);
+            if (name && list.length > 0) skills.set(name, new Set(list));
+        });
+        return skills;
+    }
+
+    /**
+     * Skills the setup of an operation needs: the routing's Operater column, a comma-separated list of
+     * operation types or operator names of which any one will do. Empty when anyone may do it
+     */
+    getRequiredSkills(operation) {
+        return String(operation.Operater ?? operation.Operator ?? '')
+            .split(',')
+            .map(skill => skill.trim().toLowerCase())
+            .filter(Boolean);
+    }
+
+    /**
+     * Whether an operator may set up an operation on a machine. The operator needs one of the
+     * operation's required skills (or to be named in it); a machine or machine type that appears in
+     * the skills matrix may only be set up by the operators listing it.
+     */
+    isOperatorQualified(operator, operation, machine) {
+        // Without a skills matrix the Operater column is not enforced
+        if (this.operatorSkills.size === 0) return true;
+        const skills = this.operatorSkills.get(operator) || new Set();
+        const required = this.getRequiredSkills(operation);
+        if (required.length > 0 && !required.some(skill => skill === operator.toLowerCase() || skills.has(skill))) {
+            return false;
+        }
+        const listed = new Set([...this.operatorSkills.values()].flatMap(set => [...set]));
+        const rosterMachine = this.machines.find(m => m.name === machine);
+        const machineKeys = [machine, rosterMachine && rosterMachine.type]
+            .filter(Boolean)
+            .map(key => key.toLowerCase())
+            .filter(key => listed.has(key));
+        return machineKeys.length === 0 || machineKeys.some(key => skills.has(key));
+    }
+
+    getQualifiedOperators(operation, machine) {
+        return this.allPersons.filter(operator => this.isOperatorQualified(operator, operation, machine));
+    }
+
+    // What a setup needs, for alerts: "5-axis on VMC 7"
+    describeQualification(operation, machine) {
+        const required = String(operation.Operater ?? operation.Operator ?? '').trim();
+        return required ? `${required} on ${machine}` : machine;
+    }
+
+    /**
+     * Earliest setup start from earliestStart at which one of the qualified operators is on shift
+     * and has no other setup for the whole setup, with the least-loaded such operator
+     * @returns {Object|null} { operator, setupStart }; null when none turns up within the search limit
+     */
+    findQualifiedSetupSlot(qualified, earliestStart, setupMinutes) {
+        let time = new Date(earliestStart);
+        for (let attempt = 0; attempt < CONFIG.MAX_SETUP_SLOT_ATTEMPTS; attempt++) {
+            const end = new Date(time.getTime() + setupMinutes * 60000);
+            const free = qualified.filter(operator =>
+                this.isOperatorOnShift(operator, time, end) && !this.hasOperatorConflict(operator, time, end)
+            );
+            if (free.length > 0) {
+                const operator = free.reduce((best, current) =>
+                    this.getOperatorSetupMinutesInShift(current, time) < this.getOperatorSetupMinutesInShift(best, time) ? current : best
+                );
+                return { operator, setupStart: time };
+            }
+
+            // Look again when a qualified operator's shift starts or one of their setups ends
+            const next = qualified.flatMap(operator => {
+                const shiftStart = this.atHour(time, this.operatorShifts[operator].start);
+                if (shiftStart <= time) shiftStart.setDate(shiftStart.getDate() + 1);
+                return [shiftStart, ...(this.operatorSchedule[operator] || []).map(interval => interval.end)];
+            }).filter(candidate => candidate > time);
+            if (next.length === 0) return null;
+            time = new Date(Math.min(...next.map(candidate => candidate.getTime())));
+        }
+        return null;
+    }
+
+    /**
+     * Build per-machine breakdown periods
+     * @param {Array} breakdowns - Breakdown table entries: { machines: [...], start, end, reason }
+     * @param {Array} machines - Legacy breakdown machine list (shares dateTimeRange)
+     * @param {string} dateTimeRange - Legacy range "start → end"
+     * @returns {Object} machine -> sorted, non-overlapping [{start, end, reason, type: 'breakdown'}]
+     */
+    parseBreakdownPeriods(breakdowns, machines, dateTimeRange) {
+        const collected = {};
+        const addPeriods = (machine, periods) => {
+            if (!machine || periods.length === 0) return;
+            const key = String(machine).trim();
+            collected[key] = (collected[key] || []).concat(periods);
+        };
+
+        (Array.isArray(breakdowns) ? breakdowns : []).forEach(breakdown => {
+            if (!breakdown) return;
+            const periods = this.parseHolidayPeriods([{
+                start: breakdown.start,
+                end: breakdown.end,
+                reason: breakdown.reason || 'Breakdown'
+            }]);
+            const breakdownMachines = Array.isArray(breakdown.machines) ? breakdown.machines : [breakdown.machine];
+            breakdownMachines.forEach(machine => addPeriods(machine, periods));
+        });
+
+        if (machines && machines.length > 0 && dateTimeRange) {
+            const periods = this.parseHolidayPeriods([dateTimeRange]);
+            machines.forEach(machine => addPeriods(machine, periods));
+        }
+
+        const result = {};
+        Object.keys(collected).forEach(machine => {
+            result[machine] = this.mergePeriods(collected[machine]).map(period => ({
+                start: period.start,
+                end: period.end,
+                reason: period.reason || 'Breakdown',
+                type: 'breakdown'
+            }));
+        });
+        return result;
+    }
+
+    /**
+     * Breakdown periods that apply to an order: global breakdowns plus the order's
+     * breakdownMachine / breakdownDateTime override
+     * @param {Object} orderData - Order data
+     * @returns {Object} machine -> sorted, non-overlapping breakdown periods
+     */
+    getBreakdownPeriodsForOrder(orderData) {
+        if (!orderData || !orderData.breakdownMachine || !orderData.breakdownDateTime) {
+            return this.globalBreakdownPeriods;
+        }
+        const orderPeriods = this.parseBreakdownPeriods([], [orderData.breakdownMachine], orderData.breakdownDateTime);
+        const combined = { ...this.globalBreakdownPeriods };
+        Object.keys(orderPeriods).forEach(machine => {
+            combined[machine] = this.mergePeriods([
+                ...(combined[machine] || []),
+                ...orderPeriods[machine]
+            ]).map(period => ({ ...period, type: 'breakdown' }));
+        });
+        return combined;
+    }
+
+    /**
+     * Machines that are down for the whole order because a breakdown was given without a time range
+     * @param {Object} orderData - Order data
+     * @returns {Array} Machine names
+     */
+    getUnavailableMachinesForOrder(orderData) {
+        if (orderData && orderData.breakdownMachine) {
+            return orderData.breakdownDateTime ? [] : [orderData.breakdownMachine];
+        }
+        const settings = this.globalSettings || {};
+        return settings.breakdownDateTime ? [] : (settings.breakdownMachines || []);
+    }
+
+    /**
+     * All periods during which work on a machine must pause: holidays plus that machine's breakdowns
+     * @param {Object} orderData - Order data
+     * @param {string|null} machine - Machine name (null = holidays only)
+     * @returns {Array} Sorted, non-overlapping blocked periods
+     */
+    getBlockedPeriods(orderData, machine = null) {
+        const holidays = this.getHolidayPeriodsForOrder(orderData);
+        const breakdowns = machine ? (this.getBreakdownPeriodsForOrder(orderData)[machine] || []) : [];
+        if (breakdowns.length === 0) return holidays;
+        return this.mergePeriods([...breakdowns, ...holidays]);
     }
 
     parseDateTime(dateTimeStr) {
@@ -348,17 +1012,18 @@ class FixedUnifiedSchedulingEngine {
             if (operations.length === 0) {
                 throw new Error(`No operations found for part ${orderData.partNumber}`);
             }
+            // A rejected pin fails the order rather than having it planned without the pin
+            if (this.rejectedPins.has(orderData)) {
+                throw new Error(`pin rejected (${this.rejectedPins.get(orderData).join('; ')})`);
+            }
 
             // Sort operations by sequence - STRICT SEQUENTIAL ORDER
             operations.sort((a, b) => a.OperationSeq - b.OperationSeq);
             Logger.log(`Operation sequences: ${operations.map(op => op.OperationSeq).join(' → ')}`);
 
             // THREE-BATCH SPLITTING LOGIC
-            const totalQuantity = orderData.quantity;
-            const minBatchSize = operations[0].Minimum_BatchSize || 100; // Default minimum batch size
-            const batches = this.calculateBatchSplitting(totalQuantity, minBatchSize, orderData.priority, orderData.dueDate, orderData.startDateTime, orderData.batchMode, orderData.customBatchSize);
+            const batches = this.getOrderBatches(orderData);
             
-            Logger.log(`[BATCH-SPLITTING] Total Qty: ${totalQuantity}, Min Batch Size: ${minBatchSize}`);
             Logger.log(`[BATCH-SPLITTING] Calculated Batches: ${batches.length} batches`);
             batches.forEach((batch, index) => {
                 Logger.log(`[BATCH-SPLITTING] Batch ${index + 1}: ${batch.batchId} (${batch.quantity} pieces)`);
@@ -374,22 +1039,39 @@ class FixedUnifiedSchedulingEngine {
                 
                 let batchPreviousSequenceFirstPieceDone = null;
                 let batchPreviousOpRunEnd = null;
+                let batchBlocked = false; // An operation left unscheduled holds back the rest of the batch
                 
                 operations.forEach((operation, opIndex) => {
+                    if (batchBlocked) return;
                     Logger.log(`\n--- SCHEDULING BATCH ${batch.batchId} - SEQUENCE ${operation.OperationSeq}: ${operation.OperationName} ---`);
                     
-                    const opResult = this.scheduleOperation(
-                        operation,
-                        orderData,
-                        batch.quantity, // Use batch quantity instead of total quantity
-                        batchPreviousSequenceFirstPieceDone, // Pass when previous sequence's first piece is done
-                        opIndex,
-                        batchPreviousOpRunEnd // Pass previous operation's run end for sequential completion enforcement
-                    );
+                    // Pinned operations keep the machine, person and times reserved by reservePinnedOperations()
+                    const pinned = this.getPinnedOperation(orderData, batch.batchId, operation.OperationSeq);
+                    const quantity = pinned ? pinned.quantity : this.getOperationQuantity(orderData, batch, operation);
+                    const opResult = pinned
+                        ? this.buildPinnedResult(pinned, operation, orderData, batch, batchPreviousSequenceFirstPieceDone, alerts)
+                        : this.scheduleOperation(
+                            operation,
+                            orderData,
+                            quantity, // Use batch quantity (less any scrap upstream) instead of total quantity
+                            batchPreviousSequenceFirstPieceDone, // Pass when previous sequence's first piece is done
+                            opIndex,
+                            batchPreviousOpRunEnd, // Pass previous operation's run end for sequential completion enforcement
+                            alerts
+                        );
+                    if (!opResult) {
+                        batchBlocked = true;
+                        const later = operations.slice(opIndex + 1).map(op => `Op${op.OperationSeq}`);
+                        if (later.length > 0) {
+                            alerts.push(`❌ ${FixedUnifiedSchedulingEngine.orderLabel(orderData)} batch ${batch.batchId}: ${later.join(', ')} not scheduled (they wait for Op${operation.OperationSeq})`);
+                        }
+                        return;
+                    }
                     
-                    // Add batch information to the result
+                    // Add order and batch information to the result
+                    opResult.Order_Number = orderData.orderNumber ?? null;
                     opResult.Batch_ID = batch.batchId;
-                    opResult.Batch_Qty = batch.quantity;
+                    opResult.Batch_Qty = quantity;
                     opResult.Batch_Index = batchIndex;
                     
                     orderResults.push(opResult);
@@ -417,6 +1099,11 @@ class FixedUnifiedSchedulingEngine {
                 Logger.log(`=== BATCH ${batch.batchId} COMPLETE ===`);
             });
 
+            if (orderResults.length === 0) {
+                Logger.log(`=== ORDER ${orderData.partNumber} LEFT UNSCHEDULED ===\n`);
+                return orderResults;
+            }
+
             // RULE 7: Check if order can meet due date
             const lastOperation = orderResults[orderResults.length - 1];
             const orderCompletionTime = lastOperation.actualRunEnd;
@@ -433,7 +1120,7 @@ class FixedUnifiedSchedulingEngine {
                     lastOperation.DueDateWarning = `⚠️ ${lateHours}h late`;
                     
                     // Add to alerts for user visibility
-                    alerts.push(`⚠️ ${orderData.partNumber} will be ${lateHours}h late (due ${orderData.dueDate}) - consider splitting batch or reassigning machines`);
+                    alerts.push(`⚠️ ${FixedUnifiedSchedulingEngine.orderLabel(orderData)} will be ${lateHours}h late (due ${orderData.dueDate}) - consider splitting batch or reassigning machines`);
                 } else {
                     Logger.log(`✅ Order ${orderData.partNumber} will complete on time. Due: ${dueDate.toISOString()}, Completion: ${orderCompletionTime.toISOString()}`);
                 }
@@ -449,14 +1136,10 @@ class FixedUnifiedSchedulingEngine {
         }
     }
 
-    scheduleOperation(operation, orderData, batchQty, previousSequenceFirstPieceDone, sequenceIndex, previousOpRunEnd = null) {
+    scheduleOperation(operation, orderData, batchQty, previousSequenceFirstPieceDone, sequenceIndex, previousOpRunEnd = null, alerts = []) {
         // RULE 1: Check machine eligibility for this part
-        let eligibleMachines = operation.EligibleMachines || this.allMachines;
-        
-        // Convert string to array if needed (EligibleMachines is stored as comma-separated string)
-        if (typeof eligibleMachines === 'string') {
-            eligibleMachines = eligibleMachines.split(',').map(m => m.trim());
-        }
+        // EligibleMachines is stored as comma-separated string of machine names, types or capability tags
+        const eligibleMachines = this.resolveEligibleMachines(operation.EligibleMachines);
         
         Logger.log(`Eligible machines for ${operation.OperationName}: ${eligibleMachines.join(', ')}`);
         
@@ -480,7 +1163,7 @@ class FixedUnifiedSchedulingEngine {
             operation,
             orderData,
             batchQty,
-            'A', // Temporary operator for preliminary calculation
+            this.allPersons[0], // Temporary operator for preliminary calculation
             earliestStartTime
         );
         
@@ -500,14 +1183,14 @@ class FixedUnifiedSchedulingEngine {
             Logger.log(`[OPERATOR-DELAY] Setup delayed to ${operatorResult.delayedStart.toISOString()}`);
             preliminaryTiming.setupStart = operatorResult.delayedStart;
             preliminaryTiming.setupEnd = new Date(operatorResult.delayedStart.getTime() + (operation.SetupTime_Min || 0) * 60000);
-            selectedPerson = operatorResult.operator || 'A'; // Use the operator from the result
+            selectedPerson = operatorResult.operator || this.allPersons[0]; // Use the operator from the result
         } else {
             selectedPerson = operatorResult;
         }
         
         Logger.log(`[DBG] Op: ${orderData.partNumber} Op${operation.OperationSeq} - selectedPerson = ${selectedPerson}`);
-        const setupStartHour = preliminaryTiming.setupStart.getHours();
-        Logger.log(`[DBG] Op: ${orderData.partNumber} Op${operation.OperationSeq} - setupStartHour = ${setupStartHour} (shift: ${setupStartHour < 14 ? 'morning' : 'afternoon'})`);
+        const setupShift = this.getShiftGroups().find(group => this.getWindowOccurrence(group, preliminaryTiming.setupStart));
+        Logger.log(`[DBG] Op: ${orderData.partNumber} Op${operation.OperationSeq} - setupStart = ${preliminaryTiming.setupStart.toISOString()} (shift: ${setupShift ? setupShift.name : 'none'})`);
         
         // RULE 6.1: Handle setup spillover across shift boundaries
         const setupDuration = operation.SetupTime_Min || 0;
@@ -630,9 +1313,11 @@ class FixedUnifiedSchedulingEngine {
         if (!eligibleMachines.includes(selectedMachine)) {
             throw new Error(`Machine ${selectedMachine} is not eligible for part ${orderData.partNumber} operation ${operation.OperationSeq}`);
         }
+        // Cycle and setup time on the selected machine (EligibleMachines may give machine-specific times)
+        const machineOperation = this.getMachineOperation(operation, selectedMachine);
 
         // Recalculate final timing with selected machine and piece-level dependencies
-        const finalTiming = this.calculateOperationTiming(
+        let finalTiming = this.calculateOperationTiming(
             operation,
             orderData,
             batchQty,
@@ -642,10 +1327,84 @@ class FixedUnifiedSchedulingEngine {
             previousSequenceFirstPieceDone ? [previousSequenceFirstPieceDone] : null, // Pass previous operation's first piece completion time for piece-level handoff
             previousOpRunEnd  // Pass previous operation's run end for sequential completion enforcement
         );
+
+        // Holidays, breakdowns and a busy machine can move the setup off the slot the operator was picked for;
+        // hand it to an operator who is on shift and free where it really starts
+        const canTakeSetup = operator => this.isOperatorOnShift(operator, finalTiming.setupStartTime, finalTiming.setupEndTime) &&
+            !this.hasOperatorConflict(operator, finalTiming.setupStartTime, finalTiming.setupEndTime);
+        if (finalTiming.setupEndTime > finalTiming.setupStartTime && !canTakeSetup(actualOperator)) {
+            const freeOperator = this.getOperatorsOnShift(finalTiming.setupStartTime, finalTiming.setupEndTime).find(canTakeSetup);
+            Logger.log(`[SCHEDULE-FIX] Setup moved to ${finalTiming.setupStartTime.toISOString()}, where ${actualOperator} cannot take it; reassigned to ${freeOperator || actualOperator}`);
+            actualOperator = freeOperator || actualOperator;
+        }
+        
+        // PINS: a pinned booking is fixed, so move this operation after it when they would overlap
+        let pinnedConflict = this.getPinnedConflict(selectedMachine, finalTiming.setupStartTime, finalTiming.runEndTime);
+        while (pinnedConflict) {
+            Logger.log(`[PINNED] ${selectedMachine} is pinned until ${pinnedConflict.end.toISOString()}, moving ${orderData.partNumber} Op${operation.OperationSeq} after it`);
+            // The move can take the setup outside the chosen operator's shift; hand it to a free operator on shift
+            const movedSetupEnd = new Date(pinnedConflict.end.getTime() + (machineOperation.SetupTime_Min || 0) * 60000);
+            const operatorsOnShift = this.getOperatorsOnShift(pinnedConflict.end, movedSetupEnd);
+            if (!operatorsOnShift.includes(actualOperator)) {
+                actualOperator = operatorsOnShift.find(operator => !this.hasOperatorConflict(operator, pinnedConflict.end, movedSetupEnd)) || actualOperator;
+            }
+            finalTiming = this.calculateOperationTiming(
+                operation,
+                orderData,
+                batchQty,
+                selectedMachine,
+                actualOperator,
+                pinnedConflict.end,
+                previousSequenceFirstPieceDone ? [previousSequenceFirstPieceDone] : null,
+                previousOpRunEnd
+            );
+            pinnedConflict = this.getPinnedConflict(selectedMachine, finalTiming.setupStartTime, finalTiming.runEndTime);
+        }
+
+        // SKILLS: only an operator qualified for the operation and the machine may do the setup;
+        // when none is free on shift the setup waits for one, and without one the operation stays unscheduled
+        const label = `${FixedUnifiedSchedulingEngine.orderLabel(orderData)} Op${operation.OperationSeq}`;
+        const qualifiedOperators = this.getQualifiedOperators(operation, selectedMachine);
+        const canDoSetup = operator => qualifiedOperators.includes(operator) &&
+            this.isOperatorOnShift(operator, finalTiming.setupStartTime, finalTiming.setupEndTime) &&
+            !this.hasOperatorConflict(operator, finalTiming.setupStartTime, finalTiming.setupEndTime);
+        const needsOperator = () => finalTiming.setupEndTime > finalTiming.setupStartTime;
+        if (needsOperator() && qualifiedOperators.length === 0) {
+            alerts.push(`❌ ${label}: no operator is qualified for ${this.describeQualification(operation, selectedMachine)}; the operation is left unscheduled`);
+            return null;
+        } else if (needsOperator() && !qualifiedOperators.includes(actualOperator)) {
+            const plannedSetupStart = finalTiming.setupStartTime;
+            for (let attempt = 0; attempt < CONFIG.MAX_RESCHEDULE_ATTEMPTS && needsOperator() && !canDoSetup(actualOperator); attempt++) {
+                const slot = this.findQualifiedSetupSlot(qualifiedOperators, finalTiming.setupStartTime, finalTiming.setupMinutes);
+                if (!slot) break;
+                actualOperator = slot.operator;
+                if (canDoSetup(actualOperator)) break;
+                // Later start: the timing is worked out again (setup window, pinned bookings) and checked once more
+                const pinnedAtSlot = this.getPinnedConflict(selectedMachine, slot.setupStart, new Date(slot.setupStart.getTime() + (finalTiming.runEndTime - finalTiming.setupStartTime)));
+                finalTiming = this.calculateOperationTiming(
+                    operation,
+                    orderData,
+                    batchQty,
+                    selectedMachine,
+                    actualOperator,
+                    pinnedAtSlot ? pinnedAtSlot.end : slot.setupStart,
+                    previousSequenceFirstPieceDone ? [previousSequenceFirstPieceDone] : null,
+                    previousOpRunEnd
+                );
+            }
+            if (needsOperator() && !canDoSetup(actualOperator)) {
+                alerts.push(`❌ ${label}: no qualified operator (${qualifiedOperators.join(', ')}) is free on shift for the whole ${finalTiming.setupMinutes}-minute setup on ${selectedMachine}; the operation is left unscheduled`);
+                return null;
+            }
+            if (finalTiming.setupStartTime > plannedSetupStart) {
+                alerts.push(`⏳ ${label} setup on ${selectedMachine} delayed from ${this.formatDateTime(plannedSetupStart)} to ${this.formatDateTime(finalTiming.setupStartTime)}: waits for a qualified operator (${this.describeQualification(operation, selectedMachine)})`);
+            }
+            Logger.log(`[SKILLS] ${label} setup on ${selectedMachine} assigned to ${actualOperator} at ${finalTiming.setupStartTime.toISOString()} (qualified: ${qualifiedOperators.join(', ')})`);
+        }
         
         // Apply production window constraints to run operations
-        const runDuration = (operation.CycleTime_Min || 0) * batchQty;
-        const productionConstraints = this.applyProductionWindowConstraints(selectedMachine, finalTiming.runStartTime, finalTiming.runEndTime, runDuration);
+        const runDuration = (machineOperation.CycleTime_Min || 0) * batchQty;
+        const productionConstraints = this.applyProductionWindowConstraints(selectedMachine, finalTiming.runStartTime, finalTiming.runEndTime, runDuration, orderData);
         
         // Update final timing with production window constraints
         finalTiming.runStartTime = productionConstraints.actualRunStart;
@@ -656,11 +1415,16 @@ class FixedUnifiedSchedulingEngine {
         }
 
         // RULE 6: MACHINE LOCKING - Reserve machine for entire sequence duration
-        this.reserveMachine(selectedMachine, finalTiming.setupStartTime, finalTiming.runEndTime);
+        this.reserveMachine(selectedMachine, finalTiming.setupStartTime, finalTiming.runEndTime, false, {
+            partNumber: orderData.partNumber,
+            operationSeq: operation.OperationSeq
+        });
         Logger.log(`🔒 MACHINE LOCKED: ${selectedMachine} from ${finalTiming.setupStartTime.toISOString()} to ${finalTiming.runEndTime.toISOString()}`);
         
-        // RULE 7: Reserve operator for setup interval
-        this.reserveOperator(actualOperator, finalTiming.setupStartTime, finalTiming.setupEndTime);
+        // RULE 7: Reserve operator for setup interval (a changeover with no setup needs no operator)
+        if (finalTiming.setupEndTime > finalTiming.setupStartTime) {
+            this.reserveOperator(actualOperator, finalTiming.setupStartTime, finalTiming.setupEndTime);
+        }
         
         // Detailed logging as per setup rules
         const operatorFreeAt = this.getEarliestOperatorFreeTime(actualOperator, finalTiming.setupStartTime);
@@ -681,30 +1445,30 @@ class FixedUnifiedSchedulingEngine {
             actualRunEnd: finalTiming.runEndTime,
             pieceCompletionTimes: finalTiming.pieceCompletionTimes,
             firstPieceDone: finalTiming.firstPieceDone, // Critical for next operation trigger
-            SetupTime_Min: operation.SetupTime_Min || 0, // Required for duration breakdown
-            CycleTime_Min: operation.CycleTime_Min || 0, // Required for piece-flow validation
+            SetupTime_Min: finalTiming.setupMinutes, // Required for duration breakdown; less than the routing's after a cheap changeover
+            Changeover: finalTiming.changeover,
+            CycleTime_Min: machineOperation.CycleTime_Min || 0, // Required for piece-flow validation; the selected machine's
+            EligibleMachines: FixedUnifiedSchedulingEngine.eligibility().format(operation.EligibleMachines || ''),
             Batch_Qty: batchQty, // Required for piece-flow validation
+            HolidayPaused_Min: Math.round(finalTiming.totalPausedTime || 0),
+            BreakdownPaused_Min: Math.round(finalTiming.breakdownPausedTime || 0),
             Timing: this.formatDurationBreakdown(
                 finalTiming.setupStartTime,
                 finalTiming.runEndTime,
                 finalTiming.totalWorkTime,
-                finalTiming.totalPausedTime
+                finalTiming.totalPausedTime,
+                finalTiming.breakdownPausedTime
             )
         };
     }
 
     selectOptimalMachine(operation, orderData, setupStart, runEnd = null) {
-        let eligibleMachines = operation.EligibleMachines || this.allMachines;
-        
-        // Convert string to array if needed (EligibleMachines is stored as comma-separated string)
-        if (typeof eligibleMachines === 'string') {
-            eligibleMachines = eligibleMachines.split(',').map(m => m.trim());
-        }
+        // EligibleMachines is stored as comma-separated string of machine names, types or capability tags
+        const eligibleMachines = this.resolveEligibleMachines(operation.EligibleMachines);
         
-        // Filter out breakdown machines
-        const breakdownMachines = orderData.breakdownMachine ? 
-            [orderData.breakdownMachine] : 
-            (this.globalSettings.breakdownMachines || []);
+        // Timed breakdowns are handled per candidate below; only a breakdown given
+        // without a time range takes a machine out for the whole order
+        const breakdownMachines = this.getUnavailableMachinesForOrder(orderData);
         
         const availableMachines = eligibleMachines.filter(machine => 
             !breakdownMachines.includes(machine)
@@ -717,25 +1481,46 @@ class FixedUnifiedSchedulingEngine {
 
         Logger.log(`[MACHINE-SELECTION] Looking for machine for setup: ${setupStart.toISOString()}`);
         Logger.log(`[MACHINE-SELECTION] Available machines: ${availableMachines.join(', ')}`);
+
+        // SKILLS: a machine no operator on the roster is qualified to set up for this operation is a last resort
+        const staffedMachines = availableMachines.filter(machine => this.getQualifiedOperators(operation, machine).length > 0);
+        const candidateMachines = staffedMachines.length > 0 ? staffedMachines : availableMachines;
         
         // ULTRA-AGGRESSIVE MACHINE UTILIZATION: Maximize continuous usage and balance load
-        const candidates = [];
+        let candidates = [];
         
-        for (const machine of availableMachines) {
+        for (const machine of candidateMachines) {
             const intervals = this.machineSchedule[machine] || [];
             Logger.log(`[MACHINE-CHECK] ${machine} has ${intervals.length} existing bookings`);
             
             // Calculate when this machine can actually start
             const machineEarliestFree = this.getEarliestFreeTime(machine);
-            const actualSetupStart = new Date(Math.max(setupStart.getTime(), machineEarliestFree.getTime()));
+            let actualSetupStart = new Date(Math.max(setupStart.getTime(), machineEarliestFree.getTime()));
             
-            // Calculate the actual run end based on machine availability
-            const setupDuration = operation.SetupTime_Min || 0;
-            const cycleTime = operation.CycleTime_Min || 0;
+            // Calculate the actual run end based on machine availability; the setup depends on the machine's previous job
+            // and, like the cycle time, on the machine itself when its EligibleMachines entry gives its own times
+            const machineEntry = this.getMachineEntry(operation, machine);
+            const machineOperation = this.getMachineOperation(operation, machine);
+            const setupDuration = this.getChangeover(operation, orderData, machine, actualSetupStart).minutes;
+            const cycleTime = machineOperation.CycleTime_Min || 0;
             const batchQty = orderData.quantity || 1;
             
-            const actualSetupEnd = new Date(actualSetupStart.getTime() + setupDuration * 60000);
-            const actualRunEnd = new Date(actualSetupEnd.getTime() + (batchQty * cycleTime * 60000));
+            // Setup and run pause across holidays and this machine's breakdowns;
+            // pinned bookings cannot move, so the candidate starts after any it would overlap
+            let setupInterval, runWork, pinnedConflict;
+            do {
+                setupInterval = this.scheduleSetupInterval(actualSetupStart, setupDuration, orderData, machine);
+                runWork = this.advanceRunTime(setupInterval.setupEnd, batchQty * cycleTime, this.getBlockedPeriods(orderData, machine));
+                pinnedConflict = this.getPinnedConflict(machine, setupInterval.setupStart, runWork.end);
+                if (pinnedConflict) actualSetupStart = pinnedConflict.end;
+            } while (pinnedConflict);
+            const actualSetupEnd = setupInterval.setupEnd;
+            const actualRunEnd = runWork.end;
+            
+            // Time lost to breakdowns: compare against the same booking with holidays only
+            const unbrokenSetup = this.scheduleSetupInterval(actualSetupStart, setupDuration, orderData);
+            const unbrokenRunEnd = this.advanceRunTime(unbrokenSetup.setupEnd, batchQty * cycleTime, this.getHolidayPeriodsForOrder(orderData)).end;
+            const breakdownDelayMinutes = Math.max(0, (actualRunEnd.getTime() - unbrokenRunEnd.getTime()) / 60000);
             
             // Check if this machine can meet the due date
             const dueDate = new Date(orderData.dueDate);
@@ -775,20 +1560,78 @@ class FixedUnifiedSchedulingEngine {
                 utilizationScore: utilizationScore,
                 loadBalanceScore: loadBalanceScore,
                 efficiencyScore: efficiencyScore,
-                totalWorkloadHours: totalWorkloadHours
+                totalWorkloadHours: totalWorkloadHours,
+                breakdownDelayMinutes: breakdownDelayMinutes,
+                setupMinutes: setupDuration,
+                fullSetupMinutes: machineOperation.SetupTime_Min || 0,
+                rank: machineEntry ? machineEntry.rank : null
             });
             
             Logger.log(`[CANDIDATE-FOUND] ${machine}: setup ${actualSetupStart.toISOString()}, run end ${actualRunEnd.toISOString()}, delay: ${delayMinutes.toFixed(1)}min, meets due date: ${meetsDueDate}, unused: ${isUnusedMachine}, workload: ${totalWorkloadHours.toFixed(1)}H`);
         }
 
+        // BREAKDOWNS: move work off a machine whose breakdown would interrupt it, unless the
+        // interrupted-and-resumed run still finishes before any unaffected machine
+        const unaffectedCandidates = candidates.filter(c => c.breakdownDelayMinutes === 0);
+        if (unaffectedCandidates.length > 0 && unaffectedCandidates.length < candidates.length) {
+            const bestUnaffectedEnd = Math.min(...unaffectedCandidates.map(c => c.actualRunEnd.getTime()));
+            candidates = candidates.filter(c => {
+                const keep = c.breakdownDelayMinutes === 0 || c.actualRunEnd.getTime() < bestUnaffectedEnd;
+                if (!keep) {
+                    Logger.log(`[BREAKDOWN] ${c.machine} skipped: breakdown would delay the run by ${c.breakdownDelayMinutes.toFixed(0)}min`);
+                }
+                return keep;
+            });
+        }
+
         // ULTRA-AGGRESSIVE MACHINE UTILIZATION: Maximize continuous usage and balance load
         if (candidates.length > 0) {
+            // Priority 0: SETUP MATRIX - the cheapest changeover. Its run may end later than on the quickest machine
+            // by up to the setup minutes it saves (capped by the matrix's maxDelayMinutes), and not past the due date
+            // when another machine would make it
+            const earliestRunEnd = Math.min(...candidates.map(c => c.actualRunEnd.getTime()));
+            const anyMeetsDueDate = candidates.some(c => c.meetsDueDate);
+            const maxDelayMinutes = this.setupMatrix ? this.setupMatrix.maxDelayMinutes : null;
+            const changeoverCandidates = candidates.filter(c => {
+                if (c.setupMinutes >= c.fullSetupMinutes) return false;
+                const savedMinutes = c.fullSetupMinutes - c.setupMinutes;
+                const allowedMinutes = maxDelayMinutes === null ? savedMinutes : Math.min(savedMinutes, maxDelayMinutes);
+                return c.actualRunEnd.getTime() <= earliestRunEnd + allowedMinutes * 60000 && (c.meetsDueDate || !anyMeetsDueDate);
+            });
+            if (changeoverCandidates.length > 0) {
+                const best = changeoverCandidates.reduce((best, current) => {
+                    if (current.setupMinutes !== best.setupMinutes) {
+                        return current.setupMinutes < best.setupMinutes ? current : best;
+                    }
+                    return current.actualRunEnd < best.actualRunEnd ? current : best;
+                });
+                Logger.log(`[MACHINE-SELECTED] ${best.machine} (cheapest changeover: ${best.setupMinutes}min instead of ${best.fullSetupMinutes}min)`);
+                return best.machine;
+            }
+
+            // Priority 0.5: PREFERRED machines (EligibleMachines rank) that can start immediately and meet the due date
+            const preferredCandidates = candidates.filter(c => c.rank !== null && c.canStartImmediately && c.meetsDueDate);
+            if (preferredCandidates.length > 0) {
+                const best = preferredCandidates.reduce((best, current) => {
+                    if (current.rank !== best.rank) {
+                        return current.rank < best.rank ? current : best;
+                    }
+                    return current.actualRunEnd < best.actualRunEnd ? current : best;
+                });
+                Logger.log(`[MACHINE-SELECTED] ${best.machine} (preferred machine, rank ${best.rank}, run end ${best.actualRunEnd.toISOString()})`);
+                return best.machine;
+            }
+
             // Priority 1: UNUSED machines that can start immediately (regardless of due date)
             const unusedImmediateCandidates = candidates.filter(c => c.isUnusedMachine && c.canStartImmediately);
             if (unusedImmediateCandidates.length > 0) {
-                const best = unusedImmediateCandidates.reduce((best, current) => 
-                    current.delayMinutes < best.delayMinutes ? current : best
-                );
+                // Equal delays: the machine that finishes first (machine-specific cycle times)
+                const best = unusedImmediateCandidates.reduce((best, current) => {
+                    if (current.delayMinutes !== best.delayMinutes) {
+                        return current.delayMinutes < best.delayMinutes ? current : best;
+                    }
+                    return current.actualRunEnd < best.actualRunEnd ? current : best;
+                });
                 Logger.log(`[MACHINE-SELECTED] ${best.machine} (UNUSED machine, immediate start, delay: ${best.delayMinutes.toFixed(1)}min)`);
                 return best.machine;
             }
@@ -891,7 +1734,7 @@ class FixedUnifiedSchedulingEngine {
             orderData,
             batchQty,
             candidateMachine,
-            'A', // Temporary operator for simulation
+            this.allPersons[0], // Temporary operator for simulation
             setupStart,
             null // No previous operation piece times for simulation
         );
@@ -914,15 +1757,12 @@ class FixedUnifiedSchedulingEngine {
      * If setup spills over shift end, it pauses and resumes with next available operator
      */
     handleSetupSpillover(operator, setupStart, setupEnd, setupDuration) {
-        // RULE: Setup Window Enforcement (06:00-22:00) + Operator Shift Validation
-        const setupWindowStart = 6; // 06:00
-        const setupWindowEnd = 22;  // 22:00
+        // RULE: Setup Window Enforcement (global setup window) + Operator Shift Validation
+        const setupWindow = this.parseSetupWindow(this.globalSettings.setupWindow || "06:00-22:00");
         
         // Check if setup violates setup window OR operator shift assignment
-        const setupStartHour = setupStart.getHours();
-        const setupEndHour = setupEnd.getHours();
-        const isSetupWindowViolation = setupStartHour < setupWindowStart || setupStartHour >= setupWindowEnd || 
-                                      setupEndHour < setupWindowStart || setupEndHour > setupWindowEnd;
+        const windowOccurrence = this.getWindowOccurrence(setupWindow, setupStart);
+        const isSetupWindowViolation = !windowOccurrence || setupEnd > windowOccurrence.end;
         
         // Check operator shift violation
         const isOperatorShiftViolation = !this.isOperatorInCorrectShift(operator, setupStart, setupEnd);
@@ -935,15 +1775,11 @@ class FixedUnifiedSchedulingEngine {
             // First try to fit in current day's remaining setup window
             let nextValidStart;
             
-            if (setupStartHour >= 14 && setupStartHour < 22) {
-                // If we're in afternoon shift window, try to keep it there
-                nextValidStart = new Date(setupStart);
-                // Ensure it's within the window and operator is available
-                if (setupEndHour > setupWindowEnd) {
-                    // Setup would end after 22:00, move to next morning
-                    nextValidStart.setDate(nextValidStart.getDate() + 1);
-                    nextValidStart.setHours(setupWindowStart, 0, 0, 0);
-                }
+            if (windowOccurrence) {
+                // Setup starts inside the window: keep it there unless it would run past the window end
+                nextValidStart = setupEnd > windowOccurrence.end
+                    ? this.getNextWindowStart(setupWindow, windowOccurrence.end)
+                    : new Date(setupStart);
             } else {
                 // Find next valid setup window slot
                 nextValidStart = this.findNextValidSetupSlot(setupStart, setupDuration);
@@ -951,7 +1787,8 @@ class FixedUnifiedSchedulingEngine {
             
             const nextValidEnd = new Date(nextValidStart.getTime() + setupDuration * 60000);
             
-            // Select appropriate operator for the corrected time slot
+            // Select appropriate operator for the corrected time slot (holidays and breakdowns may still move
+            // the setup; scheduleOperation() picks the operator again when they do)
             const correctedOperator = this.selectOperatorForTimeSlot(nextValidStart, nextValidEnd);
             
             Logger.log(`[SCHEDULE-FIX] Orig: Setup ${setupStart.toISOString()}-${setupEnd.toISOString()} Op=${operator}, Fix: Setup ${nextValidStart.toISOString()}-${nextValidEnd.toISOString()} Op=${correctedOperator}, Reason: ${violationType}`);
@@ -967,8 +1804,8 @@ class FixedUnifiedSchedulingEngine {
         }
         
         const shift = this.operatorShifts[operator];
-        const shiftEnd = new Date(setupStart);
-        shiftEnd.setHours(shift.end, 0, 0, 0);
+        const shiftOccurrence = this.getWindowOccurrence(shift, setupStart);
+        const shiftEnd = shiftOccurrence ? shiftOccurrence.end : this.atHour(setupStart, shift.end);
         
         // Check if setup spills over shift boundary
         if (setupEnd > shiftEnd) {
@@ -978,8 +1815,7 @@ class FixedUnifiedSchedulingEngine {
             Logger.log(`[SETUP-SPILLOVER] ${operator} shift ends at ${shiftEnd.toISOString()}, ${Math.round(workDoneInShift / 60000)}min done, ${Math.round(remainingWork / 60000)}min remaining`);
             
             // Find next available operator in next shift
-            const nextShiftStart = new Date(shiftEnd);
-            nextShiftStart.setHours(shift.end, 0, 0, 0); // Start of next shift
+            const nextShiftStart = new Date(shiftEnd); // Start of next shift
             
             // Get operators from next shift
             const nextShiftOperators = this.getOperatorsForNextShift(operator);
@@ -1026,30 +1862,20 @@ class FixedUnifiedSchedulingEngine {
     }
 
     /**
-     * Find next valid setup slot within setup window (06:00-22:00)
+     * Find next valid setup slot within the global setup window
      */
     findNextValidSetupSlot(requestedStart, setupDurationMin) {
-        const setupWindowStart = 6; // 06:00
-        const setupWindowEnd = 22;  // 22:00
+        const setupWindow = this.parseSetupWindow(this.globalSettings.setupWindow || "06:00-22:00");
         
-        let candidateStart = new Date(requestedStart);
-        
-        // If before 06:00, move to 06:00 same day
-        if (candidateStart.getHours() < setupWindowStart) {
-            candidateStart.setHours(setupWindowStart, 0, 0, 0);
-        }
-        // If after 22:00, move to 06:00 next day
-        else if (candidateStart.getHours() >= setupWindowEnd) {
-            candidateStart.setDate(candidateStart.getDate() + 1);
-            candidateStart.setHours(setupWindowStart, 0, 0, 0);
-        }
+        // Outside the window, move to the next window opening
+        let candidateStart = this.getNextWindowStart(setupWindow, requestedStart);
         
         // Ensure setup can complete within window
+        const occurrence = this.getWindowOccurrence(setupWindow, candidateStart);
         const candidateEnd = new Date(candidateStart.getTime() + setupDurationMin * 60000);
-        if (candidateEnd.getHours() > setupWindowEnd) {
-            // Setup too long for remaining window, move to next day
-            candidateStart.setDate(candidateStart.getDate() + 1);
-            candidateStart.setHours(setupWindowStart, 0, 0, 0);
+        if (occurrence && candidateEnd > occurrence.end) {
+            // Setup too long for remaining window, move to the next opening
+            candidateStart = this.getNextWindowStart(setupWindow, occurrence.end);
         }
         
         return candidateStart;
@@ -1059,29 +1885,23 @@ class FixedUnifiedSchedulingEngine {
      * Select operator for specific time slot based on shift assignments
      */
     selectOperatorForTimeSlot(setupStart, setupEnd) {
-        const startHour = setupStart.getHours();
+        const shiftGroups = this.getShiftGroups();
         
-        // Shift 1: 06:00-14:00 → Operators A, B
-        if (startHour >= 6 && startHour < 14) {
-            const shift1Operators = ['A', 'B'];
-            for (const op of shift1Operators) {
-                if (this.isOperatorAvailable(op, setupStart, setupEnd)) {
-                    return op;
-                }
-            }
-        }
-        // Shift 2: 14:00-22:00 → Operators C, D
-        else if (startHour >= 14 && startHour < 22) {
-            const shift2Operators = ['C', 'D'];
-            for (const op of shift2Operators) {
+        // Try the operators of the shift the setup starts in
+        const currentShift = shiftGroups.find(group => this.getWindowOccurrence(group, setupStart));
+        if (currentShift) {
+            for (const op of currentShift.operators) {
                 if (this.isOperatorAvailable(op, setupStart, setupEnd)) {
                     return op;
                 }
             }
         }
         
-        // Fallback: return first available operator from appropriate shift
-        return startHour < 14 ? 'A' : 'C';
+        // Fallback: return first operator from the current or next shift
+        const fallbackShift = currentShift || [...shiftGroups].sort((a, b) =>
+            this.getNextWindowStart(a, setupStart).getTime() - this.getNextWindowStart(b, setupStart).getTime()
+        )[0];
+        return fallbackShift ? fallbackShift.operators[0] : this.allPersons[0];
     }
 
     /**
@@ -1139,78 +1959,42 @@ class FixedUnifiedSchedulingEngine {
      * @returns {Date} Next valid shift start time
      */
     getNextValidShiftStart(currentTime) {
-        const hour = currentTime.getHours();
+        // Earliest start of any operator shift after the current time
+        // (e.g. in the morning shift this is the afternoon start, after the last shift it is tomorrow's first)
+        const shiftStarts = this.getShiftGroups().map(group => {
+            const start = this.atHour(currentTime, group.start);
+            if (start <= currentTime) start.setDate(start.getDate() + 1);
+            return start.getTime();
+        });
         
-        // If we're in morning shift (6-14), next shift is afternoon (14:00)
-        if (hour >= 6 && hour < 14) {
-            const nextShift = new Date(currentTime);
-            nextShift.setHours(14, 0, 0, 0);
-            return nextShift;
-        }
-        // If we're in afternoon shift (14-22), next shift is next day morning (06:00)
-        else if (hour >= 14 && hour < 22) {
-            const nextShift = new Date(currentTime);
-            nextShift.setDate(nextShift.getDate() + 1);
-            nextShift.setHours(6, 0, 0, 0);
-            return nextShift;
-        }
-        // If we're outside setup window (22-06), next shift is morning (06:00)
-        else {
-            const nextShift = new Date(currentTime);
-            if (hour >= 22) {
-                // If it's night time, next shift is tomorrow morning
-                nextShift.setDate(nextShift.getDate() + 1);
-            }
-            nextShift.setHours(6, 0, 0, 0);
-            return nextShift;
+        if (shiftStarts.length === 0) {
+            const nextDay = new Date(currentTime);
+            nextDay.setDate(nextDay.getDate() + 1);
+            nextDay.setHours(CONFIG.DEFAULT_SETUP_START_HOUR, 0, 0, 0);
+            return nextDay;
         }
+        
+        return new Date(Math.min(...shiftStarts));
     }
 
     /**
      * Check if operator is assigned to correct shift for given time
      */
     isOperatorInCorrectShift(operator, setupTime, setupEndTime = null) {
-        const hour = setupTime.getHours();
+        const shift = this.operatorShifts[operator];
+        if (!shift) return false;
         
-        // If setupEndTime is provided, check that entire setup fits within shift
-        if (setupEndTime) {
-            const endHour = setupEndTime.getHours();
-            
-            // Check if setup spans across different days
-            const isSameDay = setupTime.getDate() === setupEndTime.getDate();
-            
-            if (!isSameDay) {
-                // Setup spans across days - not allowed for any operator
-                Logger.log(`[SHIFT-CHECK] Setup spans across days: ${setupTime.toISOString()} → ${setupEndTime.toISOString()}`);
-                return false;
-            }
-            
-            // Check if entire setup fits within morning shift (06:00-14:00)
-            if (hour >= 6 && endHour <= 14) {
-                return ['A', 'B'].includes(operator);
-            }
-            // Check if entire setup fits within afternoon shift (14:00-22:00)
-            else if (hour >= 14 && endHour <= 22) {
-                return ['C', 'D'].includes(operator);
-            }
-            
-            // Setup doesn't fit within any single shift
-            Logger.log(`[SHIFT-CHECK] Setup doesn't fit within single shift: ${hour}:00 → ${endHour}:00`);
-            return false;
-        }
+        // Outside the operator's shift: not allowed
+        const occurrence = this.getWindowOccurrence(shift, setupTime);
+        if (!occurrence) return false;
         
-        // Legacy check - only start time (for backward compatibility)
-        // Shift 1 (06:00-14:00): Operators A, B
-        if (hour >= 6 && hour < 14) {
-            return ['A', 'B'].includes(operator);
-        }
-        // Shift 2 (14:00-22:00): Operators C, D
-        else if (hour >= 14 && hour < 22) {
-            return ['C', 'D'].includes(operator);
+        // If setupEndTime is provided, the entire setup must fit within the same shift (overnight shifts included)
+        if (setupEndTime && setupEndTime > occurrence.end) {
+            Logger.log(`[SHIFT-CHECK] Setup doesn't fit within ${operator}'s shift: ${setupTime.toISOString()} → ${setupEndTime.toISOString()} (shift ends ${occurrence.end.toISOString()})`);
+            return false;
         }
         
-        // Outside setup window (22:00-06:00): no operators allowed
-        return false;
+        return true;
     }
 
     /**
@@ -1235,33 +2019,21 @@ class FixedUnifiedSchedulingEngine {
      */
     getOperatorsForNextShift(currentOperator) {
         const currentShift = this.operatorShifts[currentOperator];
+        if (!currentShift) return [];
         
-        if (currentShift.shift === 'morning') {
-            // Morning shift (A,B) -> Afternoon shift (C,D)
-            return ['C', 'D'];
-        } else if (currentShift.shift === 'afternoon') {
-            // Afternoon shift (C,D) -> Next day Morning shift (A,B)
-            return ['A', 'B'];
-        }
-        
-        return [];
+        // Shifts in start order; the last shift of the day hands over to the next day's first shift
+        const shiftGroups = this.getShiftGroups();
+        const index = shiftGroups.findIndex(group => group.name === currentShift.shift);
+        if (index === -1 || shiftGroups.length < 2) return [];
+        return shiftGroups[(index + 1) % shiftGroups.length].operators;
     }
     
-    /**
-     * Get the next valid shift start time
-     */
-    getNextValidShiftStart(referenceTime) {
-        const nextDay = new Date(referenceTime);
-        nextDay.setDate(nextDay.getDate() + 1);
-        nextDay.setHours(6, 0, 0, 0); // Next morning shift start
-        
-        return nextDay;
-    }
     /**
      * Apply production window constraints to machine run operations
-     * If run crosses production window boundary, pause and resume at next valid window
+     * Runs are timed with advanceRunTime, so pieces already pause outside production shifts
+     * and resume at the next one; this reports the off-shift pauses inside the run
      */
-    applyProductionWindowConstraints(machine, runStart, runEnd, runDuration) {
+    applyProductionWindowConstraints(machine, runStart, runEnd, runDuration, orderData = null) {
         const productionWindow = this.productionWindow;
         
         // If 24x7 production, no constraints
@@ -1273,36 +2045,23 @@ class FixedUnifiedSchedulingEngine {
             };
         }
         
-        // Check if run crosses production window boundary
-        const windowStart = new Date(runStart);
-        windowStart.setHours(productionWindow.start, 0, 0, 0);
+        // Off-shift gaps the run crossed
+        const offPeriods = this.getProductionOffPeriods(runStart, runEnd)
+            .filter(period => period.start >= runStart && period.start < runEnd);
         
-        const windowEnd = new Date(runStart);
-        windowEnd.setHours(productionWindow.end, 0, 0, 0);
-        
-        if (runEnd > windowEnd) {
-            const workDoneInWindow = windowEnd.getTime() - runStart.getTime();
-            const remainingWork = runDuration * 60000 - workDoneInWindow;
-            
-            Logger.log(`[PRODUCTION-WINDOW] Machine ${machine} production window ends at ${windowEnd.toISOString()}, ${Math.round(workDoneInWindow / 60000)}min done, ${Math.round(remainingWork / 60000)}min remaining`);
-            
-            // Calculate when remaining work can resume (next production window)
-            const nextWindowStart = new Date(windowEnd);
-            nextWindowStart.setDate(nextWindowStart.getDate() + 1);
-            nextWindowStart.setHours(productionWindow.start, 0, 0, 0);
-            
-            const actualRunEnd = new Date(nextWindowStart.getTime() + remainingWork);
+        if (offPeriods.length > 0) {
+            const offShiftMinutes = offPeriods.reduce((sum, period) =>
+                sum + (Math.min(period.end.getTime(), runEnd.getTime()) - period.start.getTime()) / 60000, 0);
             
-            Logger.log(`[PRODUCTION-WINDOW] Remaining work resumes at ${nextWindowStart.toISOString()}`);
+            Logger.log(`[PRODUCTION-WINDOW] Machine ${machine} run paused ${offPeriods.length}x outside production shifts (${this.formatDuration(offShiftMinutes)}), resumes each next shift`);
             
             return {
                 actualRunStart: runStart,
-                actualRunEnd: actualRunEnd,
+                actualRunEnd: runEnd,
                 paused: true,
-                pauseStart: windowEnd,
-                pauseEnd: nextWindowStart,
-                workDoneBeforePause: workDoneInWindow,
-                remainingWork: remainingWork
+                pauseStart: offPeriods[0].start,
+                pauseEnd: offPeriods[0].end,
+                offShiftMinutes: offShiftMinutes
             };
         }
         
@@ -1447,8 +2206,8 @@ class FixedUnifiedSchedulingEngine {
             priority -= 50; // Boost afternoon shift operators
         }
         
-        // Factor 4: Operator rotation (A=0, B=1, C=2, D=3)
-        const operatorRotation = ['A', 'B', 'C', 'D'].indexOf(operator);
+        // Factor 4: Operator rotation (roster order: A=0, B=1, C=2, D=3)
+        const operatorRotation = this.allPersons.indexOf(operator);
         priority += operatorRotation * 10;
         
         return Math.round(priority);
@@ -1482,7 +2241,8 @@ class FixedUnifiedSchedulingEngine {
 
     // Get the earliest time when a machine is completely free
     getEarliestFreeTime(machine) {
-        const intervals = this.machineSchedule[machine] || [];
+        // Pinned bookings sit at fixed times; getPinnedConflict() schedules around them instead
+        const intervals = (this.machineSchedule[machine] || []).filter(interval => !interval.pinned);
         if (intervals.length === 0) {
             return this.getEffectiveStartTime(); // Available at global start time
         }
@@ -1500,12 +2260,15 @@ class FixedUnifiedSchedulingEngine {
     }
 
     // Reserve a machine for a specific time window
-    reserveMachine(machine, startTime, endTime) {
+    // job ({ partNumber, operationSeq }) is what the machine is set up for afterwards, used by getChangeover()
+    reserveMachine(machine, startTime, endTime, pinned = false, job = null) {
         if (!this.machineSchedule[machine]) {
             this.machineSchedule[machine] = [];
         }
         
         const reservation = { start: new Date(startTime), end: new Date(endTime) };
+        if (pinned) reservation.pinned = true;
+        if (job) reservation.job = job;
         this.machineSchedule[machine].push(reservation);
         
         // Sort intervals by start time for easier debugging
@@ -1517,6 +2280,260 @@ class FixedUnifiedSchedulingEngine {
         this.validateMachineSchedule(machine);
     }
 
+    // First pinned booking on the machine that overlaps [start, end), or null
+    getPinnedConflict(machine, start, end) {
+        return (this.machineSchedule[machine] || []).find(interval =>
+            interval.pinned && start < interval.end && interval.start < end
+        ) || null;
+    }
+
+    /**
+     * Batches for an order, shared by scheduleOrder() and reservePinnedOperations() so pins line up with batch IDs.
+     * orderData.batches ([{ batchId, quantity }]) keeps the batches of an earlier plan when rescheduling.
+     */
+    getOrderBatches(orderData) {
+        if (Array.isArray(orderData.batches) && orderData.batches.length > 0) {
+            return orderData.batches.map(batch => ({ batchId: batch.batchId, quantity: batch.quantity }));
+        }
+        const operations = orderData.operations || [];
+        const minBatchSize = (operations[0] && operations[0].Minimum_BatchSize) || 100; // Default minimum batch size
+        Logger.log(`[BATCH-SPLITTING] Total Qty: ${orderData.quantity}, Min Batch Size: ${minBatchSize}`);
+        return this.calculateBatchSplitting(orderData.quantity, minBatchSize, orderData.priority, orderData.dueDate, orderData.startDateTime, orderData.batchMode, orderData.customBatchSize);
+    }
+
+    /**
+     * Reserve every pinned operation before anything else is scheduled, so all other work is planned around them.
+     * Pins come from orderData.pins: [{ batchId, operationSeq, machine, person, setupStart }].
+     * Pins to unknown batches/operations are ignored with an alert. A pin to an ineligible machine, one that
+     * overlaps another pin, or one whose setup has no free operator on shift is rejected: the order's other
+     * pins are released and scheduleOrder() fails the order instead of planning it around the bad pin.
+     * A reschedule adds pins with a shopState: 'done' (actual setupStart/setupEnd/runStart/runEnd),
+     * 'in_progress' (actual times so far plus remainingQuantity, finished from globalSettings.asOf) or
+     * 'frozen' (planned, inside the frozen window). Done and in-progress work already happened, so it is
+     * booked even when the machine is no longer eligible or overlaps another booking.
+     */
+    reservePinnedOperations(orders, alerts = []) {
+        orders.forEach(orderData => {
+            const pins = Array.isArray(orderData.pins) ? orderData.pins : [];
+            if (pins.length === 0) return;
+
+            const batches = this.getOrderBatches(orderData);
+            const pinnedByKey = {};
+            const rejected = [];
+            // Bookings before this order's pins, put back when one of them is rejected
+            const machineSchedule = this.copySchedule(this.machineSchedule);
+            const operatorSchedule = this.copySchedule(this.operatorSchedule);
+            const reject = (label, reason) => {
+                alerts.push(`❌ Pin rejected for ${label}: ${reason}`);
+                rejected.push(`${label}: ${reason}`);
+            };
+
+            pins.forEach(pin => {
+                const label = `${orderData.partNumber} ${pin.batchId} Op${pin.operationSeq}`;
+                const batch = batches.find(b => b.batchId === pin.batchId);
+                const operation = (orderData.operations || []).find(op => Number(op.OperationSeq) === Number(pin.operationSeq));
+                const setupStart = pin.setupStart instanceof Date ? new Date(pin.setupStart) : this.parseDateTime(pin.setupStart);
+
+                if (!batch || !operation) {
+                    alerts.push(`❌ Pin ignored for ${label}: batch or operation no longer exists`);
+                    return;
+                }
+                if (!setupStart || isNaN(setupStart.getTime())) {
+                    alerts.push(`❌ Pin ignored for ${label}: invalid setup start "${pin.setupStart}"`);
+                    return;
+                }
+                const isFact = pin.shopState === 'done' || pin.shopState === 'in_progress';
+                if (!isFact && !this.resolveEligibleMachines(operation.EligibleMachines).includes(pin.machine)) {
+                    reject(label, `${pin.machine} is not an eligible machine (${operation.EligibleMachines})`);
+                    return;
+                }
+
+                const quantity = pin.quantity || this.getOperationQuantity(orderData, batch, operation);
+                const blockedPeriods = this.getBlockedPeriods(orderData, pin.machine);
+                const machineOperation = this.getMachineOperation(operation, pin.machine);
+                const timing = isFact
+                    ? this.getShopStateTiming(pin, machineOperation, setupStart, blockedPeriods)
+                    : this.getPinnedTiming(machineOperation, quantity, setupStart, blockedPeriods);
+
+                if (this.hasConflict(pin.machine, { start: setupStart, end: timing.runEnd })) {
+                    if (!isFact) {
+                        reject(label, `overlaps another pinned operation on ${pin.machine}`);
+                        return;
+                    }
+                    alerts.push(`⚠️ ${label} on ${pin.machine} overlaps another booking in the recorded shop state`);
+                }
+
+                // The setup needs an operator on shift and not already booked, as for any other operation;
+                // without a person of its own the pin gets a free one, a qualified one when there is one
+                const hasSetup = timing.setupEnd > setupStart;
+                const isFree = operator => !hasSetup || (this.isOperatorOnShift(operator, setupStart, timing.setupEnd) &&
+                    !this.hasOperatorConflict(operator, setupStart, timing.setupEnd));
+                const onShift = this.getOperatorsOnShift(setupStart, timing.setupEnd);
+                const free = onShift.filter(isFree);
+                let person;
+                if (this.allPersons.includes(pin.person)) {
+                    person = pin.person;
+                    if (!isFact && !isFree(person)) {
+                        reject(label, `${person} is ${this.isOperatorOnShift(person, setupStart, timing.setupEnd) ? 'already booked' : 'off shift'} for the setup at ${this.formatDateTime(setupStart)}`);
+                        return;
+                    }
+                } else {
+                    person = free.find(operator => this.isOperatorQualified(operator, operation, pin.machine)) ||
+                        (isFact ? (free[0] || onShift[0] || this.allPersons[0]) : null);
+                    if (!person) {
+                        reject(label, `no ${free.length > 0 ? 'qualified ' : ''}operator is free on shift for the setup at ${this.formatDateTime(setupStart)}`);
+                        return;
+                    }
+                }
+                if (!isFact && hasSetup && !this.isOperatorQualified(person, operation, pin.machine)) {
+                    alerts.push(`⚠️ Pinned ${label}: ${person} is not qualified for ${this.describeQualification(operation, pin.machine)}`);
+                }
+
+                this.reserveMachine(pin.machine, setupStart, timing.runEnd, true, {
+                    partNumber: orderData.partNumber,
+                    operationSeq: operation.OperationSeq
+                });
+                // Pinned setups are booked as-is; reserveOperator() would move them to resolve conflicts
+                this.operatorSchedule[person] = (this.operatorSchedule[person] || [])
+                    .concat({ start: setupStart, end: timing.setupEnd, pinned: true })
+                    .sort((a, b) => a.start.getTime() - b.start.getTime());
+
+                pinnedByKey[`${pin.batchId}|${operation.OperationSeq}`] = {
+                    machine: pin.machine,
+                    person,
+                    setupStart,
+                    ...timing,
+                    quantity,
+                    shopState: pin.shopState || null
+                };
+                Logger.log(`[PINNED] ${label} fixed on ${pin.machine} (${person}) ${setupStart.toISOString()} → ${timing.runEnd.toISOString()}${pin.shopState ? ` [${pin.shopState}]` : ''}`);
+            });
+
+            if (rejected.length > 0) {
+                this.machineSchedule = machineSchedule;
+                this.operatorSchedule = operatorSchedule;
+                this.rejectedPins.set(orderData, rejected);
+                return;
+            }
+            this.pinnedOperations.set(orderData, pinnedByKey);
+        });
+    }
+
+    // Copy of a machine or operator schedule whose interval lists can be put back as they were
+    copySchedule(schedule) {
+        return Object.fromEntries(Object.entries(schedule).map(([key, intervals]) => [key, intervals.slice()]));
+    }
+
+    /**
+     * Planned times of a pinned operation starting at setupStart
+     */
+    getPinnedTiming(operation, quantity, setupStart, blockedPeriods) {
+        const setupSpan = this.advanceWorkingTime(setupStart, operation.SetupTime_Min || 0, blockedPeriods);
+        const runSpan = this.advanceRunTime(setupSpan.end, (operation.CycleTime_Min || 0) * quantity, blockedPeriods);
+        return {
+            setupEnd: setupSpan.end,
+            runStart: setupSpan.end,
+            runEnd: runSpan.end,
+            firstPieceDone: this.advanceRunTime(setupSpan.end, operation.CycleTime_Min || 0, blockedPeriods).end,
+            workMinutes: (operation.SetupTime_Min || 0) + (operation.CycleTime_Min || 0) * quantity,
+            holidayMinutes: setupSpan.pausedMinutes + runSpan.pausedMinutes,
+            breakdownMinutes: setupSpan.breakdownPausedMinutes + runSpan.breakdownPausedMinutes
+        };
+    }
+
+    /**
+     * Times of work recorded on the shop floor: actual times where known, the rest estimated from
+     * globalSettings.asOf (a setup still going ends after its setup time; a run still going ends
+     * after its remaining pieces)
+     */
+    getShopStateTiming(pin, operation, setupStart, blockedPeriods) {
+        const parse = value => value ? (value instanceof Date ? new Date(value) : this.parseDateTime(value)) : null;
+        const asOf = parse(this.globalSettings.asOf) || this.getEffectiveStartTime();
+        const later = (a, b) => new Date(Math.max(a.getTime(), b.getTime()));
+
+        let setupEnd = parse(pin.setupEnd);
+        let holidayMinutes = 0;
+        let breakdownMinutes = 0;
+        if (!setupEnd) {
+            const setupSpan = this.advanceWorkingTime(setupStart, operation.SetupTime_Min || 0, blockedPeriods);
+            setupEnd = later(setupSpan.end, asOf);
+            holidayMinutes += setupSpan.pausedMinutes;
+            breakdownMinutes += setupSpan.breakdownPausedMinutes;
+        }
+        const runStart = parse(pin.runStart) || setupEnd;
+
+        let runEnd = parse(pin.runEnd);
+        if (!runEnd) {
+            const runSpan = this.advanceRunTime(later(runStart, asOf), (operation.CycleTime_Min || 0) * (pin.remainingQuantity || 0), blockedPeriods);
+            runEnd = runSpan.end;
+            holidayMinutes += runSpan.pausedMinutes;
+            breakdownMinutes += runSpan.breakdownPausedMinutes;
+        }
+
+        const firstPiece = this.advanceRunTime(runStart, operation.CycleTime_Min || 0, blockedPeriods).end;
+        return {
+            setupEnd,
+            runStart,
+            runEnd,
+            firstPieceDone: firstPiece < runEnd ? firstPiece : runEnd,
+            workMinutes: (runEnd.getTime() - setupStart.getTime()) / 60000 - holidayMinutes - breakdownMinutes,
+            holidayMinutes,
+            breakdownMinutes
+        };
+    }
+
+    /**
+     * Pieces an operation of a batch has to run: the batch quantity, or less when earlier operations
+     * scrapped pieces (orderData.operationQuantities { "Batch_ID|OperationSeq": quantity } from a reschedule)
+     */
+    getOperationQuantity(orderData, batch, operation) {
+        const quantities = orderData.operationQuantities || {};
+        const quantity = quantities[`${batch.batchId}|${operation.OperationSeq}`];
+        return quantity !== undefined ? quantity : batch.quantity;
+    }
+
+    getPinnedOperation(orderData, batchId, operationSeq) {
+        const pinnedByKey = this.pinnedOperations.get(orderData);
+        return pinnedByKey ? pinnedByKey[`${batchId}|${operationSeq}`] || null : null;
+    }
+
+    // Result for a pinned operation, in the same shape scheduleOperation() returns
+    buildPinnedResult(pinned, operation, orderData, batch, previousSequenceFirstPieceDone, alerts = []) {
+        if (previousSequenceFirstPieceDone && pinned.setupStart < previousSequenceFirstPieceDone) {
+            alerts.push(`⚠️ Pinned ${FixedUnifiedSchedulingEngine.orderLabel(orderData)} ${batch.batchId} Op${operation.OperationSeq} starts before the previous operation's first piece is done (${this.formatDateTime(previousSequenceFirstPieceDone)})`);
+        }
+
+        const machineOperation = this.getMachineOperation(operation, pinned.machine);
+        return {
+            OperationSeq: operation.OperationSeq,
+            OperationName: operation.OperationName,
+            Machine: pinned.machine,
+            Person: pinned.person,
+            SetupStart: pinned.setupStart,
+            SetupEnd: pinned.setupEnd,
+            RunStart: pinned.runStart,
+            RunEnd: pinned.runEnd,
+            actualSetupEnd: pinned.setupEnd,
+            actualRunEnd: pinned.runEnd,
+            firstPieceDone: pinned.firstPieceDone,
+            SetupTime_Min: machineOperation.SetupTime_Min || 0,
+            CycleTime_Min: machineOperation.CycleTime_Min || 0,
+            EligibleMachines: FixedUnifiedSchedulingEngine.eligibility().format(operation.EligibleMachines || ''),
+            Batch_Qty: pinned.quantity,
+            HolidayPaused_Min: Math.round(pinned.holidayMinutes),
+            BreakdownPaused_Min: Math.round(pinned.breakdownMinutes),
+            Pinned: true,
+            ShopState: pinned.shopState,
+            Timing: this.formatDurationBreakdown(
+                pinned.setupStart,
+                pinned.runEnd,
+                pinned.workMinutes,
+                pinned.holidayMinutes,
+                pinned.breakdownMinutes
+            )
+        };
+    }
+
     // Validate that a machine has no overlapping bookings (defensive check)
     validateMachineSchedule(machine) {
         const intervals = this.machineSchedule[machine] || [];
@@ -1539,26 +2556,20 @@ class FixedUnifiedSchedulingEngine {
 
     calculatePreliminaryTiming(operation, orderData, batchQty, person, earliestStartTime) {
         // Use the provided earliest start time (which includes sequential dependencies)
-        let setupStartTime = new Date(earliestStartTime);
-
-        // Apply setup window constraints
-        setupStartTime = this.enforceSetupWindow(setupStartTime, orderData);
-
-        // Calculate setup end
+        // Apply setup window constraints and holiday pauses
         const setupDuration = operation.SetupTime_Min || 0;
-        let setupEndTime = new Date(setupStartTime.getTime() + setupDuration * 60000);
-
-        // Validate setup fits within window
-        setupEndTime = this.validateSetupWithinWindow(setupStartTime, setupEndTime, orderData);
+        const setupInterval = this.scheduleSetupInterval(new Date(earliestStartTime), setupDuration, orderData);
+        const setupStartTime = setupInterval.setupStart;
+        const setupEndTime = setupInterval.setupEnd;
 
         // CRITICAL FIX: Calculate timing without machine-specific constraints
         // This gives us the theoretical minimum time needed, regardless of machine availability
         const cycleTime = operation.CycleTime_Min || 0;
         const runStart = new Date(setupEndTime);
-        
-        // Calculate theoretical run end (continuous processing, no machine pauses)
+
+        // Calculate theoretical run end (continuous processing, paused only for holidays)
         const totalProcessingTime = batchQty * cycleTime; // minutes
-        const runEnd = new Date(runStart.getTime() + totalProcessingTime * 60000);
+        const runEnd = this.advanceRunTime(runStart, totalProcessingTime, this.getHolidayPeriodsForOrder(orderData)).end;
 
         return {
             setupStart: setupStartTime,
@@ -1581,7 +2592,18 @@ class FixedUnifiedSchedulingEngine {
         if (isNaN(earliestStartTime.getTime())) {
             throw new Error(`EarliestStartTime is invalid: ${earliestStartTime}`);
         }
+
+        // MACHINE-SPECIFIC TIMES: the machine's own cycle/setup time from its EligibleMachines entry
+        operation = this.getMachineOperation(operation, machine);
         
+        // SETUP MATRIX: the setup depends on what the machine ran last before this operation can start on it
+        const { minutes: setupMinutes, changeover } = this.getChangeover(
+            operation,
+            orderData,
+            machine,
+            new Date(Math.max(earliestStartTime.getTime(), this.getEarliestFreeTime(machine).getTime()))
+        );
+
         // ENHANCED PIECE-FLOW LOGIC: Allow parallel processing when possible
         let setupStartTime = earliestStartTime;
         
@@ -1601,8 +2623,7 @@ class FixedUnifiedSchedulingEngine {
             
             if (pieceFlowDelay > 0) {
                 // Check if we can start setup earlier (setup can happen while previous operation is running)
-                const setupDuration = operation.SetupTime_Min || 0;
-                const setupEndTime = new Date(setupStartTime.getTime() + setupDuration * 60000);
+                const setupEndTime = new Date(setupStartTime.getTime() + setupMinutes * 60000);
                 
                 // If setup can complete before first piece is ready, allow early start
                 if (setupEndTime <= firstPieceReadyTime) {
@@ -1624,15 +2645,13 @@ class FixedUnifiedSchedulingEngine {
         
         Logger.log(`[PIECE-LEVEL] Setup timing: machine free at ${machineEarliestFree.toISOString()}, piece-flow trigger ${earliestStartTime.toISOString()}, chosen: ${setupStartTime.toISOString()}`);
 
-        // Apply setup window constraints
-        setupStartTime = this.enforceSetupWindow(setupStartTime, orderData);
-
-        // Calculate setup end
-        const setupDuration = operation.SetupTime_Min || 0;
-        let setupEndTime = new Date(setupStartTime.getTime() + setupDuration * 60000);
-
-        // Validate setup fits within window
-        setupEndTime = this.validateSetupWithinWindow(setupStartTime, setupEndTime, orderData);
+        // Apply setup window constraints; setups pause across holidays and machine breakdowns
+        const setupInterval = this.scheduleSetupInterval(setupStartTime, setupMinutes, orderData, machine);
+        setupStartTime = setupInterval.setupStart;
+        const setupEndTime = setupInterval.setupEnd;
+        const blockedPeriods = this.getBlockedPeriods(orderData, machine);
+        let runPausedMinutes = 0;
+        let runBreakdownPausedMinutes = 0;
 
         // USER'S EXACT PIECE-LEVEL ALGORITHM
         const cycleTime = operation.CycleTime_Min || 0;
@@ -1666,8 +2685,12 @@ class FixedUnifiedSchedulingEngine {
                 Logger.log(`[PIECE-FLOW] Piece ${pieceIndex + 1}: Starting immediately at machine time ${currentMachineTime.toISOString()}`);
             }
             
-            // Calculate when this piece completes
-            const pieceEndTime = new Date(pieceStartTime.getTime() + cycleTime * 60000);
+            // Calculate when this piece completes (a piece in progress pauses across holidays,
+            // breakdowns and gaps between production shifts)
+            const pieceWork = this.advanceRunTime(pieceStartTime, cycleTime, blockedPeriods);
+            const pieceEndTime = pieceWork.end;
+            runPausedMinutes += pieceWork.pausedMinutes;
+            runBreakdownPausedMinutes += pieceWork.breakdownPausedMinutes;
             pieceCompletionTimes.push(pieceEndTime);
             
             Logger.log(`[PIECE-FLOW] Piece ${pieceIndex + 1}: ${pieceStartTime.toISOString().substr(11,8)} → ${pieceEndTime.toISOString().substr(11,8)} (${cycleTime}min cycle)`);
@@ -1689,7 +2712,7 @@ class FixedUnifiedSchedulingEngine {
                 Logger.log(`[PIECE-FLOW-CONSTRAINT] Adjusting RunEnd to maintain logical flow`);
                 
                 // Adjust RunEnd to be after previous operation
-                runEndTime = new Date(previousOpEndTime.getTime() + cycleTime * 60000); // Add at least one cycle time
+                runEndTime = this.advanceRunTime(previousOpEndTime, cycleTime, blockedPeriods).end; // Add at least one cycle time
                 
                 // Recalculate piece completion times to maintain consistency
                 const timeAdjustment = runEndTime.getTime() - pieceCompletionTimes[batchQty - 1].getTime();
@@ -1727,34 +2750,41 @@ class FixedUnifiedSchedulingEngine {
             pieceCompletionTimes,
             pieceStartTimes,
             firstPieceDone: pieceCompletionTimes[0],
+            setupMinutes,
+            changeover,
             totalWorkTime: batchQty * cycleTime,
-            totalPausedTime: 0, // No pauses in user's algorithm
+            totalPausedTime: setupInterval.pausedMinutes + runPausedMinutes, // Minutes paused for holidays
+            breakdownPausedTime: setupInterval.breakdownPausedMinutes + runBreakdownPausedMinutes, // Minutes paused for machine breakdowns
             CycleTime_Min: cycleTime,
             Batch_Qty: batchQty
         };
     }
 
-    enforceSetupWindow(time, orderData) {
+    enforceSetupWindow(time, orderData, machine = null) {
+        // Setups cannot start during a holiday or a breakdown of the machine: keep moving
+        // to the period end and re-applying the window until the start lands on a working instant
+        const holidays = this.getBlockedPeriods(orderData, machine);
+        let candidate = this.enforceSetupWindowHours(time, orderData);
+        for (let attempt = 0; attempt < CONFIG.MAX_SETUP_SLOT_ATTEMPTS; attempt++) {
+            const afterHoliday = this.skipBlockedPeriods(candidate, holidays);
+            if (afterHoliday.getTime() === candidate.getTime()) break;
+            Logger.log(`[HOLIDAY] Setup start ${candidate.toISOString()} falls in a blocked period, moved to ${afterHoliday.toISOString()}`);
+            candidate = this.enforceSetupWindowHours(afterHoliday, orderData);
+        }
+        return candidate;
+    }
+
+    enforceSetupWindowHours(time, orderData) {
         const setupWindow = this.parseSetupWindow(
             orderData.setupWindow || this.globalSettings.setupWindow || "06:00-22:00"
         );
-        
-        const hour = time.getHours();
-        
-        // ENHANCED: Better utilization of the full 06:00-22:00 setup window
-        if (hour < setupWindow.start) {
-            // Before window - move to start of window (same day)
-            const newTime = new Date(time);
-            newTime.setHours(setupWindow.start, 0, 0, 0);
-            Logger.log(`[SETUP-WINDOW] Setup moved to window start: ${newTime.toISOString()}`);
+
+        // ENHANCED: Better utilization of the full setup window (overnight windows included)
+        if (!this.getWindowOccurrence(setupWindow, time)) {
+            // Outside window - move to the next window opening
+            const newTime = this.getNextWindowStart(setupWindow, time);
+            Logger.log(`[SETUP-WINDOW] Setup moved to next window start: ${newTime.toISOString()}`);
             return newTime;
-        } else if (hour >= setupWindow.end) {
-            // After window - move to next day window start
-                const newTime = new Date(time);
-                newTime.setDate(newTime.getDate() + 1);
-                newTime.setHours(setupWindow.start, 0, 0, 0);
-            Logger.log(`[SETUP-WINDOW] Setup moved to next day window start: ${newTime.toISOString()}`);
-                return newTime;
         }
         
         // CRITICAL FIX: Remove artificial delay that breaks piece-level flow
@@ -1771,13 +2801,11 @@ class FixedUnifiedSchedulingEngine {
             orderData.setupWindow || this.globalSettings.setupWindow || "06:00-22:00"
         );
         
-        const setupEndHour = setupEnd.getHours();
+        const occurrence = this.getWindowOccurrence(setupWindow, setupStart);
         
-        if (setupEndHour > setupWindow.end || (setupEndHour === setupWindow.end && setupEnd.getMinutes() > 0)) {
-            // Setup would end after window - move entire setup to next day
-            const nextDay = new Date(setupStart);
-            nextDay.setDate(nextDay.getDate() + 1);
-            nextDay.setHours(setupWindow.start, 0, 0, 0);
+        if (occurrence && setupEnd > occurrence.end) {
+            // Setup would end after window - move entire setup to the next window opening
+            const nextDay = this.getNextWindowStart(setupWindow, occurrence.end);
             
             const setupDuration = (setupEnd.getTime() - setupStart.getTime()) / 60000;
             return new Date(nextDay.getTime() + setupDuration * 60000);
@@ -1786,6 +2814,54 @@ class FixedUnifiedSchedulingEngine {
         return new Date(setupEnd);
     }
 
+    /**
+     * Place a setup inside the setup window, pausing across holidays and resuming after them.
+     * If any working part of the setup would fall outside the window, the whole setup moves
+     * to the next window opening.
+     * @param {Date} earliestStart - Earliest allowed setup start
+     * @param {number} setupDurationMin - Setup working minutes
+     * @param {Object} orderData - Order data (setupWindow / holidayRange overrides)
+     * @param {string|null} machine - Machine the setup runs on; its breakdowns also pause the setup
+     * @returns {Object} { setupStart, setupEnd, pausedMinutes, breakdownPausedMinutes }
+     */
+    scheduleSetupInterval(earliestStart, setupDurationMin, orderData, machine = null) {
+        const setupWindow = this.parseSetupWindow(
+            orderData.setupWindow || this.globalSettings.setupWindow || "06:00-22:00"
+        );
+        const holidays = this.getBlockedPeriods(orderData, machine);
+        let setupStart = this.enforceSetupWindow(earliestStart, orderData, machine);
+        let work = this.advanceWorkingTime(setupStart, setupDurationMin, holidays);
+
+        for (let attempt = 0; attempt < CONFIG.MAX_SETUP_SLOT_ATTEMPTS; attempt++) {
+            const outsideWindow = work.segments.some(segment => {
+                const occurrence = this.getWindowOccurrence(setupWindow, segment.start);
+                return !occurrence || segment.end > occurrence.end;
+            });
+            if (!outsideWindow) break;
+
+            const startOccurrence = this.getWindowOccurrence(setupWindow, setupStart);
+            const nextWindowStart = this.getNextWindowStart(setupWindow, startOccurrence ? startOccurrence.end : setupStart);
+            Logger.log(`[SETUP-WINDOW] Setup ${setupStart.toISOString()} → ${work.end.toISOString()} leaves the window, moved to ${nextWindowStart.toISOString()}`);
+            setupStart = this.enforceSetupWindow(nextWindowStart, orderData, machine);
+            work = this.advanceWorkingTime(setupStart, setupDurationMin, holidays);
+        }
+
+        if (work.pausedMinutes > 0) {
+            Logger.log(`[HOLIDAY] Setup paused ${this.formatDuration(work.pausedMinutes)} for holidays, resumes and ends at ${work.end.toISOString()}`);
+        }
+
+        if (work.breakdownPausedMinutes > 0) {
+            Logger.log(`[BREAKDOWN] Setup on ${machine} paused ${this.formatDuration(work.breakdownPausedMinutes)} for breakdowns, ends at ${work.end.toISOString()}`);
+        }
+
+        return {
+            setupStart: setupStart,
+            setupEnd: work.end,
+            pausedMinutes: work.pausedMinutes,
+            breakdownPausedMinutes: work.breakdownPausedMinutes
+        };
+    }
+
     parseSetupWindow(windowString) {
         if (!windowString) return { start: 6, end: 22 };
         
@@ -1797,18 +2873,9 @@ class FixedUnifiedSchedulingEngine {
             };
         }
         
-        // Handle string format: "06:00-22:00"
+        // Handle string format: "06:00-22:00" (an end before the start runs overnight)
         if (typeof windowString === 'string') {
-        const [start, end] = windowString.split('-');
-        if (!start || !end) return { start: 6, end: 22 };
-        
-        const startHour = parseInt(start.split(':')[0]);
-        const endHour = parseInt(end.split(':')[0]);
-        
-        return {
-            start: isNaN(startHour) ? 6 : startHour,
-            end: isNaN(endHour) ? 22 : endHour
-        };
+            return this.parseShiftRange(windowString) || { start: 6, end: 22 };
         }
         
         // Fallback
@@ -1816,19 +2883,18 @@ class FixedUnifiedSchedulingEngine {
     }
 
     formatDuration(minutes) {
-        if (minutes < 60) {
-            return `${Math.round(minutes)}M`;
-        }
-        
-        const totalMinutes = Math.round(minutes);
-        const days = Math.floor(totalMinutes / (24 * 60));
-        const hours = Math.floor((totalMinutes % (24 * 60)) / 60);
-        const mins = totalMinutes % 60;
+        // Cycle and setup times can be fractional minutes, so work in whole seconds
+        const totalSeconds = Math.round(minutes * 60);
+        const days = Math.floor(totalSeconds / 86400);
+        const hours = Math.floor((totalSeconds % 86400) / 3600);
+        const mins = Math.floor((totalSeconds % 3600) / 60);
+        const secs = totalSeconds % 60;
         
         let result = '';
         if (days > 0) result += `${days}D `;
         if (hours > 0) result += `${hours}H `;
-        if (mins > 0) result += `${mins}M`;
+        if (mins > 0) result += `${mins}M `;
+        if (secs > 0) result += `${secs}S`;
         
         return result.trim() || '0M';
     }
@@ -1839,23 +2905,26 @@ class FixedUnifiedSchedulingEngine {
      * @param {Date} runEnd - End time of run
      * @param {number} workMinutes - Actual work minutes logged
      * @param {number} holidayMinutes - Holiday/non-productive minutes
+     * @param {number} breakdownMinutes - Minutes paused for machine breakdowns
      * @returns {string} Formatted duration breakdown
      */
-    formatDurationBreakdown(setupStart, runEnd, workMinutes = 0, holidayMinutes = 0) {
+    formatDurationBreakdown(setupStart, runEnd, workMinutes = 0, holidayMinutes = 0, breakdownMinutes = 0) {
         // Calculate total elapsed time in minutes
         const totalMs = runEnd.getTime() - setupStart.getTime();
-        const totalMinutes = Math.floor(totalMs / (1000 * 60));
+        const totalSeconds = Math.floor(totalMs / 1000);
         
-        // Break into Days, Hours, Minutes
-        const days = Math.floor(totalMinutes / 1440); // 24 * 60
-        const hours = Math.floor((totalMinutes % 1440) / 60);
-        const minutes = totalMinutes % 60;
+        // Break into Days, Hours, Minutes (and Seconds for sub-minute cycle times)
+        const days = Math.floor(totalSeconds / 86400); // 24 * 60 * 60
+        const hours = Math.floor((totalSeconds % 86400) / 3600);
+        const minutes = Math.floor((totalSeconds % 3600) / 60);
+        const seconds = totalSeconds % 60;
         
         // Format total duration - ALWAYS show XD YH ZM format
         let totalDuration = '';
         if (days > 0) totalDuration += `${days}D `;
         if (hours > 0) totalDuration += `${hours}H `;
-        if (minutes > 0) totalDuration += `${minutes}M`;
+        if (minutes > 0) totalDuration += `${minutes}M `;
+        if (seconds > 0) totalDuration += `${seconds}S`;
         
         // Ensure we always have at least one component
         if (!totalDuration.trim()) {
@@ -1866,9 +2935,56 @@ class FixedUnifiedSchedulingEngine {
         
         // For the desired output format, we want clean XD YH ZM without work breakdown
         // This matches the exact format: "3D 4H 10M"
+        // Pauses are appended only when present: "3D 4H 10M (⏸ 1D holiday, 2H breakdown)"
+        const formatPause = (pauseMinutes) => {
+            const pausedTotal = Math.round(pauseMinutes);
+            let paused = '';
+            if (pausedTotal >= 1440) paused += `${Math.floor(pausedTotal / 1440)}D `;
+            if (pausedTotal % 1440 >= 60) paused += `${Math.floor((pausedTotal % 1440) / 60)}H `;
+            if (pausedTotal % 60 > 0) paused += `${pausedTotal % 60}M`;
+            return paused.trim();
+        };
+        const pauses = [];
+        if (Math.round(holidayMinutes) > 0) pauses.push(`${formatPause(holidayMinutes)} holiday`);
+        if (Math.round(breakdownMinutes) > 0) pauses.push(`${formatPause(breakdownMinutes)} breakdown`);
+        if (pauses.length > 0) {
+            totalDuration += ` (⏸ ${pauses.join(', ')})`;
+        }
+        
         return totalDuration;
     }
 
+    /**
+     * Machine/operator lanes and blocked periods for the Gantt chart.
+     * Dates are ISO strings so the result can be stored and sent as JSON.
+     * @returns {Object} { machines: {name: [{start, end}]}, operators: {...}, holidays: [...], breakdowns: {machine: [...]} }
+     */
+    getTimelineData() {
+        const toIntervals = intervals => (intervals || []).map(interval => ({
+            start: interval.start.toISOString(),
+            end: interval.end.toISOString(),
+            ...(interval.reason ? { reason: interval.reason } : {})
+        }));
+        const lanes = (names, schedule) => {
+            const result = {};
+            [...names, ...Object.keys(schedule).filter(name => !names.includes(name))]
+                .forEach(name => { result[name] = toIntervals(schedule[name]); });
+            return result;
+        };
+
+        const breakdowns = {};
+        Object.keys(this.globalBreakdownPeriods || {}).forEach(machine => {
+            breakdowns[machine] = toIntervals(this.globalBreakdownPeriods[machine]);
+        });
+
+        return {
+            machines: lanes(this.allMachines, this.machineSchedule),
+            operators: lanes(this.allPersons, this.operatorSchedule),
+            holidays: toIntervals(this.globalHolidayPeriods),
+            breakdowns: breakdowns
+        };
+    }
+
     formatDateTime(date) {
         if (!date || !(date instanceof Date)) return 'Invalid Date';
         
@@ -1877,7 +2993,12 @@ class FixedUnifiedSchedulingEngine {
         const day = String(date.getDate()).padStart(2, '0');
         const hours = String(date.getHours()).padStart(2, '0');
         const minutes = String(date.getMinutes()).padStart(2, '0');
+        const seconds = date.getSeconds();
         
+        // Seconds only appear when sub-minute setup/cycle times make them non-zero
+        if (seconds > 0) {
+            return `${year}-${month}-${day} ${hours}:${minutes}:${String(seconds).padStart(2, '0')}`;
+        }
         return `${year}-${month}-${day} ${hours}:${minutes}`;
     }
 
@@ -1907,35 +3028,12 @@ class FixedUnifiedSchedulingEngine {
             return false;
         }
         
-        const startHour = setupStart.getHours();
-        const endHour = setupEnd.getHours();
-        
-        // ULTRA-AGGRESSIVE: Enhanced shift validation with comprehensive boundary checking
-        // Check if entire setup interval falls within operator's shift
-        // Allow setups that end exactly at shift boundary
-        // CRITICAL FIX: Handle cross-day scenarios properly
+        // Entire setup interval must fall within one occurrence of the operator's shift
+        // (setups may end exactly at the shift boundary; overnight shifts cross midnight)
+        const occurrence = this.getWindowOccurrence(shift, setupStart);
+        const isOnShift = !!occurrence && setupEnd <= occurrence.end;
         
-        let isOnShift = false;
-        
-        // Check for same-day setups
-        if (startHour >= shift.start && endHour <= shift.end) {
-            isOnShift = true;
-        }
-        
-        // Additional check for cross-day scenarios (setup starts before midnight, ends after)
-        if (!isOnShift && startHour >= shift.start && endHour > 24) {
-            // This is a cross-day setup, check if it's still within the same shift
-            const adjustedEndHour = endHour - 24; // Convert to next day hour
-            isOnShift = adjustedEndHour <= shift.end;
-        }
-        
-        // Additional check for setups that start late and end early next day
-        if (!isOnShift && startHour >= shift.start && endHour < startHour) {
-            // Setup crosses midnight but ends early next day
-            isOnShift = true; // Assume it's within shift if it starts within shift
-        }
-        
-        Logger.log(`[SHIFT-CHECK] ${operator} shift: ${shift.start}:00-${shift.end}:00, setup: ${startHour}:${setupStart.getMinutes().toString().padStart(2, '0')}-${endHour}:${setupEnd.getMinutes().toString().padStart(2, '0')}, onShift: ${isOnShift}`);
+        Logger.log(`[SHIFT-CHECK] ${operator} shift: ${this.formatHour(shift.start)}-${this.formatHour(shift.end)}, setup: ${setupStart.toISOString()}-${setupEnd.toISOString()}, onShift: ${isOnShift}`);
         
         return isOnShift;
     }
@@ -1954,30 +3052,7 @@ class FixedUnifiedSchedulingEngine {
     }
     
     getNextShiftStart(currentTime) {
-        const currentHour = currentTime.getHours();
-        
-        // Determine which shift we're currently in and get the next one
-        if (currentHour >= 6 && currentHour < 14) {
-            // Currently in morning shift (6-14), next is afternoon shift (14-22)
-            const nextShiftStart = new Date(currentTime);
-            nextShiftStart.setHours(14, 0, 0, 0);
-            return nextShiftStart;
-        } else if (currentHour >= 14 && currentHour < 22) {
-            // Currently in afternoon shift (14-22), next is morning shift next day (6-14)
-            const nextShiftStart = new Date(currentTime);
-            nextShiftStart.setDate(nextShiftStart.getDate() + 1);
-            nextShiftStart.setHours(6, 0, 0, 0);
-            return nextShiftStart;
-        } else {
-            // Currently in night hours (22-6), next is morning shift (6-14)
-            const nextShiftStart = new Date(currentTime);
-            if (currentHour >= 22) {
-                // After 22:00, next shift is tomorrow morning
-                nextShiftStart.setDate(nextShiftStart.getDate() + 1);
-            }
-            nextShiftStart.setHours(6, 0, 0, 0);
-            return nextShiftStart;
-        }
+        return this.getNextValidShiftStart(currentTime);
     }
     
     hasOperatorConflict(operator, setupStart, setupEnd) {
@@ -2111,7 +3186,9 @@ class FixedUnifiedSchedulingEngine {
             
             Logger.log(`[PIECE-FLOW-CHECK] Op${currentOp.OperationSeq}: SetupStart ${currentSetupStart.toISOString()}, PrevOp${prevOp.OperationSeq} FirstPieceDone ${prevOpFirstPieceDone.toISOString()}`);
             
-            if (currentSetupStart < prevOpFirstPieceDone) {
+            if (currentOp.Pinned) {
+                Logger.log(`[PIECE-FLOW-CHECK] Op${currentOp.OperationSeq} is pinned, not adjusted`);
+            } else if (currentSetupStart < prevOpFirstPieceDone) {
                 const violationMinutes = Math.ceil((prevOpFirstPieceDone.getTime() - currentSetupStart.getTime()) / (1000 * 60));
                 Logger.log(`[PIECE-FLOW-VIOLATION] Op${currentOp.OperationSeq} SetupStart ${violationMinutes}min too early! Must be >= ${prevOpFirstPieceDone.toISOString()}`);
                 
@@ -2144,13 +3221,18 @@ class FixedUnifiedSchedulingEngine {
         // Calculate new timing
         const originalSetupStart = new Date(operation.SetupStart);
         const setupDuration = operation.SetupTime_Min || 0;
-        const newSetupEnd = new Date(requiredSetupStart.getTime() + setupDuration * 60000);
+        const holidayPeriods = this.getBlockedPeriods(null, operation.Machine);
+        const setupSpan = this.advanceWorkingTime(requiredSetupStart, setupDuration, holidayPeriods);
+        const newSetupEnd = setupSpan.end;
         
         // Calculate new run timing
         const cycleTime = operation.CycleTime_Min || 0;
         const batchQty = operation.Batch_Qty || 1;
         const newRunStart = newSetupEnd;
-        const newRunEnd = new Date(newRunStart.getTime() + (cycleTime * batchQty) * 60000);
+        const runSpan = this.advanceRunTime(newRunStart, cycleTime * batchQty, holidayPeriods);
+        const newRunEnd = runSpan.end;
+        operation.HolidayPaused_Min = Math.round(setupSpan.pausedMinutes + runSpan.pausedMinutes);
+        operation.BreakdownPaused_Min = Math.round(setupSpan.breakdownPausedMinutes + runSpan.breakdownPausedMinutes);
         
         // Update the operation result
         operation.SetupStart = requiredSetupStart.toISOString();
@@ -2159,16 +3241,15 @@ class FixedUnifiedSchedulingEngine {
         operation.RunEnd = newRunEnd.toISOString();
         
         // Update timing description
-        const totalElapsed = newRunEnd.getTime() - requiredSetupStart.getTime();
-        const totalMinutes = Math.floor(totalElapsed / (1000 * 60));
         const workMinutes = setupDuration + (cycleTime * batchQty);
-        const pausedMinutes = Math.max(0, totalMinutes - workMinutes);
+        const pausedMinutes = operation.HolidayPaused_Min;
         
         operation.Timing = this.formatDurationBreakdown(
             requiredSetupStart,
             newRunEnd,
             workMinutes,
-            pausedMinutes
+            pausedMinutes,
+            operation.BreakdownPaused_Min
         );
         
         Logger.log(`[ADJUST] Op${operation.OperationSeq} new timing: Setup ${requiredSetupStart.toISOString()} → ${newSetupEnd.toISOString()}, Run ${newRunStart.toISOString()} → ${newRunEnd.toISOString()}`);
@@ -2243,6 +3324,8 @@ class FixedUnifiedSchedulingEngine {
             if (!operatorIntervals[operator]) {
                 operatorIntervals[operator] = [];
             }
+            // A changeover with no setup takes none of the operator's time
+            if (new Date(op.SetupEnd) <= new Date(op.SetupStart)) continue;
             
             operatorIntervals[operator].push({
                 start: new Date(op.SetupStart),
@@ -2304,36 +3387,28 @@ class FixedUnifiedSchedulingEngine {
     validateConcurrentSetupCapacity(orderResults) {
         Logger.log(`[VALIDATION] Checking concurrent setup capacity...`);
         
-        // Group operations by shift and check capacity
-        const shifts = [
-            { name: 'morning', start: 6, end: 14, operators: ['A', 'B'] },
-            { name: 'afternoon', start: 14, end: 22, operators: ['C', 'D'] }
-        ];
+        // Check capacity at every setup start: setups active then must not exceed the operators on that shift
+        const shifts = this.getShiftGroups();
         
-        for (const shift of shifts) {
-            const maxConcurrent = shift.operators.length; // Should be 2
+        for (const checkOp of orderResults) {
+            const checkTime = new Date(checkOp.SetupStart);
+            const shift = shifts.find(group => this.getWindowOccurrence(group, checkTime));
+            if (!shift) continue;
+            const maxConcurrent = shift.operators.length; // One setup per operator on shift
             
-            // Check every minute in the shift
-            for (let hour = shift.start; hour < shift.end; hour++) {
-                for (let minute = 0; minute < 60; minute += 5) {
-                    const checkTime = new Date();
-                    checkTime.setHours(hour, minute, 0, 0);
-                    
-                    let activeSetups = 0;
-                    for (const op of orderResults) {
-                        const setupStart = new Date(op.SetupStart);
-                        const setupEnd = new Date(op.SetupEnd);
-                        
-                        if (checkTime >= setupStart && checkTime < setupEnd) {
-                            activeSetups++;
-                        }
-                    }
-                    
-                    if (activeSetups > maxConcurrent) {
-                        throw new Error(`[CONCURRENT-VIOLATION] ${shift.name} shift at ${checkTime.toISOString()}: ${activeSetups} setups active (max: ${maxConcurrent})`);
-                    }
+            let activeSetups = 0;
+            for (const op of orderResults) {
+                const setupStart = new Date(op.SetupStart);
+                const setupEnd = new Date(op.SetupEnd);
+                
+                if (checkTime >= setupStart && checkTime < setupEnd) {
+                    activeSetups++;
                 }
             }
+            
+            if (activeSetups > maxConcurrent) {
+                throw new Error(`[CONCURRENT-VIOLATION] ${shift.name} shift at ${checkTime.toISOString()}: ${activeSetups} setups active (max: ${maxConcurrent})`);
+            }
         }
         
         Logger.log(`[VALIDATION] ✅ Concurrent setup capacity valid`);
@@ -2525,36 +3600,31 @@ class FixedUnifiedSchedulingEngine {
     validateConcurrentSetupLimits() {
         Logger.log(`[VALIDATION] Checking concurrent setup limits per shift...`);
         
-        // Check each shift for concurrent setup violations
-        const shifts = [
-            { name: 'morning', start: 6, end: 14, operators: ['A', 'B'] },
-            { name: 'afternoon', start: 14, end: 22, operators: ['C', 'D'] }
-        ];
+        // Check each shift for concurrent setup violations at every booked setup start
+        const shifts = this.getShiftGroups();
         
         for (const shift of shifts) {
-            const maxConcurrent = shift.operators.length; // Should be 2
-            Logger.log(`[VALIDATION] Checking ${shift.name} shift (${shift.start}:00-${shift.end}:00) - max ${maxConcurrent} concurrent setups`);
-            
-            // Check every minute in the shift for concurrent setup violations
-            for (let hour = shift.start; hour < shift.end; hour++) {
-                for (let minute = 0; minute < 60; minute += 5) { // Check every 5 minutes
-                    const checkTime = new Date();
-                    checkTime.setHours(hour, minute, 0, 0);
-                    
-                    let activeSetups = 0;
-                    for (const operator of shift.operators) {
-                        const intervals = this.operatorSchedule[operator] || [];
-                        for (const interval of intervals) {
-                            if (checkTime >= interval.start && checkTime < interval.end) {
-                                activeSetups++;
-                                break; // Count each operator only once
-                            }
+            const maxConcurrent = shift.operators.length; // One setup per operator on shift
+            Logger.log(`[VALIDATION] Checking ${shift.name} shift (${this.formatHour(shift.start)}-${this.formatHour(shift.end)}) - max ${maxConcurrent} concurrent setups`);
+            
+            const checkTimes = shift.operators
+                .flatMap(operator => (this.operatorSchedule[operator] || []).map(interval => interval.start))
+                .filter(time => this.getWindowOccurrence(shift, time));
+            
+            for (const checkTime of checkTimes) {
+                let activeSetups = 0;
+                for (const operator of shift.operators) {
+                    const intervals = this.operatorSchedule[operator] || [];
+                    for (const interval of intervals) {
+                        if (checkTime >= interval.start && checkTime < interval.end) {
+                            activeSetups++;
+                            break; // Count each operator only once
                         }
                     }
-                    
-                    if (activeSetups > maxConcurrent) {
-                        throw new Error(`[CONCURRENT-SETUP-VIOLATION] ${shift.name} shift at ${checkTime.toISOString()}: ${activeSetups} setups active (max: ${maxConcurrent})`);
-                    }
+                }
+                
+                if (activeSetups > maxConcurrent) {
+                    throw new Error(`[CONCURRENT-SETUP-VIOLATION] ${shift.name} shift at ${checkTime.toISOString()}: ${activeSetups} setups active (max: ${maxConcurrent})`);
                 }
             }
         }
@@ -2573,6 +3643,9 @@ function runScheduling(ordersData, globalSettings = {}) {
         
         const allResults = [];
         const alerts = [];
+        
+        // Pinned operations are booked first; everything else is scheduled around them
+        engine.reservePinnedOperations(ordersData, alerts);
         const originalOrderResults = []; // Store original results for validation
         
         // CRITICAL: Sort by Earliest Due Date (EDD) first, then Priority
@@ -2624,6 +3697,10 @@ function runScheduling(ordersData, globalSettings = {}) {
                 
                 orderResults.forEach(opResult => {
                     allResults.push({
+                        Order_ID: order.id ?? null,
+                        Order_Number: opResult.Order_Number,
+                        Customer: order.customer ?? null,
+                        PO_Number: order.poNumber ?? null,
                         PartNumber: order.partNumber,
                         Order_Quantity: order.quantity,
                         Priority: order.priority,
@@ -2638,9 +3715,20 @@ function runScheduling(ordersData, globalSettings = {}) {
                         RunStart: engine.formatDateTime(opResult.RunStart),
                         RunEnd: engine.formatDateTime(opResult.RunEnd),
                         Timing: opResult.Timing,
+                        HolidayPaused_Min: opResult.HolidayPaused_Min || 0,
+                        BreakdownPaused_Min: opResult.BreakdownPaused_Min || 0,
                         DueDate: order.dueDate,
                         SetupTime_Min: opResult.SetupTime_Min,
-                        CycleTime_Min: opResult.CycleTime_Min
+                        // Why the setup is shorter than the routing's (setup matrix), null for a full setup
+                        Changeover: opResult.Changeover || null,
+                        CycleTime_Min: opResult.CycleTime_Min,
+                        // The routing's eligible machines with their own times and ranks, for the Excel Input sheet
+                        EligibleMachines: opResult.EligibleMachines || '',
+                        // When the next operation of the batch may start (piece-level handoff)
+                        FirstPieceDone: opResult.firstPieceDone ? engine.formatDateTime(opResult.firstPieceDone) : null,
+                        // 'done' / 'in_progress' / 'frozen' when a reschedule kept the operation as it was
+                        ShopState: opResult.ShopState || null,
+                        Locked: !!opResult.Pinned && !opResult.ShopState
                     });
                 });
 
@@ -2651,13 +3739,13 @@ function runScheduling(ordersData, globalSettings = {}) {
                     const due = new Date(order.dueDate);
                     if (completion > due) {
                         const lateHours = Math.ceil((completion.getTime() - due.getTime()) / (1000 * 60 * 60));
-                        alerts.push(`⚠️ ${order.partNumber} may be ${lateHours}h late (due ${order.dueDate})`);
+                        alerts.push(`⚠️ ${FixedUnifiedSchedulingEngine.orderLabel(order)} may be ${lateHours}h late (due ${order.dueDate})`);
                     }
                 }
 
             } catch (error) {
                 Logger.log(`Error processing order ${order.partNumber}: ${error.message}`);
-                alerts.push(`❌ Failed to schedule ${order.partNumber}: ${error.message}`);
+                alerts.push(`❌ Failed to schedule ${FixedUnifiedSchedulingEngine.orderLabel(order)}: ${error.message}`);
             }
         });
 
@@ -2705,17 +3793,16 @@ function runScheduling(ordersData, globalSettings = {}) {
                 const runTime = (result.CycleTime_Min || 0) * (result.Batch_Qty || 0);
                 const workMinutes = setupTime + runTime;
                 
-                // Calculate holiday/non-productive time (total elapsed - work)
-                const totalElapsedMs = runEnd.getTime() - setupStart.getTime();
-                const totalElapsedMinutes = Math.floor(totalElapsedMs / (1000 * 60));
-                const holidayMinutes = Math.max(0, totalElapsedMinutes - workMinutes);
+                // Holiday time the operation was paused for (tracked during timing)
+                const holidayMinutes = result.HolidayPaused_Min || 0;
                 
                 // Add duration breakdown to result
                 result.DurationBreakdown = engine.formatDurationBreakdown(
                     setupStart, 
                     runEnd, 
                     workMinutes, 
-                    holidayMinutes
+                    holidayMinutes,
+                    result.BreakdownPaused_Min || 0
                 );
                 
                 Logger.log(`[DURATION] Op${result.OperationSeq}: ${result.DurationBreakdown}`);
@@ -2725,6 +3812,7 @@ function runScheduling(ordersData, globalSettings = {}) {
         return {
             rows: allResults,
             alerts: alerts,
+            timeline: engine.getTimelineData(),
             summary: {
                 totalOrders: ordersData.length,
                 totalOperations: allResults.length,
@@ -3129,85 +4217,89 @@ function diagnosePN11001Schedule() {
 }
 
 // Global function to process a single order (for UI)
-window.processOrderSingle = function(order) {
-    try {
-        // Use the same data mapping as the main scheduler
-        const ordersData = [{
-            partNumber: order.partNumber,
-            quantity: order.quantity,
-            priority: order.priority,
-            dueDate: order.dueDate,
-            operations: (order.filteredOperations || order.operations).map(op => ({
-                OperationSeq: op.OperationSeq,
-                OperationName: op.OperationName,
-                SetupTime_Min: op.SetupTime_Min,
-                CycleTime_Min: op.CycleTime_Min,
-                EligibleMachines: op.EligibleMachines,
-                Minimum_BatchSize: op.Minimum_BatchSize
-            })),
-            breakdownMachine: order.breakdownMachine,
-            breakdownDateTime: order.breakdownDateTime,
-            startDateTime: order.startDateTime,
-            holidayRange: order.holidayRange,
-            setupWindow: order.setupWindow
-        }];
-
-        // Use the engine's global settings if available, otherwise use defaults
-        const globalSettings = window.SCHEDULING_CONFIG ? {
-            startDate: window.SCHEDULING_CONFIG.startDate || '2025-09-01',
-            startTime: window.SCHEDULING_CONFIG.startTime || '06:00',
-            setupWindow: window.SCHEDULING_CONFIG.setupWindow || "06:00-22:00",
-            breakdownMachines: window.SCHEDULING_CONFIG.breakdownMachines || [],
-            breakdownDateTime: window.SCHEDULING_CONFIG.breakdownDateTime || "",
-            holidays: window.SCHEDULING_CONFIG.holidays || [],
-            productionWindow: window.SCHEDULING_CONFIG.productionWindow || "24x7",
-            shifts: window.SCHEDULING_CONFIG.shifts || {
-                shift1: "06:00-14:00",
-                shift2: "14:00-22:00",
-                shift3: "22:00-06:00"
-            },
-            operatorShifts: window.SCHEDULING_CONFIG.operatorShifts || {
-                'A': { start: 6, end: 14, shift: 'morning' },
-                'B': { start: 6, end: 14, shift: 'morning' },
-                'C': { start: 14, end: 22, shift: 'afternoon' },
-                'D': { start: 14, end: 22, shift: 'afternoon' }
-            }
-        } : {
-            startDateTime: "2025-09-01T06:00:00", // Fallback for testing
-            setupWindow: "06:00-22:00",
-            breakdownMachines: [],
-            breakdownDateTime: "",
-            holidays: [],
-            productionWindow: "24x7",
-            shifts: {
-                shift1: "06:00-14:00",
-                shift2: "14:00-22:00",
-                shift3: "22:00-06:00"
-            },
-            operatorShifts: {
-                'A': { start: 6, end: 14, shift: 'morning' },
-                'B': { start: 6, end: 14, shift: 'morning' },
-                'C': { start: 14, end: 22, shift: 'afternoon' },
-                'D': { start: 14, end: 22, shift: 'afternoon' }
-            }
-        };
+if (typeof window !== 'undefined') {
+    window.processOrderSingle = function(order) {
+        try {
+            // Use the same data mapping as the main scheduler
+            const ordersData = [{
+                id: order.id,
+                orderNumber: order.orderNumber,
+                customer: order.customer,
+                poNumber: order.poNumber,
+                partNumber: order.partNumber,
+                quantity: order.quantity,
+                priority: order.priority,
+                dueDate: order.dueDate,
+                operations: (order.filteredOperations || order.operations).map(op => ({
+                    OperationSeq: op.OperationSeq,
+                    OperationName: op.OperationName,
+                    SetupTime_Min: op.SetupTime_Min,
+                    CycleTime_Min: op.CycleTime_Min,
+                    EligibleMachines: op.EligibleMachines,
+                    Operater: op.Operater ?? op.Operator, // Skill the setup needs
+                    Minimum_BatchSize: op.Minimum_BatchSize
+                })),
+                breakdownMachine: order.breakdownMachine,
+                breakdownDateTime: order.breakdownDateTime,
+                startDateTime: order.startDateTime,
+                holidayRange: order.holidayRange,
+                setupWindow: order.setupWindow,
+                pins: order.pins || []
+            }];
 
-        // Use the x10-browser.js engine for single order processing
-        const result = window.runScheduling(ordersData, globalSettings);
-        return result;
-    } catch (error) {
-        console.error('Single order scheduling error:', error);
-        return {
-            rows: [],
-            alerts: [`Error processing ${order.partNumber}: ${error.message}`],
-            summary: { totalOrders: 0, totalOperations: 0, completedSuccessfully: 0 }
-        };
-    }
-};
+            // Use the engine's global settings if available, otherwise use defaults
+            const globalSettings = window.SCHEDULING_CONFIG ? {
+                startDate: window.SCHEDULING_CONFIG.startDate || '2025-09-01',
+                startTime: window.SCHEDULING_CONFIG.startTime || '06:00',
+                setupWindow: window.SCHEDULING_CONFIG.setupWindow || "06:00-22:00",
+                breakdownMachines: window.SCHEDULING_CONFIG.breakdownMachines || [],
+                breakdownDateTime: window.SCHEDULING_CONFIG.breakdownDateTime || "",
+                breakdowns: window.SCHEDULING_CONFIG.breakdowns || [],
+                holidays: window.SCHEDULING_CONFIG.holidays || [],
+                productionWindow: window.SCHEDULING_CONFIG.productionWindow || "24x7",
+                shifts: window.SCHEDULING_CONFIG.shifts || {
+                    shift1: "06:00-14:00",
+                    shift2: "14:00-22:00",
+                    prodShift1: "06:00-14:00",
+                    prodShift2: "14:00-22:00",
+                    prodShift3: "22:00-06:00"
+                },
+                resources: window.SCHEDULING_CONFIG.resources || null,
+                setupMatrix: window.SCHEDULING_CONFIG.setupMatrix || null,
+                skillsMatrix: window.SCHEDULING_CONFIG.skillsMatrix || null
+            } : {
+                startDateTime: "2025-09-01T06:00:00", // Fallback for testing
+                setupWindow: "06:00-22:00",
+                breakdownMachines: [],
+                breakdownDateTime: "",
+                holidays: [],
+                productionWindow: "24x7",
+                shifts: {
+                    shift1: "06:00-14:00",
+                    shift2: "14:00-22:00",
+                    prodShift1: "06:00-14:00",
+                    prodShift2: "14:00-22:00",
+                    prodShift3: "22:00-06:00"
+                }
+            };
+
+            // Use the x10-browser.js engine for single order processing
+            const result = window.runScheduling(ordersData, globalSettings);
+            return result;
+        } catch (error) {
+            console.error('Single order scheduling error:', error);
+            return {
+                rows: [],
+                alerts: [`Error processing ${FixedUnifiedSchedulingEngine.orderLabel(order)}: ${error.message}`],
+                summary: { totalOrders: 0, totalOperations: 0, completedSuccessfully: 0 }
+            };
+        }
+    };
+}
 
 // Export for browser use
 if (typeof module !== 'undefined' && module.exports) {
-    module.exports = { runScheduling, FixedUnifiedSchedulingEngine, CONFIG };
+    module.exports = { runScheduling, FixedUnifiedSchedulingEngine, CONFIG, DEFAULT_RESOURCES };
 }
 
 // Always expose to window/global
@@ -3219,6 +4311,7 @@ if (typeof window !== 'undefined') {
     window.diagnoseScheduleIssues = diagnoseScheduleIssues;
     window.diagnosePN11001Schedule = diagnosePN11001Schedule;
     window.FixedUnifiedSchedulingEngine = FixedUnifiedSchedulingEngine;
+    window.DEFAULT_RESOURCES = DEFAULT_RESOURCES;
     window.SCHEDULING_CONFIG = CONFIG;
 }
 
@@ -3228,7 +4321,8 @@ if (typeof global !== 'undefined') {
     global.processOrderSingle = global.processOrderSingle;
     global.FixedUnifiedSchedulingEngine = FixedUnifiedSchedulingEngine;
 }
-    
+
+if (typeof window !== 'undefined') {
     // Expose calculateBatchSplitting as a global function
     window.calculateBatchSplitting = function(totalQuantity, minBatchSize, priority = 'normal', dueDate = null, startDate = null) {
         try {
@@ -3280,3 +4374,4 @@ if (typeof global !== 'undefined') {
             return batches;
         }
     };
+}